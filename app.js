@@ -5,6 +5,10 @@ const morgan = require('morgan');
 const cors = require('cors');
 const helmet = require('helmet');
 const connectDB = require('./config/db');
+const { startSyncWorker } = require('./services/xeroSyncService');
+const { startReconciliationJob } = require('./services/xeroReconciliationService');
+const { startRecurringInvoiceJob } = require('./services/recurringInvoiceService');
+const { startInvoiceReminderJob } = require('./services/invoiceReminderService');
 const https = require('https');
 const http = require('http');
 const fs = require('fs');
@@ -13,6 +17,7 @@ const path = require('path');
 const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const { handleWhatsAppMessage } = require('./controllers/whatsappController');
+const whatsappService = require('./services/whatsappService');
 
 // Routes
 const authRoutes = require('./routes/authRoutes');
@@ -23,6 +28,15 @@ const chatRoutes = require('./routes/chatRoutes');
 const whatsappRoutes = require('./routes/whatsappRoutes');
 const eveDroppingRoutes = require('./routes/eveDroppingRoutes');
 const xeroRoutes = require('./routes/xeroRoutes');
+const clientRoutes = require('./routes/clientRoutes');
+const quoteRoutes = require('./routes/quoteRoutes');
+const creditNoteRoutes = require('./routes/creditNoteRoutes');
+const recurringInvoiceRoutes = require('./routes/recurringInvoiceRoutes');
+const businessProfileRoutes = require('./routes/businessProfileRoutes');
+const emailTemplateRoutes = require('./routes/emailTemplateRoutes');
+const publicInvoiceRoutes = require('./routes/publicInvoiceRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const simulatedGatewayRoutes = require('./routes/simulatedGatewayRoutes');
 
 // Middleware
 const errorMiddleware = require('./middlewares/errorMiddleware');
@@ -30,13 +44,26 @@ const errorMiddleware = require('./middlewares/errorMiddleware');
 dotenv.config();
 connectDB();
 
+// Retry queued Xero invoice syncs and pull Xero changes in the background
+startSyncWorker();
+startReconciliationJob();
+// Generate recurring invoices on their run dates
+startRecurringInvoiceJob();
+// Mark overdue invoices and send reminders for unpaid ones
+startInvoiceReminderJob();
+
 const app = express();
 
 // Middlewares
 app.use(cors());
 app.use(helmet());
 app.use(morgan('dev'));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so webhook signatures (e.g. Xero) can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Base URL route - Welcome message
@@ -66,10 +93,22 @@ app.use('/api/tasks', taskRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/clients', clientRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/recurring-invoices', recurringInvoiceRoutes);
+app.use('/api/business-profile', businessProfileRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/eve-dropping', eveDroppingRoutes);
 app.use('/api/whatsapp', whatsappRoutes);
 app.use('/api/xero', xeroRoutes);
 
+// Invoice links emailed to clients
+app.use('/invoices/view', publicInvoiceRoutes);
+// Checkout pages of the simulated payment gateway
+app.use('/payments/simulated', simulatedGatewayRoutes);
+
 // Health check
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
@@ -161,6 +200,9 @@ client.on('disconnected', (reason) => {
 // Message handler
 client.on('message', handleWhatsAppMessage);
 
+// Let services send outbound messages (e.g. account notifications)
+whatsappService.setClient(client);
+
 // Pairing timeout guard
 let readyFlag = false;
 client.on('ready', () => { readyFlag = true; });
@@ -0,0 +1,30 @@
+const { XeroClient } = require('xero-node');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const XERO_SCOPES = [
+  'openid',
+  'profile',
+  'email',
+  'offline_access',
+  'accounting.transactions',
+  'accounting.contacts',
+  'accounting.settings',
+  'accounting.reports.read',
+  'accounting.journals.read'
+];
+
+// XeroClient keeps the token set on the instance, so every user gets their own client
+const createXeroClient = (state) => {
+  return new XeroClient({
+    clientId: process.env.XERO_CLIENT_ID,
+    clientSecret: process.env.XERO_CLIENT_SECRET,
+    redirectUris: [process.env.XERO_REDIRECT_URI],
+    scopes: XERO_SCOPES,
+    ...(state && { state })
+  });
+};
+
+module.exports = createXeroClient;
+module.exports.XERO_SCOPES = XERO_SCOPES;
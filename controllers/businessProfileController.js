@@ -0,0 +1,118 @@
+// controllers/businessProfileController.js
+const User = require('../models/User');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { PDF_TEMPLATES } = require('../services/invoicePdfTemplates');
+
+// Fields the business profile can set through the API; the logo has its own endpoints
+const PROFILE_FIELDS = [
+  'legalName', 'address', 'email', 'phone', 'registrationNumber', 'taxId', 'taxIdLabel',
+  'paymentInstructions', 'accentColor', 'pdfTemplate'
+];
+
+// File signatures of the image types PDFs can embed
+const LOGO_SIGNATURES = {
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  'image/jpeg': Buffer.from([0xff, 0xd8, 0xff])
+};
+
+// The profile without the logo bytes, which are served separately
+const formatProfile = (user) => {
+  const { logo, ...profile } = user.businessProfile?.toObject() || {};
+  return { ...profile, hasLogo: Boolean(logo?.contentType) };
+};
+
+// Get the business profile printed on invoices and quotes
+exports.getBusinessProfile = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      businessProfile: formatProfile(user)
+    }
+  });
+});
+
+// Update the business profile; empty values clear a field
+exports.updateBusinessProfile = catchAsync(async (req, res, next) => {
+  const update = { $set: {}, $unset: {} };
+  PROFILE_FIELDS.forEach(field => {
+    if (req.body[field] === undefined) return;
+    if (req.body[field] === null || req.body[field] === '') {
+      update.$unset[`businessProfile.${field}`] = 1;
+    } else {
+      update.$set[`businessProfile.${field}`] = req.body[field];
+    }
+  });
+
+  if (!Object.keys(update.$set).length && !Object.keys(update.$unset).length) {
+    return next(new AppError(`Please provide at least one of: ${PROFILE_FIELDS.join(', ')}`, 400));
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, { new: true, runValidators: true });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      businessProfile: formatProfile(user)
+    }
+  });
+});
+
+// List the PDF templates a profile can choose from
+exports.getPdfTemplates = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      templates: Object.entries(PDF_TEMPLATES).map(([name, { label, description }]) => ({ name, label, description }))
+    }
+  });
+};
+
+// Upload the logo (PNG or JPEG) from the "logo" form field
+exports.uploadLogo = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload a logo file', 400));
+  }
+
+  const contentType = Object.keys(LOGO_SIGNATURES)
+    .find(type => req.file.buffer.subarray(0, LOGO_SIGNATURES[type].length).equals(LOGO_SIGNATURES[type]));
+  if (!contentType) {
+    return next(new AppError('Logo must be a PNG or JPEG image', 400));
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, {
+    'businessProfile.logo': { data: req.file.buffer, contentType }
+  }, { new: true, runValidators: true });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      businessProfile: formatProfile(user)
+    }
+  });
+});
+
+// Get the logo image
+exports.getLogo = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+businessProfile.logo.data');
+  const logo = user.businessProfile?.logo;
+
+  if (!logo?.data) {
+    return next(new AppError('No logo has been uploaded', 404));
+  }
+
+  res.set('Content-Type', logo.contentType);
+  res.send(logo.data);
+});
+
+// Remove the logo; PDFs show the business name instead
+exports.deleteLogo = catchAsync(async (req, res, next) => {
+  await User.findByIdAndUpdate(req.user.id, { $unset: { 'businessProfile.logo': 1 } });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
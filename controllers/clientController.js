@@ -0,0 +1,125 @@
+// controllers/clientController.js
+const Client = require('../models/Client');
+const Invoice = require('../models/Invoice');
+const Quote = require('../models/Quote');
+const CreditNote = require('../models/CreditNote');
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Event = require('../models/Event');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Documents that carry a clientName linked to the client directory (the clientLink plugin)
+const CLIENT_LINKED_MODELS = [Invoice, Quote, CreditNote, RecurringInvoice];
+
+// Fields a client can set through the API
+const pickClientFields = (body) => {
+  const fields = {};
+  ['name', 'emails', 'phoneNumbers', 'addresses', 'notes', 'remindersDisabled'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Get all clients, optionally filtered by name, email or phone
+exports.getAllClients = catchAsync(async (req, res, next) => {
+  const { search } = req.query;
+
+  let query = Client.find({ user: req.user.id });
+
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query = query.or([{ name: pattern }, { emails: pattern }, { phoneNumbers: pattern }]);
+  }
+
+  const clients = await query.sort('name');
+
+  res.status(200).json({
+    status: 'success',
+    results: clients.length,
+    data: {
+      clients
+    }
+  });
+});
+
+// Get a client with their invoices and upcoming events
+exports.getClient = catchAsync(async (req, res, next) => {
+  const client = await Client.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!client) {
+    return next(new AppError('No client found with that ID', 404));
+  }
+
+  const [invoices, events] = await Promise.all([
+    Invoice.find({ user: req.user.id, client: client._id }).sort('-date'),
+    Event.find({ user: req.user.id, client: client._id, startTime: { $gte: new Date() } }).sort('startTime')
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      client,
+      invoices,
+      events
+    }
+  });
+});
+
+// Create a new client
+exports.createClient = catchAsync(async (req, res, next) => {
+  const newClient = await Client.create({
+    ...pickClientFields(req.body),
+    user: req.user.id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      client: newClient
+    }
+  });
+});
+
+// Update a client; linked documents follow a name change
+exports.updateClient = catchAsync(async (req, res, next) => {
+  const client = await Client.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!client) {
+    return next(new AppError('No client found with that ID', 404));
+  }
+
+  client.set(pickClientFields(req.body));
+  const renamed = client.isModified('name');
+  await client.save();
+
+  if (renamed) {
+    await Promise.all(CLIENT_LINKED_MODELS.map(Model =>
+      Model.updateMany({ user: req.user.id, client: client._id }, { clientName: client.name })
+    ));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      client
+    }
+  });
+});
+
+// Delete a client; linked documents keep the client name but lose the link
+exports.deleteClient = catchAsync(async (req, res, next) => {
+  const client = await Client.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+  if (!client) {
+    return next(new AppError('No client found with that ID', 404));
+  }
+
+  await Promise.all([...CLIENT_LINKED_MODELS, Event].map(Model =>
+    Model.updateMany({ user: req.user.id, client: client._id }, { $unset: { client: 1 } })
+  ));
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
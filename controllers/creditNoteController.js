@@ -0,0 +1,135 @@
+// controllers/creditNoteController.js
+const CreditNote = require('../models/CreditNote');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const formatDocumentNumber = require('../utils/documentNumber');
+const { issueCreditNote, generateCreditNotePDF } = require('../services/actionHandlers/creditNoteActions');
+
+const findUserCreditNote = async (req, next) => {
+  const creditNote = await CreditNote.findOne({ _id: req.params.id, user: req.user.id });
+  if (!creditNote) {
+    next(new AppError('No credit note found with that ID', 404));
+  }
+  return creditNote;
+};
+
+// Get all credit notes, optionally for one invoice
+exports.getAllCreditNotes = catchAsync(async (req, res, next) => {
+  const filter = { user: req.user.id };
+  if (req.query.invoice) filter.invoice = req.query.invoice;
+
+  const creditNotes = await CreditNote.find(filter).sort('-date');
+
+  res.status(200).json({
+    status: 'success',
+    results: creditNotes.length,
+    data: {
+      creditNotes
+    }
+  });
+});
+
+// Get the credit note number format and the number the next credit note will get
+exports.getNumberingSettings = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('creditNoteNumbering');
+  const { prefix, padding } = user.creditNoteNumbering;
+  const nextSeq = await Counter.peekSequence(req.user.id, 'creditNote');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      numbering: { prefix, padding },
+      nextCreditNoteNumber: formatDocumentNumber(prefix, padding, nextSeq)
+    }
+  });
+});
+
+// Update the credit note number format; existing credit notes keep their numbers
+exports.updateNumberingSettings = catchAsync(async (req, res, next) => {
+  const { prefix, padding } = req.body;
+
+  if (prefix === undefined && padding === undefined) {
+    return next(new AppError('Please provide a prefix or padding', 400));
+  }
+
+  const update = {};
+  if (prefix !== undefined) update['creditNoteNumbering.prefix'] = prefix;
+  if (padding !== undefined) update['creditNoteNumbering.padding'] = padding;
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, { new: true, runValidators: true })
+    .select('creditNoteNumbering');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      numbering: {
+        prefix: user.creditNoteNumbering.prefix,
+        padding: user.creditNoteNumbering.padding
+      }
+    }
+  });
+});
+
+// Get a single credit note
+exports.getCreditNote = catchAsync(async (req, res, next) => {
+  const creditNote = await findUserCreditNote(req, next);
+  if (!creditNote) return;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      creditNote
+    }
+  });
+});
+
+// Issue a credit note against an invoice. Credit notes cannot be edited or deleted;
+// issue another one to correct a mistake.
+exports.createCreditNote = catchAsync(async (req, res, next) => {
+  const { invoice: invoiceId, amount, items, reason, date } = req.body;
+
+  if (!invoiceId) {
+    return next(new AppError('Please provide the invoice to credit', 400));
+  }
+  if (!reason) {
+    return next(new AppError('Please provide a reason for the credit', 400));
+  }
+
+  const invoice = await Invoice.findOne({ _id: invoiceId, user: req.user.id });
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+
+  const result = await issueCreditNote(req.user.id, invoice, {
+    amount,
+    items: Array.isArray(items) ? items : [],
+    reason,
+    ...(date && { date })
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      creditNote: result.creditNote,
+      invoice: result.invoice
+    }
+  });
+});
+
+// Download the credit note PDF
+exports.getCreditNotePDF = catchAsync(async (req, res, next) => {
+  const creditNote = await findUserCreditNote(req, next);
+  if (!creditNote) return;
+
+  const invoice = await Invoice.findById(creditNote.invoice).select('invoiceNumber');
+  const pdfBuffer = await generateCreditNotePDF(creditNote, invoice);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="credit-note-${creditNote.creditNoteNumber || creditNote._id}.pdf"`
+  });
+  res.send(pdfBuffer);
+});
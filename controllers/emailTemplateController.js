@@ -0,0 +1,154 @@
+// controllers/emailTemplateController.js
+const { addDays } = require('date-fns');
+const EmailTemplate = require('../models/EmailTemplate');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const appUrl = require('../utils/appUrl');
+const { formatMoney } = require('../utils/money');
+const { getPaymentGateway } = require('../services/payments');
+const {
+  TEMPLATE_KINDS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  getEmailTemplate,
+  getBusinessName,
+  buildInvoiceValues,
+  renderEmail
+} = require('../services/emailTemplateService');
+
+const getKind = (params) => {
+  if (!TEMPLATE_KINDS.includes(params.kind)) {
+    throw new AppError(`Unknown email template. Use one of: ${TEMPLATE_KINDS.join(', ')}`, 404);
+  }
+  return params.kind;
+};
+
+// An unsaved invoice to preview templates with, in the user's currency
+const buildSampleInvoice = async (userId, kind) => {
+  const user = await User.findById(userId).select('defaultCurrency');
+  const date = new Date();
+
+  return new Invoice({
+    user: userId,
+    clientName: 'Sample Client Ltd',
+    invoiceNumber: 'INV-0001',
+    amount: 1250,
+    amountPaid: kind === 'payment_receipt' ? 500 : 0,
+    currency: user?.defaultCurrency,
+    date,
+    dueDate: addDays(date, 14),
+    description: 'Website design and development',
+    status: kind === 'payment_receipt' ? 'Partially Paid' : 'Sent'
+  });
+};
+
+// List every email template, the user's own or the built-in one, and the placeholders
+exports.getEmailTemplates = catchAsync(async (req, res, next) => {
+  const templates = await Promise.all(TEMPLATE_KINDS.map(kind => getEmailTemplate(req.user.id, kind)));
+
+  res.status(200).json({
+    status: 'success',
+    results: templates.length,
+    data: {
+      templates,
+      placeholders: PLACEHOLDERS
+    }
+  });
+});
+
+exports.getEmailTemplate = catchAsync(async (req, res, next) => {
+  const template = await getEmailTemplate(req.user.id, getKind(req.params));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template,
+      placeholders: PLACEHOLDERS
+    }
+  });
+});
+
+// Save the user's own wording; a first save takes any missing part from the built-in template
+exports.updateEmailTemplate = catchAsync(async (req, res, next) => {
+  const kind = getKind(req.params);
+  const { subject, body } = req.body;
+
+  if (subject === undefined && body === undefined) {
+    return next(new AppError('Please provide a subject or body', 400));
+  }
+
+  const template = await EmailTemplate.findOne({ user: req.user.id, kind })
+    || new EmailTemplate({ user: req.user.id, kind, ...DEFAULT_TEMPLATES[kind] });
+  if (subject !== undefined) template.subject = subject;
+  if (body !== undefined) template.body = body;
+  await template.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template: await getEmailTemplate(req.user.id, kind)
+    }
+  });
+});
+
+// Go back to the built-in template
+exports.resetEmailTemplate = catchAsync(async (req, res, next) => {
+  const kind = getKind(req.params);
+  await EmailTemplate.deleteOne({ user: req.user.id, kind });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template: await getEmailTemplate(req.user.id, kind)
+    }
+  });
+});
+
+// Render a template without sending anything: the saved one, or an unsaved subject and body,
+// against one of the user's invoices (invoiceId) or a sample invoice
+exports.previewEmailTemplate = catchAsync(async (req, res, next) => {
+  const kind = getKind(req.params);
+  const { subject, body, invoiceId } = req.body;
+
+  const saved = await getEmailTemplate(req.user.id, kind);
+  const template = new EmailTemplate({
+    user: req.user.id,
+    kind,
+    subject: subject ?? saved.subject,
+    body: body ?? saved.body
+  });
+  await template.validate();
+
+  let invoice;
+  if (invoiceId) {
+    invoice = await Invoice.findOne({ _id: invoiceId, user: req.user.id });
+    if (!invoice) {
+      return next(new AppError('No invoice found with that ID', 404));
+    }
+  } else {
+    invoice = await buildSampleInvoice(req.user.id, kind);
+  }
+
+  // Values an invoice only has once it is sent, or that only a reminder or receipt has
+  const sampleValues = {
+    reminderNotice: `This is a friendly reminder that this invoice is due on ${invoice.dueDate.toLocaleDateString()}.`,
+    paymentAmount: formatMoney(500, invoice.currency),
+    ...(!invoiceId && {
+      viewLink: appUrl('/invoices/view/sample'),
+      payLink: getPaymentGateway() ? appUrl('/payments/checkout/sample') : ''
+    })
+  };
+
+  const businessName = await getBusinessName(req.user.id);
+  const email = renderEmail(template, buildInvoiceValues(invoice, { businessName, ...sampleValues }));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preview: email,
+      invoice: invoiceId ? invoice._id : null
+    }
+  });
+});
@@ -1,5 +1,6 @@
 // controllers/eventController.js
 const Event = require('../models/Event');
+const Client = require('../models/Client');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 
@@ -69,13 +70,18 @@ exports.getEventsForMonth = catchAsync(async (req, res, next) => {
 
 // Create a new event
 exports.createEvent = catchAsync(async (req, res, next) => {
-  const { title, location, startTime, endTime } = req.body;
+  const { title, location, startTime, endTime, client } = req.body;
+
+  if (client && !(await Client.exists({ _id: client, user: req.user.id }))) {
+    return next(new AppError('No client found with that ID', 404));
+  }
   
   const newEvent = await Event.create({
     title,
     location,
     startTime: new Date(startTime),
     endTime: new Date(endTime),
+    client,
     user: req.user.id
   });
   
@@ -90,11 +96,15 @@ exports.createEvent = catchAsync(async (req, res, next) => {
 // Update an event
 exports.updateEvent = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const { title, location, startTime, endTime } = req.body;
+  const { title, location, startTime, endTime, client } = req.body;
+
+  if (client && !(await Client.exists({ _id: client, user: req.user.id }))) {
+    return next(new AppError('No client found with that ID', 404));
+  }
   
   const event = await Event.findOneAndUpdate(
     { _id: id, user: req.user.id },
-    { title, location, startTime: new Date(startTime), endTime: new Date(endTime) },
+    { title, location, startTime: new Date(startTime), endTime: new Date(endTime), client },
     { new: true, runValidators: true }
   );
   
@@ -1,20 +1,79 @@
 // controllers/invoiceController.js
 const Invoice = require('../models/Invoice');
+const EmailDelivery = require('../models/EmailDelivery');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const formatDocumentNumber = require('../utils/documentNumber');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const {
+  approveInvoice,
+  updateInvoice,
+  voidInvoice,
+  markInvoicePaid,
+  recordInvoicePayment,
+  voidInvoicePayment,
+  generateInvoicePDF
+} = require('../services/actionHandlers/invoiceActions');
+const { PDF_TEMPLATES } = require('../services/invoicePdfTemplates');
+const {
+  DEFAULT_LINK_DAYS,
+  MAX_LINK_DAYS,
+  hasActiveLink,
+  getPublicInvoiceUrl,
+  issuePublicLink,
+  revokePublicLink
+} = require('../services/invoiceLinkService');
+const { isPayable, createPaymentLink } = require('../services/paymentLinkService');
+const { getPaymentGateway } = require('../services/payments');
+const { addDays } = require('date-fns');
+
+// Line item, tax, discount and currency fields an invoice can set through the API
+const pickTotalsFields = (body) => {
+  const fields = {};
+  ['items', 'taxRate', 'taxMode', 'discountRate', 'discount', 'currency'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Sends a rendered PDF, shown in the browser unless ?download=true asks for a file
+const sendPDF = (req, res, pdfBuffer, filename) => {
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdfBuffer.length,
+    'Content-Disposition': `${disposition}; filename="${filename.replace(/[^\w.-]/g, '_')}"`
+  });
+  res.send(pdfBuffer);
+};
+
+// The ?template=classic|modern|minimal override; the user's own choice applies without it
+const getTemplateOption = (query) => {
+  const { template } = query;
+  if (template !== undefined && !PDF_TEMPLATES[template]) {
+    throw new AppError(`Template must be one of: ${Object.keys(PDF_TEMPLATES).join(', ')}`, 400);
+  }
+  return template;
+};
 
 // Get all invoices with filtering
 exports.getAllInvoices = catchAsync(async (req, res, next) => {
-  const { status } = req.query;
+  const { status, viewed } = req.query;
   
   // Base query
   let query = Invoice.find({ user: req.user.id });
   
   // Apply status filter if provided
-  if (status && ['Pending', 'Paid', 'Overdue'].includes(status)) {
+  if (status && Invoice.schema.path('status').enumValues.includes(status)) {
     query = query.where('status').equals(status);
   }
   
+  // Whether the client has opened the invoice link
+  if (viewed === 'true' || viewed === 'false') {
+    query = query.where('firstViewedAt').exists(viewed === 'true');
+  }
+  
   // Sort by date descending
   query = query.sort('-date');
   
@@ -42,9 +101,13 @@ exports.getInvoiceCounts = catchAsync(async (req, res, next) => {
   // Convert to object format
   const result = {
     all: 0,
+    Draft: 0,
     Pending: 0,
+    Sent: 0,
+    'Partially Paid': 0,
     Paid: 0,
-    Overdue: 0
+    Overdue: 0,
+    Void: 0
   };
   
   counts.forEach(item => {
@@ -60,16 +123,162 @@ exports.getInvoiceCounts = catchAsync(async (req, res, next) => {
   });
 });
 
-// Create a new invoice
+// Get invoice totals for each currency, optionally for invoices dated between from and to
+exports.getInvoiceTotals = catchAsync(async (req, res, next) => {
+  const { from, to } = req.query;
+  const match = {};
+
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+    if (Object.values(range).some(date => isNaN(date.getTime()))) {
+      return next(new AppError('from and to must be valid dates', 400));
+    }
+    match.date = range;
+  }
+
+  const user = await User.findById(req.user.id).select('defaultCurrency');
+  const totals = await Invoice.totalsByCurrency(req.user.id, { defaultCurrency: user.defaultCurrency, match });
+
+  res.status(200).json({
+    status: 'success',
+    results: totals.length,
+    data: {
+      totals
+    }
+  });
+});
+
+// Get the currency new invoices and quotes are billed in
+exports.getCurrencySettings = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('defaultCurrency');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      defaultCurrency: user.defaultCurrency
+    }
+  });
+});
+
+// Update the default currency; existing invoices keep theirs
+exports.updateCurrencySettings = catchAsync(async (req, res, next) => {
+  const { defaultCurrency } = req.body;
+
+  if (!defaultCurrency) {
+    return next(new AppError('Please provide defaultCurrency', 400));
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, { defaultCurrency }, { new: true, runValidators: true })
+    .select('defaultCurrency');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      defaultCurrency: user.defaultCurrency
+    }
+  });
+});
+
+// Get the invoice number format, with a preview of the next number
+exports.getNumberingSettings = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('invoiceNumbering');
+  const { prefix, padding } = user.invoiceNumbering;
+  // Numbers come from the counter, which keeps going past deleted drafts
+  const nextSeq = await Counter.peekSequence(req.user.id, 'invoice');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      numbering: { prefix, padding },
+      nextInvoiceNumber: formatDocumentNumber(prefix, padding, nextSeq)
+    }
+  });
+});
+
+// Update the invoice number format; existing invoices keep their numbers
+exports.updateNumberingSettings = catchAsync(async (req, res, next) => {
+  const { prefix, padding } = req.body;
+
+  if (prefix === undefined && padding === undefined) {
+    return next(new AppError('Please provide a prefix or padding', 400));
+  }
+
+  const update = {};
+  if (prefix !== undefined) update['invoiceNumbering.prefix'] = prefix;
+  if (padding !== undefined) update['invoiceNumbering.padding'] = padding;
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, { new: true, runValidators: true })
+    .select('invoiceNumbering');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      numbering: {
+        prefix: user.invoiceNumbering.prefix,
+        padding: user.invoiceNumbering.padding
+      }
+    }
+  });
+});
+
+// Get the reminder settings: whether reminders are on and the days they are sent on
+exports.getReminderSettings = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('invoiceReminders');
+  const { enabled, schedule } = user.invoiceReminders;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      reminders: { enabled, schedule }
+    }
+  });
+});
+
+// Update the reminder settings; schedule is a list of days relative to the due date,
+// e.g. [-3, 0, 7, 14]
+exports.updateReminderSettings = catchAsync(async (req, res, next) => {
+  const { enabled, schedule } = req.body;
+
+  if (enabled === undefined && schedule === undefined) {
+    return next(new AppError('Please provide enabled or schedule', 400));
+  }
+  if (schedule !== undefined && (!Array.isArray(schedule) || schedule.some(day => !Number.isInteger(day)))) {
+    return next(new AppError('Schedule must be a list of whole days relative to the due date', 400));
+  }
+
+  const update = {};
+  if (enabled !== undefined) update['invoiceReminders.enabled'] = enabled;
+  if (schedule !== undefined) update['invoiceReminders.schedule'] = [...new Set(schedule)].sort((a, b) => a - b);
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, { new: true, runValidators: true })
+    .select('invoiceReminders');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      reminders: {
+        enabled: user.invoiceReminders.enabled,
+        schedule: user.invoiceReminders.schedule
+      }
+    }
+  });
+});
+
+// Create a new invoice; it stays a draft until approved
 exports.createInvoice = catchAsync(async (req, res, next) => {
-  const { clientName, amount, date, dueDate, description } = req.body;
+  const { clientName, client, amount, date, dueDate, description } = req.body;
   
+  // Amount is calculated from the items when there are any
   const newInvoice = await Invoice.create({
     clientName,
+    client,
     amount,
     date: new Date(date),
     dueDate: new Date(dueDate),
     description,
+    ...pickTotalsFields(req.body),
     user: req.user.id
   });
   
@@ -81,37 +290,82 @@ exports.createInvoice = catchAsync(async (req, res, next) => {
   });
 });
 
-// Update an invoice
+// Render an invoice that has not been created yet, so it can be checked first. It is
+// validated without an owner, so no invoice number is used up and no client is added.
+exports.previewInvoicePDF = catchAsync(async (req, res, next) => {
+  const template = getTemplateOption(req.query);
+
+  const { clientName, amount, date, dueDate, description } = req.body;
+  const invoice = new Invoice({
+    clientName,
+    amount,
+    date: date ? new Date(date) : new Date(),
+    dueDate: dueDate ? new Date(dueDate) : addDays(new Date(), 30),
+    description,
+    currency: req.user.defaultCurrency,
+    ...pickTotalsFields(req.body)
+  });
+  await invoice.validate({ pathsToSkip: ['user'] });
+  invoice.user = req.user.id;
+
+  const pdfBuffer = await generateInvoicePDF(invoice, { template });
+  sendPDF(req, res, pdfBuffer, 'invoice-preview.pdf');
+});
+
+// Get an invoice as a PDF
+exports.getInvoicePDF = catchAsync(async (req, res, next) => {
+  const template = getTemplateOption(req.query);
+
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+
+  const pdfBuffer = await generateInvoicePDF(invoice, { template });
+  sendPDF(req, res, pdfBuffer, `invoice-${invoice.invoiceNumber || invoice._id}.pdf`);
+});
+
+// Update an invoice and push the changes to the accounting backend; status follows its
+// payments, so it is not set here
 exports.updateInvoice = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const { clientName, amount, status, date, dueDate, description } = req.body;
+  const { clientName, amount, date, dueDate, description, remindersDisabled, reference } = req.body;
   
-  const invoice = await Invoice.findOneAndUpdate(
-    { _id: id, user: req.user.id },
-    { clientName, amount, status, date: new Date(date), dueDate: new Date(dueDate), description },
-    { new: true, runValidators: true }
-  );
+  const invoice = await Invoice.findOne({ _id: id, user: req.user.id });
   
   if (!invoice) {
     return next(new AppError('No invoice found with that ID', 404));
   }
   
+  const fields = pickTotalsFields(req.body);
+  if (clientName !== undefined) fields.clientName = clientName;
+  if (amount !== undefined) fields.amount = amount;
+  if (date !== undefined) fields.date = new Date(date);
+  if (dueDate !== undefined) fields.dueDate = new Date(dueDate);
+  if (description !== undefined) fields.description = description;
+  if (remindersDisabled !== undefined) fields.remindersDisabled = remindersDisabled;
+  const result = await updateInvoice(req.user.id, invoice, fields, { reference });
+  
   res.status(200).json({
     status: 'success',
     data: {
-      invoice
+      invoice: result.invoice
     }
   });
 });
 
-// Delete an invoice
+// Delete a draft invoice; approved invoices are voided instead so they stay on record
 exports.deleteInvoice = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   
-  const invoice = await Invoice.findOneAndDelete({ _id: id, user: req.user.id });
+  const invoice = await Invoice.findOneAndDelete({ _id: id, user: req.user.id, status: 'Draft' });
   
   if (!invoice) {
-    return next(new AppError('No invoice found with that ID', 404));
+    const existing = await Invoice.exists({ _id: id, user: req.user.id });
+    return next(existing
+      ? new AppError('Only draft invoices can be deleted. Void the invoice instead.', 400)
+      : new AppError('No invoice found with that ID', 404));
   }
   
   res.status(204).json({
@@ -120,24 +374,249 @@ exports.deleteInvoice = catchAsync(async (req, res, next) => {
   });
 });
 
-// Mark invoice as paid
+// Approve a draft invoice, which also pushes it to the accounting backend
+exports.approveInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  const result = await approveInvoice(req.user.id, invoice);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invoice: result.invoice
+    }
+  });
+});
+
+// The public link and whether the client has viewed the invoice
+const formatPublicLink = (invoice) => ({
+  url: getPublicInvoiceUrl(invoice),
+  active: hasActiveLink(invoice),
+  issuedAt: invoice.publicLink?.issuedAt,
+  expiresAt: hasActiveLink(invoice) ? invoice.publicLink.expiresAt : undefined,
+  revokedAt: invoice.publicLink?.revokedAt,
+  viewed: Boolean(invoice.firstViewedAt),
+  firstViewedAt: invoice.firstViewedAt,
+  lastViewedAt: invoice.lastViewedAt,
+  viewCount: invoice.viewCount || 0
+});
+
+// Get the invoice's public link
+exports.getPublicLink = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      publicLink: formatPublicLink(invoice)
+    }
+  });
+});
+
+// Issue a new public link, replacing the old one; emailing the invoice issues one too
+exports.createPublicLink = catchAsync(async (req, res, next) => {
+  const expiresInDays = req.body.expiresInDays ?? DEFAULT_LINK_DAYS;
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_LINK_DAYS) {
+    return next(new AppError(`expiresInDays must be a whole number from 1 to ${MAX_LINK_DAYS}`, 400));
+  }
+  
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  if (['Draft', 'Void'].includes(invoice.status)) {
+    return next(new AppError(`A ${invoice.status.toLowerCase()} invoice cannot be shared`, 400));
+  }
+  
+  const updated = await issuePublicLink(invoice, { expiresInDays });
+  
+  res.status(201).json({
+    status: 'success',
+    data: {
+      publicLink: formatPublicLink(updated)
+    }
+  });
+});
+
+// Turn off the public link; emailing the invoice again issues a new one
+exports.revokePublicLink = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  const updated = await revokePublicLink(invoice);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      publicLink: formatPublicLink(updated)
+    }
+  });
+});
+
+// Get the emails sent about an invoice, newest first, including failed attempts
+exports.getDeliveries = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id }).select('_id');
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  const deliveries = await EmailDelivery.find({ invoice: invoice._id }).sort('-createdAt');
+  
+  res.status(200).json({
+    status: 'success',
+    results: deliveries.length,
+    data: {
+      deliveries
+    }
+  });
+});
+
+// Create a link for the client to pay the balance online, replacing any earlier one
+exports.createPaymentLink = catchAsync(async (req, res, next) => {
+  if (!getPaymentGateway()) {
+    return next(new AppError('Online payments are not set up', 400));
+  }
+  
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  if (!isPayable(invoice)) {
+    return next(new AppError(invoice.status === 'Draft'
+      ? 'Approve the invoice before asking for payment'
+      : 'Invoice has nothing left to pay', 400));
+  }
+  
+  const updated = await createPaymentLink(invoice);
+  
+  res.status(201).json({
+    status: 'success',
+    data: {
+      paymentLink: updated.paymentLink
+    }
+  });
+});
+
+// Void an invoice; it stays on record but nothing is owed on it
+exports.voidInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  const result = await voidInvoice(req.user.id, invoice, { reason: req.body?.reason });
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invoice: result.invoice
+    }
+  });
+});
+
+// Mark invoice as paid by recording a payment for the outstanding balance
 exports.markAsPaid = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   
-  const invoice = await Invoice.findOneAndUpdate(
-    { _id: id, user: req.user.id },
-    { status: 'Paid' },
-    { new: true }
-  );
+  const invoice = await Invoice.findOne({ _id: id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  const result = await markInvoicePaid(req.user.id, invoice, {
+    ...(req.body?.paidDate && { paidDate: new Date(req.body.paidDate) })
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invoice: result.invoice
+    }
+  });
+});
+
+// List an invoice's payments, including voided ones
+exports.getPayments = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id })
+    .select('amount amountPaid amountDue status payments');
   
   if (!invoice) {
     return next(new AppError('No invoice found with that ID', 404));
   }
   
+  res.status(200).json({
+    status: 'success',
+    results: invoice.payments.length,
+    data: {
+      payments: invoice.payments,
+      amountPaid: invoice.amountPaid,
+      balanceDue: invoice.balanceDue,
+      status: invoice.status
+    }
+  });
+});
+
+// Record a full or part payment against an invoice
+exports.recordPayment = catchAsync(async (req, res, next) => {
+  const { amount, date, method, reference } = req.body;
+  
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  const result = await recordInvoicePayment(req.user.id, invoice, {
+    amount,
+    ...(date && { date }),
+    method,
+    reference
+  });
+  
+  res.status(201).json({
+    status: 'success',
+    data: {
+      payment: result.payment,
+      invoice: result.invoice
+    }
+  });
+});
+
+// Void a payment; it stays on the invoice for the record but no longer counts
+exports.voidPayment = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findOne({ _id: req.params.id, user: req.user.id });
+  
+  if (!invoice) {
+    return next(new AppError('No invoice found with that ID', 404));
+  }
+  
+  const result = await voidInvoicePayment(req.user.id, invoice, req.params.paymentId, {
+    reason: req.body?.reason
+  });
+  
   res.status(200).json({
     status: 'success',
     data: {
-      invoice
+      payment: result.payment,
+      invoice: result.invoice
     }
   });
 });
\ No newline at end of file
@@ -0,0 +1,91 @@
+// controllers/paymentController.js
+// Payment gateway webhooks, and the hosted checkout page of the simulated gateway
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const escapeHtml = require('../utils/escapeHtml');
+const { formatMoney } = require('../utils/money');
+const { getPaymentGateway } = require('../services/payments');
+const simulatedGateway = require('../services/payments/simulatedGateway');
+const { handlePaymentWebhook } = require('../services/paymentWebhookService');
+
+// Receive a webhook from the payment gateway. Failures return an error status so the
+// gateway retries; already-recorded payments are acknowledged.
+exports.webhook = catchAsync(async (req, res, next) => {
+  const result = await handlePaymentWebhook(req.params.gateway, req.rawBody, req.headers);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      result: result.status
+    }
+  });
+});
+
+const renderCheckoutPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #f5f6f8; margin: 0; padding: 20px; color: #2c3e50;">
+<div style="max-width: 420px; margin: 40px auto; background: #fff; border-radius: 5px; padding: 30px; text-align: center;">
+<p style="margin: 0 0 20px; color: #e67e22; font-size: 12px; text-transform: uppercase;">Simulated payment, no money is taken</p>
+${body}
+</div>
+</body>
+</html>`;
+
+// The simulated checkout only exists while it is the configured gateway
+const readSimulatedCheckout = (token) => {
+  if (getPaymentGateway()?.name !== simulatedGateway.name) {
+    throw new AppError('Payment gateway is not enabled', 404);
+  }
+  return simulatedGateway.readCheckout(token);
+};
+
+const sendCheckoutUnavailable = (res) => {
+  res.status(404).type('html').send(renderCheckoutPage('Payment link expired', `
+<h2>This payment link is no longer available</h2>
+<p>Please ask the sender for a new link.</p>`));
+};
+
+// Hosted checkout page of the simulated gateway
+exports.getSimulatedCheckout = catchAsync(async (req, res, next) => {
+  const checkout = readSimulatedCheckout(req.params.token);
+  if (!checkout) return sendCheckoutUnavailable(res);
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(renderCheckoutPage(`Pay ${checkout.description}`, `
+<h2>${escapeHtml(checkout.description)}</h2>
+<p style="font-size: 28px; font-weight: bold;">${escapeHtml(formatMoney(checkout.amount, checkout.currency))}</p>
+<form method="POST" action="${escapeHtml(req.params.token)}/pay">
+  <label>Amount to pay (${escapeHtml(checkout.currency)})<br>
+    <input name="amount" type="number" step="0.01" min="0.01" max="${checkout.amount}" value="${checkout.amount}" style="margin: 10px 0; padding: 8px; width: 150px;">
+  </label><br>
+  <button type="submit" style="background: #27ae60; color: #fff; border: 0; padding: 12px 30px; border-radius: 4px; font-size: 16px;">Pay</button>
+</form>`));
+});
+
+// "Pay" on the simulated checkout: sends the signed webhook a real gateway would
+exports.paySimulatedCheckout = catchAsync(async (req, res, next) => {
+  const checkout = readSimulatedCheckout(req.params.token);
+  if (!checkout) return sendCheckoutUnavailable(res);
+
+  const amount = req.body.amount === undefined || req.body.amount === ''
+    ? checkout.amount
+    : Math.round(Number(req.body.amount) * 100) / 100;
+  if (!(amount > 0) || amount > checkout.amount) {
+    return next(new AppError(`Amount must be more than zero and at most ${formatMoney(checkout.amount, checkout.currency)}`, 400));
+  }
+
+  const delivery = simulatedGateway.completeCheckout(req.params.token, amount);
+  const result = await handlePaymentWebhook(simulatedGateway.name, delivery.rawBody, delivery.headers);
+
+  res.type('html').send(renderCheckoutPage('Payment received', result.status === 'recorded' ? `
+<h2>Payment received</h2>
+<p>${escapeHtml(formatMoney(amount, checkout.currency))} was paid. Thank you!</p>` : `
+<h2>Payment not applied</h2>
+<p>This invoice has nothing left to pay, so no payment was recorded.</p>`));
+});
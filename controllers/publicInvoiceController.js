@@ -0,0 +1,134 @@
+// controllers/publicInvoiceController.js
+// Pages a client reaches from the link in an invoice email; no login, the token is the access
+const catchAsync = require('../utils/catchAsync');
+const escapeHtml = require('../utils/escapeHtml');
+const { formatMoney } = require('../utils/money');
+const { generateInvoicePDF } = require('../services/actionHandlers/invoiceActions');
+const { loadBusinessProfile, DEFAULT_ACCENT } = require('../services/invoicePdfTemplates');
+const { findInvoiceByToken, recordInvoiceView } = require('../services/invoiceLinkService');
+const { ensurePaymentLink, getPaymentLinkUrl } = require('../services/paymentLinkService');
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric'
+}) : 'N/A');
+
+const renderPage = (title, body, accent = DEFAULT_ACCENT) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #f5f6f8; margin: 0; padding: 20px; color: #2c3e50;">
+<div style="max-width: 700px; margin: 0 auto; background: #fff; border-top: 6px solid ${escapeHtml(accent)}; border-radius: 5px; padding: 30px;">
+${body}
+</div>
+</body>
+</html>`;
+
+const sendLinkNotFound = (res) => {
+  res.status(404).type('html').send(renderPage('Invoice not available', `
+<h2>This invoice link is no longer available</h2>
+<p>It may have expired or been turned off. Please contact the sender for a new link.</p>`));
+};
+
+/**
+ * The invoice as a web page
+ * @param {Object} invoice - The invoice
+ * @param {Object} profile - The owner's business profile
+ * @param {string} pdfUrl - Link to the PDF
+ * @param {string|null} payUrl - Link to pay online, if there is one
+ * @returns {string} - HTML
+ */
+const renderInvoicePage = (invoice, profile, pdfUrl, payUrl) => {
+  const money = (amount) => escapeHtml(formatMoney(amount, invoice.currency));
+  const businessName = profile.legalName || profile.fullName || 'EveAI';
+  const title = `Invoice ${invoice.invoiceNumber || ''} from ${businessName}`.replace(/\s+/g, ' ');
+  const cell = 'padding: 8px; border-bottom: 1px solid #eee;';
+
+  const itemRows = (invoice.items || []).map(item => `
+<tr>
+  <td style="${cell}">${escapeHtml(item.description || 'Item')}</td>
+  <td style="${cell} text-align: right;">${escapeHtml(item.quantity ?? 1)}</td>
+  <td style="${cell} text-align: right;">${money(item.unitAmount)}</td>
+  <td style="${cell} text-align: right;">${money(item.lineAmount ?? (item.quantity ?? 1) * (item.unitAmount || 0))}</td>
+</tr>`).join('');
+
+  const settled = (invoice.amountPaid || 0) + (invoice.amountCredited || 0);
+  const summaryRows = [
+    invoice.discountTotal > 0 && ['Discounts', `-${money(invoice.discountTotal)}`],
+    typeof invoice.subtotal === 'number' && ['Subtotal', money(invoice.subtotal)],
+    typeof invoice.taxTotal === 'number' && [invoice.taxMode === 'inclusive' ? 'Tax included' : 'Tax', money(invoice.taxTotal)],
+    ['Total', money(invoice.amount)],
+    invoice.amountPaid > 0 && ['Amount Paid', money(invoice.amountPaid)],
+    invoice.amountCredited > 0 && ['Credits Applied', money(invoice.amountCredited)],
+    settled > 0 && invoice.status !== 'Void' && ['Balance Due', money(invoice.balanceDue)]
+  ].filter(Boolean).map(([label, value]) => `
+<tr><td style="padding: 4px 8px;">${escapeHtml(label)}</td><td style="padding: 4px 8px; text-align: right;">${value}</td></tr>`).join('');
+
+  const showPaymentInstructions = profile.paymentInstructions && !['Paid', 'Void'].includes(invoice.status);
+
+  return renderPage(title, `
+<div style="display: flex; justify-content: space-between; align-items: flex-start;">
+  <div>
+    <h2 style="margin: 0;">${escapeHtml(businessName)}</h2>
+    ${profile.address ? `<p style="margin: 5px 0; white-space: pre-line; color: #7f8c8d;">${escapeHtml(profile.address)}</p>` : ''}
+  </div>
+  <div style="text-align: right;">
+    <h2 style="margin: 0; color: ${escapeHtml(profile.accentColor || DEFAULT_ACCENT)};">INVOICE</h2>
+    <p style="margin: 5px 0;">${escapeHtml(invoice.invoiceNumber || '')}</p>
+    <p style="margin: 5px 0;"><strong>${escapeHtml(invoice.status)}</strong></p>
+  </div>
+</div>
+<p><strong>Bill To:</strong> ${escapeHtml(invoice.clientName)}<br>
+<strong>Invoice Date:</strong> ${escapeHtml(formatDate(invoice.date))}<br>
+<strong>Due Date:</strong> ${escapeHtml(formatDate(invoice.dueDate))}</p>
+${invoice.description ? `<p>${escapeHtml(invoice.description)}</p>` : ''}
+${itemRows ? `
+<table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
+<tr>
+  <th style="${cell} text-align: left;">Description</th>
+  <th style="${cell} text-align: right;">Qty</th>
+  <th style="${cell} text-align: right;">Unit</th>
+  <th style="${cell} text-align: right;">Amount</th>
+</tr>${itemRows}
+</table>` : ''}
+<table style="margin: 20px 0 0 auto; border-collapse: collapse; font-weight: bold;">${summaryRows}
+</table>
+${showPaymentInstructions ? `
+<h3>How to Pay</h3>
+<p style="white-space: pre-line;">${escapeHtml(profile.paymentInstructions)}</p>` : ''}
+<p style="margin-top: 30px; text-align: center;">
+  ${payUrl ? `<a href="${escapeHtml(payUrl)}" style="background: #27ae60; color: #fff; padding: 10px 20px; border-radius: 4px; text-decoration: none; margin-right: 10px;">Pay ${money(invoice.balanceDue)} Now</a>` : ''}
+  <a href="${escapeHtml(pdfUrl)}" style="background: ${escapeHtml(profile.accentColor || DEFAULT_ACCENT)}; color: #fff; padding: 10px 20px; border-radius: 4px; text-decoration: none;">Download PDF</a>
+</p>`, profile.accentColor);
+};
+
+// Show the invoice a public link points to, recording that the client viewed it
+exports.getPublicInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await findInvoiceByToken(req.params.token);
+  if (!invoice) return sendLinkNotFound(res);
+
+  await recordInvoiceView(invoice);
+  const payable = await ensurePaymentLink(invoice);
+  const profile = await loadBusinessProfile(invoice.user) || {};
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(renderInvoicePage(payable, profile, `${req.params.token}/pdf`, getPaymentLinkUrl(payable)));
+});
+
+// The PDF of the invoice a public link points to
+exports.getPublicInvoicePDF = catchAsync(async (req, res, next) => {
+  const invoice = await findInvoiceByToken(req.params.token);
+  if (!invoice) return sendLinkNotFound(res);
+
+  const pdfBuffer = await generateInvoicePDF(invoice);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="invoice-${invoice.invoiceNumber || invoice._id}.pdf"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(pdfBuffer);
+});
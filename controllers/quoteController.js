@@ -0,0 +1,237 @@
+// controllers/quoteController.js
+const Quote = require('../models/Quote');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const formatDocumentNumber = require('../utils/documentNumber');
+const {
+  generateQuotePDF,
+  sendQuote,
+  respondToQuote,
+  convertQuoteToInvoice
+} = require('../services/actionHandlers/quoteActions');
+
+// Fields a quote can set through the API
+const pickQuoteFields = (body) => {
+  const fields = {};
+  [
+    'clientName', 'client', 'amount', 'date', 'validUntil', 'description', 'tasks', 'items', 'taxRate',
+    'taxMode', 'discountRate', 'discount', 'currency'
+  ].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const findUserQuote = async (req, next) => {
+  const quote = await Quote.findOne({ _id: req.params.id, user: req.user.id });
+  if (!quote) {
+    next(new AppError('No quote found with that ID', 404));
+  }
+  return quote;
+};
+
+// Get all quotes with filtering
+exports.getAllQuotes = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  let query = Quote.find({ user: req.user.id });
+
+  if (status && Quote.schema.path('status').enumValues.includes(status)) {
+    query = query.where('status').equals(status);
+  }
+
+  const quotes = await query.sort('-date');
+
+  res.status(200).json({
+    status: 'success',
+    results: quotes.length,
+    data: {
+      quotes
+    }
+  });
+});
+
+// Get the quote number format and the number the next quote will get
+exports.getNumberingSettings = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('quoteNumbering');
+  const { prefix, padding } = user.quoteNumbering;
+  const nextSeq = await Counter.peekSequence(req.user.id, 'quote');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      numbering: { prefix, padding },
+      nextQuoteNumber: formatDocumentNumber(prefix, padding, nextSeq)
+    }
+  });
+});
+
+// Update the quote number format; existing quotes keep their numbers
+exports.updateNumberingSettings = catchAsync(async (req, res, next) => {
+  const { prefix, padding } = req.body;
+
+  if (prefix === undefined && padding === undefined) {
+    return next(new AppError('Please provide a prefix or padding', 400));
+  }
+
+  const update = {};
+  if (prefix !== undefined) update['quoteNumbering.prefix'] = prefix;
+  if (padding !== undefined) update['quoteNumbering.padding'] = padding;
+
+  const user = await User.findByIdAndUpdate(req.user.id, update, { new: true, runValidators: true })
+    .select('quoteNumbering');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      numbering: {
+        prefix: user.quoteNumbering.prefix,
+        padding: user.quoteNumbering.padding
+      }
+    }
+  });
+});
+
+// Get a single quote
+exports.getQuote = catchAsync(async (req, res, next) => {
+  const quote = await findUserQuote(req, next);
+  if (!quote) return;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote
+    }
+  });
+});
+
+// Create a new quote; it stays valid for 30 days unless validUntil is given
+exports.createQuote = catchAsync(async (req, res, next) => {
+  const fields = pickQuoteFields(req.body);
+  const date = fields.date ? new Date(fields.date) : new Date();
+
+  const newQuote = await Quote.create({
+    ...fields,
+    date,
+    validUntil: fields.validUntil ? new Date(fields.validUntil) : new Date(date.getTime() + 30 * 24 * 60 * 60 * 1000),
+    user: req.user.id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      quote: newQuote
+    }
+  });
+});
+
+// Update a quote that has not been answered yet
+exports.updateQuote = catchAsync(async (req, res, next) => {
+  const quote = await findUserQuote(req, next);
+  if (!quote) return;
+
+  if (!['Draft', 'Sent', 'Expired'].includes(quote.status)) {
+    return next(new AppError(`Quote is ${quote.status.toLowerCase()} and can no longer be changed`, 400));
+  }
+
+  quote.set(pickQuoteFields(req.body));
+  // A new validity date reopens an expired quote
+  if (quote.status === 'Expired' && quote.validUntil >= new Date()) {
+    quote.status = quote.lastSent ? 'Sent' : 'Draft';
+  }
+  await quote.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote
+    }
+  });
+});
+
+// Delete a quote
+exports.deleteQuote = catchAsync(async (req, res, next) => {
+  const quote = await Quote.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+  if (!quote) {
+    return next(new AppError('No quote found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Download the quote PDF
+exports.getQuotePDF = catchAsync(async (req, res, next) => {
+  const quote = await findUserQuote(req, next);
+  if (!quote) return;
+
+  const pdfBuffer = await generateQuotePDF(quote);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="quote-${quote.quoteNumber || quote._id}.pdf"`
+  });
+  res.send(pdfBuffer);
+});
+
+// Email the quote, to the client's stored email unless one is given
+exports.sendQuote = catchAsync(async (req, res, next) => {
+  const quote = await findUserQuote(req, next);
+  if (!quote) return;
+
+  const result = await sendQuote(req.user.id, quote, req.body.email);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote: result.quote
+    }
+  });
+});
+
+// Record that the client accepted the quote
+exports.acceptQuote = catchAsync(async (req, res, next) => {
+  const quote = await findUserQuote(req, next);
+  if (!quote) return;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote: await respondToQuote(quote, true)
+    }
+  });
+});
+
+// Record that the client declined the quote
+exports.declineQuote = catchAsync(async (req, res, next) => {
+  const quote = await findUserQuote(req, next);
+  if (!quote) return;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote: await respondToQuote(quote, false, req.body.reason)
+    }
+  });
+});
+
+// Turn the quote into an invoice
+exports.convertQuote = catchAsync(async (req, res, next) => {
+  const quote = await findUserQuote(req, next);
+  if (!quote) return;
+
+  const result = await convertQuoteToInvoice(req.user.id, quote, { dueDate: req.body.dueDate });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      quote: result.quote,
+      invoice: result.invoice
+    }
+  });
+});
@@ -0,0 +1,179 @@
+// controllers/recurringInvoiceController.js
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Invoice = require('../models/Invoice');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { previewRuns, rescheduleTemplate } = require('../services/recurringInvoiceService');
+
+// Changing any of these moves the next run date
+const SCHEDULE_FIELDS = ['frequency', 'startDate', 'endDate'];
+
+// Fields a recurring invoice can set through the API
+const pickTemplateFields = (body) => {
+  const fields = {};
+  [
+    'clientName', 'client', 'amount', 'description', 'tasks', 'items', 'taxRate', 'taxMode', 'discountRate', 'discount', 'currency',
+    'frequency', 'startDate', 'endDate', 'paymentTermsDays', 'autoSend', 'recipientEmail'
+  ].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const findUserTemplate = async (req, next) => {
+  const template = await RecurringInvoice.findOne({ _id: req.params.id, user: req.user.id });
+  if (!template) {
+    next(new AppError('No recurring invoice found with that ID', 404));
+  }
+  return template;
+};
+
+// Get all recurring invoices with filtering
+exports.getAllRecurringInvoices = catchAsync(async (req, res, next) => {
+  const { status } = req.query;
+
+  let query = RecurringInvoice.find({ user: req.user.id });
+
+  if (status && RecurringInvoice.schema.path('status').enumValues.includes(status)) {
+    query = query.where('status').equals(status);
+  }
+
+  const recurringInvoices = await query.sort('nextRunDate');
+
+  res.status(200).json({
+    status: 'success',
+    results: recurringInvoices.length,
+    data: {
+      recurringInvoices
+    }
+  });
+});
+
+// Get a recurring invoice with the invoices it has generated
+exports.getRecurringInvoice = catchAsync(async (req, res, next) => {
+  const template = await findUserTemplate(req, next);
+  if (!template) return;
+
+  const invoices = await Invoice.find({ user: req.user.id, recurringInvoice: template._id })
+    .select('invoiceNumber clientName amount status date dueDate amountDue')
+    .sort('-date');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recurringInvoice: template,
+      invoices
+    }
+  });
+});
+
+// Create a recurring invoice; the first invoice is generated on the start date
+exports.createRecurringInvoice = catchAsync(async (req, res, next) => {
+  const template = new RecurringInvoice({
+    ...pickTemplateFields(req.body),
+    user: req.user.id
+  });
+  if (template.startDate && template.frequency) rescheduleTemplate(template);
+  await template.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      recurringInvoice: template
+    }
+  });
+});
+
+// Update a recurring invoice; invoices it already generated are not changed
+exports.updateRecurringInvoice = catchAsync(async (req, res, next) => {
+  const template = await findUserTemplate(req, next);
+  if (!template) return;
+
+  template.set(pickTemplateFields(req.body));
+  if (SCHEDULE_FIELDS.some(field => template.isModified(field))) {
+    rescheduleTemplate(template);
+  }
+  await template.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recurringInvoice: template
+    }
+  });
+});
+
+// Delete a recurring invoice; invoices it already generated are kept
+exports.deleteRecurringInvoice = catchAsync(async (req, res, next) => {
+  const template = await RecurringInvoice.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+  if (!template) {
+    return next(new AppError('No recurring invoice found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Stop generating invoices until the recurring invoice is resumed
+exports.pauseRecurringInvoice = catchAsync(async (req, res, next) => {
+  const template = await findUserTemplate(req, next);
+  if (!template) return;
+
+  if (template.status !== 'Active') {
+    return next(new AppError(`Recurring invoice is ${template.status.toLowerCase()} and cannot be paused`, 400));
+  }
+
+  template.status = 'Paused';
+  await template.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recurringInvoice: template
+    }
+  });
+});
+
+// Start generating invoices again; runs missed while paused are skipped, not back-billed
+exports.resumeRecurringInvoice = catchAsync(async (req, res, next) => {
+  const template = await findUserTemplate(req, next);
+  if (!template) return;
+
+  if (template.status !== 'Paused') {
+    return next(new AppError(`Recurring invoice is ${template.status.toLowerCase()} and cannot be resumed`, 400));
+  }
+
+  template.status = 'Active';
+  rescheduleTemplate(template, new Date());
+  await template.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recurringInvoice: template
+    }
+  });
+});
+
+// List the upcoming run dates without generating anything
+exports.previewRecurringInvoice = catchAsync(async (req, res, next) => {
+  const template = await findUserTemplate(req, next);
+  if (!template) return;
+
+  const count = Math.min(Math.max(parseInt(req.query.count, 10) || 6, 1), 24);
+  // A paused template's runs start again from today once it is resumed
+  const runs = template.status === 'Paused'
+    ? previewRuns(rescheduleTemplate(RecurringInvoice.hydrate({ ...template.toObject(), status: 'Active' }), new Date()), count)
+    : template.status === 'Active' ? previewRuns(template, count) : [];
+
+  res.status(200).json({
+    status: 'success',
+    results: runs.length,
+    data: {
+      runs
+    }
+  });
+});
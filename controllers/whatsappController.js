@@ -5,6 +5,7 @@ const path = require('path');
 const { OpenAI } = require('openai');
 const { MessageMedia } = require('whatsapp-web.js');
 const { generateInvoicePDF } = require('./../services/actionHandlers/invoiceActions');
+const { ensurePaymentLink, getPaymentLinkUrl } = require('./../services/paymentLinkService');
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
@@ -139,9 +140,12 @@ async function handleWhatsAppMessage(msg) {
                                    createdInvoice?.date;
 
           if (isInvoiceCreated) {
-            const pdfBuffer = await generateInvoicePDF(createdInvoice);
+            // Approved invoices get a payment link when online payments are on
+            const invoice = await ensurePaymentLink(createdInvoice);
+            const payUrl = getPaymentLinkUrl(invoice);
+            const pdfBuffer = await generateInvoicePDF(invoice);
             const base64PDF = pdfBuffer.toString('base64');
-            const media = new MessageMedia("application/pdf", base64PDF, `invoice-${createdInvoice.invoiceNumber || createdInvoice._id}.pdf`);
+            const media = new MessageMedia("application/pdf", base64PDF, `invoice-${invoice.invoiceNumber || invoice._id}.pdf`);
 
             if (userUsedVoiceNote) {
               const tts = await openai.audio.speech.create({
@@ -159,6 +163,7 @@ async function handleWhatsAppMessage(msg) {
             }
 
             await msg.reply(media);
+            if (payUrl) await msg.reply(`💳 Pay online: ${payUrl}`);
             return;
           }
 
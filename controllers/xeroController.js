@@ -1,34 +1,21 @@
-const { XeroClient } = require('xero-node');
-const dotenv = require('dotenv');
-dotenv.config();
-
-const xero = new XeroClient({
-  clientId: process.env.XERO_CLIENT_ID,
-  clientSecret: process.env.XERO_CLIENT_SECRET,
-  redirectUris: [process.env.XERO_REDIRECT_URI],
-  scopes: [
-    'openid',
-    'profile',
-    'email',
-    'offline_access',
-    'accounting.transactions',
-    'accounting.contacts',
-    'accounting.settings',
-    'accounting.reports.read',
-    'accounting.journals.read'
-  ]
-});
-
-let tenantId = null;
-let isAuthenticated = false;
+const XeroService = require('../services/actionHandlers/xeroService');
+const XeroSyncService = require('../services/xeroSyncService');
+const XeroReconciliationService = require('../services/xeroReconciliationService');
+const XeroWebhookService = require('../services/xeroWebhookService');
+const XeroContactService = require('../services/xeroContactService');
 
 class XeroController {
   // Connect user to Xero
   static async connect(req, res) {
     try {
-      const consentUrl = await xero.buildConsentUrl();
-      console.log(`Redirecting to Xero consent URL: ${consentUrl}`);
-      res.redirect(consentUrl);
+      const consentUrl = await XeroService.getConsentUrl(req.user.id);
+      console.log(`Xero consent URL built for user ${req.user.id}: ${consentUrl}`);
+      res.status(200).json({
+        status: 'success',
+        data: {
+          consentUrl
+        }
+      });
     } catch (error) {
       console.error('Error building consent URL:', error);
       res.status(500).json({ error: 'Failed to connect to Xero' });
@@ -38,46 +25,114 @@ class XeroController {
   // OAuth callback
   static async callback(req, res) {
     try {
-      const tokenSet = await xero.apiCallback(req.url);
-      await xero.updateTenants();
-      tenantId = xero.tenants[0].tenantId;
-      isAuthenticated = true;
-      
-      console.log('Xero connected successfully. Tenant ID:', tenantId);
+      if (!req.query.state) {
+        return res.status(400).json({ error: 'Missing OAuth state. Please start the connection again.' });
+      }
+
+      const connection = await XeroService.completeConnection(req.url, req.query.state);
+
+      console.log('Xero connected successfully. Tenant ID:', connection.tenantId);
       res.send('✅ Xero connected successfully!');
     } catch (error) {
       console.error('Error in Xero callback:', error);
-      isAuthenticated = false;
       res.status(500).send('Error connecting to Xero');
     }
   }
 
+  // Connection status, including the active organisation
+  static async getStatus(req, res) {
+    try {
+      const connection = await XeroService.getConnectionStatus(req.user.id);
+      res.status(200).json({
+        status: 'success',
+        data: {
+          connection
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching Xero connection status:', err.message);
+      res.status(500).json({ error: 'Error fetching Xero connection status' });
+    }
+  }
+
+  // List the organisations the connection is authorised for
+  static async getTenants(req, res) {
+    try {
+      if (!(await XeroService.isAuthenticated(req.user.id))) {
+        return res.status(400).json({ error: 'No tenant selected. Please connect to Xero first.' });
+      }
+
+      const tenants = await XeroService.listTenants(req.user.id);
+      res.status(200).json({
+        status: 'success',
+        results: tenants.length,
+        data: {
+          tenants
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching Xero tenants:', err.message);
+      res.status(500).json({ error: 'Error fetching Xero organisations' });
+    }
+  }
+
+  // Pick the active organisation
+  static async selectTenant(req, res) {
+    try {
+      if (!req.body.tenantId) {
+        return res.status(400).json({ error: 'Please provide a tenantId' });
+      }
+
+      const connection = await XeroService.selectTenant(req.user.id, req.body.tenantId);
+      res.status(200).json({
+        status: 'success',
+        data: {
+          connection
+        }
+      });
+    } catch (err) {
+      console.error('Error selecting Xero tenant:', err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  // Revoke the Xero connection
+  static async disconnect(req, res) {
+    try {
+      const disconnected = await XeroService.disconnect(req.user.id);
+
+      if (!disconnected) {
+        return res.status(404).json({ error: 'No Xero connection found' });
+      }
+
+      res.status(204).send();
+    } catch (err) {
+      console.error('Error disconnecting Xero:', err.message);
+      res.status(500).json({ error: 'Error disconnecting Xero' });
+    }
+  }
+
   // Create invoice
   static async createInvoice(req, res) {
     try {
       const { contactName, description, quantity, unitAmount, accountCode } = req.body;
 
-      if (!tenantId || !isAuthenticated) {
+      if (!(await XeroService.isAuthenticated(req.user.id))) {
         return res.status(400).json({ error: 'No tenant selected. Please connect to Xero first.' });
       }
 
-      const result = await xero.accountingApi.createInvoices(tenantId, {
-        invoices: [{
-          type: 'ACCREC',
-          contact: { name: contactName },
-          lineItems: [{
-            description,
-            quantity,
-            unitAmount,
-            accountCode
-          }],
-          date: new Date().toISOString(),
-          dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-          status: 'AUTHORISED'
+      const contactID = await XeroContactService.resolveContactId(req.user.id, { contactName });
+      const result = await XeroService.createInvoice(req.user.id, {
+        contactID,
+        lineItems: [{
+          description,
+          quantity,
+          unitAmount,
+          accountCode
         }]
       });
 
-      res.json(result.body.invoices[0]);
+      res.json(result);
     } catch (err) {
       console.error(err.response?.data || err.message);
       res.status(500).json({ error: 'Error creating invoice' });
@@ -87,36 +142,177 @@ class XeroController {
   // Get all invoices
   static async getInvoices(req, res) {
     try {
-      if (!tenantId || !isAuthenticated) {
+      if (!(await XeroService.isAuthenticated(req.user.id))) {
         return res.status(400).json({ error: 'No tenant selected. Please connect to Xero first.' });
       }
 
-      const result = await xero.accountingApi.getInvoices(tenantId);
-      res.json(result.body.invoices);
+      const invoices = await XeroService.getInvoices(req.user.id);
+      res.json(invoices);
     } catch (err) {
       console.error(err.response?.data || err.message);
       res.status(500).json({ error: 'Error fetching invoices' });
     }
   }
 
-  // Get current tenant ID
-  static getTenantId() {
-    return tenantId;
+  // List Xero sync operations that ran out of retries
+  static async getFailedSyncOperations(req, res) {
+    try {
+      const operations = await XeroSyncService.listFailedOperations(req.user.id);
+      res.status(200).json({
+        status: 'success',
+        results: operations.length,
+        data: {
+          operations
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching failed Xero sync operations:', err.message);
+      res.status(500).json({ error: 'Error fetching failed sync operations' });
+    }
   }
 
-  // Get authenticated Xero client
-  static getXeroClient() {
-    return isAuthenticated ? xero : null;
+  // Retry a failed Xero sync operation by hand
+  static async retrySyncOperation(req, res) {
+    try {
+      const operation = await XeroSyncService.retryOperation(req.user.id, req.params.id);
+
+      if (!operation) {
+        return res.status(404).json({ error: 'No failed sync operation found with that ID' });
+      }
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          operation
+        }
+      });
+    } catch (err) {
+      console.error('Error retrying Xero sync operation:', err.message);
+      res.status(500).json({ error: 'Error retrying sync operation' });
+    }
   }
 
-  // Check if authenticated
-  static isAuthenticated() {
-    return isAuthenticated && tenantId !== null;
+  // Pull invoice and payment changes from Xero into local invoices
+  static async reconcile(req, res) {
+    try {
+      if (!(await XeroService.isAuthenticated(req.user.id))) {
+        return res.status(400).json({ error: 'No tenant selected. Please connect to Xero first.' });
+      }
+
+      const summary = await XeroReconciliationService.reconcileUser(req.user.id, {
+        full: req.query.full === 'true'
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          summary
+        }
+      });
+    } catch (err) {
+      console.error('Error reconciling Xero invoices:', err.message);
+      res.status(500).json({ error: 'Error reconciling invoices with Xero' });
+    }
+  }
+
+  // Import Xero contacts as local clients
+  static async importContacts(req, res) {
+    try {
+      if (!(await XeroService.isAuthenticated(req.user.id))) {
+        return res.status(400).json({ error: 'No tenant selected. Please connect to Xero first.' });
+      }
+
+      const summary = await XeroContactService.importContacts(req.user.id);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          summary
+        }
+      });
+    } catch (err) {
+      console.error('Error importing Xero contacts:', err.message);
+      res.status(500).json({ error: 'Error importing contacts from Xero' });
+    }
+  }
+
+  // Get the user's Xero account, bank and tax mappings
+  static async getSettings(req, res) {
+    try {
+      const mappings = await XeroService.getAccountMappings(req.user.id);
+      res.status(200).json({
+        status: 'success',
+        data: {
+          mappings
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching Xero settings:', err.message);
+      res.status(500).json({ error: 'Error fetching Xero settings' });
+    }
+  }
+
+  // Update the user's Xero account, bank and tax mappings
+  static async updateSettings(req, res) {
+    try {
+      const { salesAccountCode, bankAccountCode, taxTypes } = req.body;
+
+      if (!(await XeroService.isAuthenticated(req.user.id))) {
+        return res.status(400).json({ error: 'No tenant selected. Please connect to Xero first.' });
+      }
+
+      const mappings = await XeroService.updateAccountMappings(req.user.id, {
+        salesAccountCode,
+        bankAccountCode,
+        taxTypes
+      });
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          mappings
+        }
+      });
+    } catch (err) {
+      console.error('Error updating Xero settings:', err.message);
+      res.status(400).json({ error: err.message });
+    }
+  }
+
+  // Get the chart of accounts and tax rates to pick mappings from
+  static async getAccountingOptions(req, res) {
+    try {
+      if (!(await XeroService.isAuthenticated(req.user.id))) {
+        return res.status(400).json({ error: 'No tenant selected. Please connect to Xero first.' });
+      }
+
+      const { accounts, taxRates } = await XeroService.getAccountingOptions(req.user.id);
+      res.status(200).json({
+        status: 'success',
+        data: {
+          accounts,
+          taxRates
+        }
+      });
+    } catch (err) {
+      console.error('Error fetching Xero accounts and tax rates:', err.message);
+      res.status(500).json({ error: 'Error fetching accounts and tax rates' });
+    }
+  }
+
+  // Receive Xero webhook notifications (also answers the intent-to-receive check)
+  static async webhook(req, res) {
+    if (!XeroWebhookService.verifySignature(req.rawBody, req.headers['x-xero-signature'])) {
+      return res.status(401).end();
+    }
+
+    // Xero expects an empty 200 within 5 seconds, so events are processed afterwards
+    res.status(200).end();
+
+    XeroWebhookService.processEvents(req.body?.events).catch(error => {
+      console.error('Error processing Xero webhook events:', error);
+    });
   }
 }
 
-// Export both the class and helper functions
 module.exports = XeroController;
-module.exports.getTenantId = () => tenantId;
-module.exports.getXeroClient = () => isAuthenticated ? xero : null;
-module.exports.isAuthenticated = () => isAuthenticated && tenantId !== null;
\ No newline at end of file
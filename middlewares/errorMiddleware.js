@@ -59,6 +59,13 @@ const sendErrorProd = (err, res) => {
 };
 
 module.exports = (err, req, res, next) => {
+  // Rejected uploads, e.g. a file over the size limit
+  if (err.name === 'MulterError') {
+    err.statusCode = 400;
+    err.status = 'fail';
+    err.isOperational = true;
+  }
+
   err.statusCode = err.statusCode || 500;
   err.status = err.status || 'error';
 
@@ -0,0 +1,109 @@
+// models/Client.js
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true },
+  line1: { type: String, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, trim: true },
+  region: { type: String, trim: true },
+  postalCode: { type: String, trim: true },
+  country: { type: String, trim: true }
+}, { _id: false });
+
+const clientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide client name'],
+    trim: true,
+    maxlength: [100, 'Client name cannot be more than 100 characters']
+  },
+  // The first email is the default recipient for invoices
+  emails: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+    }],
+    default: []
+  },
+  phoneNumbers: {
+    type: [{ type: String, trim: true }],
+    default: []
+  },
+  // The first address is the billing address
+  addresses: {
+    type: [addressSchema],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  // Never send this client invoice reminders
+  remindersDisabled: {
+    type: Boolean,
+    default: false
+  },
+  // The matching contact in the user's Xero tenant
+  xeroContactId: {
+    type: String
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One client per name per user, ignoring case
+clientSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+clientSchema.index({ user: 1, xeroContactId: 1 });
+
+clientSchema.virtual('primaryEmail').get(function() {
+  return this.emails?.[0];
+});
+
+// Update timestamp on save
+clientSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Case-insensitive lookup by name, using the same collation as the unique index
+clientSchema.statics.findByName = function(userId, name) {
+  return this.findOne({ user: userId, name: name.trim() }).collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * Finds the user's client with this name, creating it if there is none yet
+ * @param {string} userId - The client owner
+ * @param {string} name - The client name
+ * @param {Object} [details] - Fields used only when the client is new
+ * @returns {Promise<Object>} - The client document
+ */
+clientSchema.statics.findOrCreateByName = async function(userId, name, details = {}) {
+  const existing = await this.findByName(userId, name);
+  if (existing) return existing;
+
+  try {
+    return await this.create({ user: userId, name, ...details });
+  } catch (error) {
+    // Another request created the same client first
+    if (error.code === 11000) return this.findByName(userId, name);
+    throw error;
+  }
+};
+
+const Client = mongoose.model('Client', clientSchema);
+module.exports = Client;
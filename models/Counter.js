@@ -0,0 +1,50 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Per-user sequences (e.g. invoice numbers), incremented atomically
+const counterSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+counterSchema.index({ user: 1, name: 1 }, { unique: true });
+
+/**
+ * Returns the next value of a user's sequence, starting at 1
+ * @param {string} userId - The sequence owner
+ * @param {string} name - The sequence name, e.g. "invoice"
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.nextSequence = async function(userId, name) {
+  const counter = await this.findOneAndUpdate(
+    { user: userId, name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Returns the value the next call to nextSequence will give, without taking it
+ * @param {string} userId - The sequence owner
+ * @param {string} name - The sequence name, e.g. "invoice"
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.peekSequence = async function(userId, name) {
+  const counter = await this.findOne({ user: userId, name }).select('seq');
+  return (counter?.seq || 0) + 1;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+module.exports = Counter;
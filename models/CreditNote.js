@@ -0,0 +1,96 @@
+// models/CreditNote.js
+const mongoose = require('mongoose');
+const clientLink = require('./plugins/clientLink');
+const documentCurrency = require('./plugins/documentCurrency');
+const sequentialNumber = require('./plugins/sequentialNumber');
+
+// A credit against an issued invoice. The invoice itself is never edited, so the
+// original amount and the reason for the reduction both stay on record.
+const creditNoteSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'A credit note must reference an invoice']
+  },
+  clientName: {
+    type: String,
+    required: [true, 'Please provide client name'],
+    trim: true,
+    maxlength: [100, 'Client name cannot be more than 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please provide credit amount'],
+    min: [0.01, 'Credit amount must be greater than zero']
+  },
+  // Part of the credit that reduced the invoice balance
+  amountApplied: {
+    type: Number,
+    default: 0
+  },
+  // Part of the credit owed back to the client because the invoice was already paid
+  refundDue: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the credit'],
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please provide credit note date'],
+    default: Date.now
+  },
+  items: {
+    type: [
+      {
+        description: { type: String },
+        quantity: { type: Number, default: 1 },
+        unitAmount: { type: Number, default: 0 },
+        accountCode: { type: String },
+        taxType: { type: String },
+        taxAmount: { type: Number, default: 0 },
+        lineAmount: { type: Number }
+      }
+    ],
+    default: []
+  },
+  xeroCreditNoteId: {
+    type: String
+  },
+  xeroStatus: {
+    type: String
+  },
+  xeroSyncError: {
+    type: String
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for faster querying
+creditNoteSchema.index({ user: 1, invoice: 1 });
+creditNoteSchema.index({ user: 1, date: -1 });
+
+creditNoteSchema.plugin(clientLink);
+creditNoteSchema.plugin(documentCurrency);
+creditNoteSchema.plugin(sequentialNumber, {
+  sequence: 'creditNote',
+  numberField: 'creditNoteNumber',
+  seqField: 'creditNoteSeq',
+  settingsField: 'creditNoteNumbering',
+  defaultPrefix: 'CN-{YYYY}-'
+});
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+module.exports = CreditNote;
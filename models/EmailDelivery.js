@@ -0,0 +1,64 @@
+// models/EmailDelivery.js
+const mongoose = require('mongoose');
+
+// One email sent, or attempted, about an invoice
+const emailDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  // invoice: the invoice itself; reminder: an overdue or upcoming reminder;
+  // payment_receipt: confirmation of a payment
+  kind: {
+    type: String,
+    enum: ['invoice', 'reminder', 'payment_receipt'],
+    default: 'invoice'
+  },
+  to: {
+    type: [String],
+    default: []
+  },
+  cc: {
+    type: [String],
+    default: []
+  },
+  subject: {
+    type: String
+  },
+  // File names only; the files themselves are not kept
+  attachments: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  // What the mail server answered, e.g. "250 2.0.0 OK"
+  response: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  // Why the email could not be sent
+  error: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailDeliverySchema.index({ invoice: 1, createdAt: -1 });
+
+const EmailDelivery = mongoose.model('EmailDelivery', emailDeliverySchema);
+module.exports = EmailDelivery;
@@ -0,0 +1,75 @@
+// models/EmailTemplate.js
+const mongoose = require('mongoose');
+const { getPlaceholders } = require('../utils/templateRenderer');
+
+// Kinds of email a user can word themselves; the built-in wording is used for the rest
+const TEMPLATE_KINDS = ['invoice', 'reminder', 'payment_receipt'];
+
+// Values a template can insert, with what each inserts for the template editor
+const PLACEHOLDERS = {
+  clientName: 'The client\'s name',
+  businessName: 'Your business name from the business profile',
+  invoiceNumber: 'The invoice number, e.g. INV-2026-0042',
+  invoiceDate: 'The invoice date',
+  dueDate: 'The due date',
+  amount: 'The invoice total',
+  amountPaid: 'What has been paid or credited so far; empty when nothing has',
+  balanceDue: 'What is still owed; empty when nothing is',
+  description: 'The invoice description',
+  status: 'The invoice status, e.g. Sent or Overdue',
+  viewLink: 'Link to view the invoice online',
+  payLink: 'Link to pay online; empty when online payments are off',
+  paymentAmount: 'Payment receipts only: the payment received',
+  reminderNotice: 'Reminders only: when the invoice is or was due, e.g. "This invoice is 3 days overdue."'
+};
+
+// A user's own wording for one kind of email
+const emailTemplateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: TEMPLATE_KINDS,
+    required: [true, 'Please provide the template kind']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Please provide a subject'],
+    trim: true,
+    maxlength: [200, 'Subject cannot be more than 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Please provide a body'],
+    maxlength: [5000, 'Body cannot be more than 5000 characters']
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailTemplateSchema.index({ user: 1, kind: 1 }, { unique: true });
+
+// Typos in placeholders would otherwise go out to clients as blank text
+emailTemplateSchema.pre('validate', function () {
+  ['subject', 'body'].forEach(field => {
+    const unknown = getPlaceholders(this[field]).filter(name => !Object.hasOwn(PLACEHOLDERS, name));
+    if (unknown.length) {
+      this.invalidate(field, `Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+    }
+  });
+});
+
+emailTemplateSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+module.exports = EmailTemplate;
+module.exports.TEMPLATE_KINDS = TEMPLATE_KINDS;
+module.exports.PLACEHOLDERS = PLACEHOLDERS;
@@ -28,6 +28,10 @@ const eventSchema = new mongoose.Schema({
       message: 'End time must be after start time'
     }
   },
+  client: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Client'
+  },
   user: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
@@ -41,6 +45,7 @@ const eventSchema = new mongoose.Schema({
 
 // Index for faster querying by user and date
 eventSchema.index({ user: 1, startTime: 1 });
+eventSchema.index({ user: 1, client: 1 });
 
 const Event = mongoose.model('Event', eventSchema);
 module.exports = Event;
\ No newline at end of file
@@ -1,4 +1,80 @@
 const mongoose = require('mongoose');
+const clientLink = require('./plugins/clientLink');
+const documentCurrency = require('./plugins/documentCurrency');
+const documentTotals = require('./plugins/documentTotals');
+const { lineItemSchema } = documentTotals;
+const sequentialNumber = require('./plugins/sequentialNumber');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// One reminder email sent for an unpaid invoice
+const reminderSchema = new mongoose.Schema({
+  // Days from the due date the reminder was scheduled for
+  offsetDays: {
+    type: Number,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentTo: {
+    type: String
+  }
+}, { _id: false });
+
+// One payment received against an invoice. Payments are voided rather than deleted so
+// the ledger keeps a full history.
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Please provide payment amount'],
+    min: [0.01, 'Payment amount must be greater than zero']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: ['Cash', 'Bank Transfer', 'Card', 'Cheque', 'Online', 'Other'],
+    default: 'Other'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment reference cannot be more than 100 characters']
+  },
+  // Where the payment was recorded first
+  source: {
+    type: String,
+    enum: ['local', 'xero', 'gateway'],
+    default: 'local'
+  },
+  xeroPaymentId: {
+    type: String
+  },
+  // Payments taken online; the id stops a repeated webhook recording it twice
+  gatewayPaymentId: {
+    type: String
+  },
+  voided: {
+    type: Boolean,
+    default: false
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Void reason cannot be more than 200 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const invoiceSchema = new mongoose.Schema({
   clientName: {
@@ -7,15 +83,72 @@ const invoiceSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Client name cannot be more than 100 characters']
   },
+  client: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Client'
+  },
+  // Total including tax, calculated from the items. Without items it is the price of a
+  // single line, which is then created for it.
   amount: {
     type: Number,
     required: [true, 'Please provide invoice amount'],
     min: [0, 'Amount cannot be negative']
   },
+  // Draft until approved; approved invoices follow their payments and due date; Void is final
   status: {
     type: String,
-    enum: ['Pending', 'Paid', 'Overdue'],
-    default: 'Pending'
+    enum: ['Draft', 'Pending', 'Sent', 'Partially Paid', 'Paid', 'Overdue', 'Void'],
+    default: 'Draft'
+  },
+  approvedAt: {
+    type: Date
+  },
+  // When the invoice was first emailed to the client
+  sentAt: {
+    type: Date
+  },
+  // The latest email of the invoice; every delivery is in EmailDelivery
+  lastSent: {
+    type: Date
+  },
+  sentTo: {
+    type: String
+  },
+  // Link the client can open without logging in; see services/invoiceLinkService.js
+  publicLink: {
+    nonce: { type: String },
+    issuedAt: { type: Date },
+    expiresAt: { type: Date },
+    revokedAt: { type: Date }
+  },
+  // Hosted checkout for the balance; see services/paymentLinkService.js
+  paymentLink: {
+    gateway: { type: String },
+    checkoutId: { type: String },
+    url: { type: String },
+    amount: { type: Number },
+    currency: { type: String },
+    createdAt: { type: Date },
+    expiresAt: { type: Date }
+  },
+  // When the client opened the public link
+  firstViewedAt: {
+    type: Date
+  },
+  lastViewedAt: {
+    type: Date
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Void reason cannot be more than 200 characters']
   },
   date: {
     type: Date,
@@ -29,6 +162,33 @@ const invoiceSchema = new mongoose.Schema({
   paidDate: {
     type: Date
   },
+  // Sum of the payments that are not voided
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  // Sum of credit notes applied to the balance
+  amountCredited: {
+    type: Number,
+    default: 0
+  },
+  // Outstanding balance, stored so it can be queried
+  amountDue: {
+    type: Number
+  },
+  payments: {
+    type: [paymentSchema],
+    default: []
+  },
+  // Never send reminders for this invoice
+  remindersDisabled: {
+    type: Boolean,
+    default: false
+  },
+  reminders: {
+    type: [reminderSchema],
+    default: []
+  },
   description: {
     type: String,
     trim: true,
@@ -39,21 +199,41 @@ const invoiceSchema = new mongoose.Schema({
     default: []
   },
   items: {
-    type: [
-      {
-        description: { type: String },
-        quantity: { type: Number, default: 1 },
-        unitAmount: { type: Number, default: 0 },
-        accountCode: { type: String, default: '200' },
-        taxAmount: { type: Number, default: 0 },
-        lineAmount: { type: Number }
-      }
-    ],
+    type: [lineItemSchema],
     default: []
   },
+  // Tax rate for lines without their own, as a decimal
   taxRate: {
     type: Number,
-    default: 0
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate must be a decimal, e.g. 0.15 for 15%']
+  },
+  // Reference shown to the client and in the accounting backend, e.g. the quote number
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot be more than 100 characters']
+  },
+  // The recurring invoice template that generated this invoice
+  recurringInvoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'RecurringInvoice'
+  },
+  xeroInvoiceId: {
+    type: String
+  },
+  xeroReference: {
+    type: String
+  },
+  xeroStatus: {
+    type: String
+  },
+  xeroSyncError: {
+    type: String
+  },
+  xeroSyncErrorDetails: {
+    type: String
   },
   user: {
     type: mongoose.Schema.ObjectId,
@@ -70,38 +250,135 @@ const invoiceSchema = new mongoose.Schema({
 invoiceSchema.index({ user: 1 });
 invoiceSchema.index({ status: 1 });
 invoiceSchema.index({ date: 1 });
+invoiceSchema.index({ xeroInvoiceId: 1 });
+invoiceSchema.index({ recurringInvoice: 1 });
+
+invoiceSchema.plugin(clientLink);
+invoiceSchema.plugin(documentCurrency);
+invoiceSchema.plugin(documentTotals);
+invoiceSchema.plugin(sequentialNumber, {
+  sequence: 'invoice',
+  numberField: 'invoiceNumber',
+  seqField: 'invoiceSeq',
+  settingsField: 'invoiceNumbering',
+  defaultPrefix: 'INV-{YYYY}-'
+});
+
+invoiceSchema.virtual('activePayments').get(function () {
+  return (this.payments || []).filter(payment => !payment.voided);
+});
+
+invoiceSchema.virtual('balanceDue').get(function () {
+  return roundAmount(Math.max((this.amount || 0) - (this.amountPaid || 0) - (this.amountCredited || 0), 0));
+});
+
+// Total the payments; the amount cannot drop below what has already been paid or credited.
+// The currency is fixed once the invoice is approved.
+invoiceSchema.pre('validate', function () {
+  if (!this.isNew && this.isModified('currency') && this.status !== 'Draft') {
+    this.invalidate('currency', 'Currency can only be changed while the invoice is a draft');
+  }
+  if (this.isModified('payments')) {
+    this.amountPaid = roundAmount(this.activePayments.reduce((sum, payment) => sum + payment.amount, 0));
+  }
+  if ((this.amountPaid || 0) + (this.amountCredited || 0) > this.amount + 0.005) {
+    this.invalidate('amount', 'Amount cannot be less than the amount already paid or credited');
+  }
+});
 
-// Calculate status before saving
+// Work out the balance and status from the payments before saving. Draft and Void are
+// only left through approveInvoice and never, respectively.
 invoiceSchema.pre('save', function (next) {
   const now = new Date();
 
-  // If manually setting to Paid, ensure paidDate is set
-  if (this.status === 'Paid' && !this.paidDate) {
-    this.paidDate = now;
+  // Invoices marked paid before payments were tracked count as paid in full
+  if (this.status === 'Paid' && this.payments.length === 0 && !this.amountPaid) {
+    this.amountPaid = this.amount;
   }
 
-  // If due date passed and not paid, mark as overdue
-  if (this.status !== 'Paid' && this.dueDate < now) {
-    this.status = 'Overdue';
+  // Nothing is owed on a voided invoice
+  this.amountDue = this.status === 'Void' ? 0 : this.balanceDue;
+  if (['Draft', 'Void'].includes(this.status)) return next();
+
+  // Settled by payments, credits or both
+  if (this.amountDue === 0 && (this.amountPaid > 0 || this.amountCredited > 0)) {
+    this.status = 'Paid';
+    if (!this.paidDate) {
+      const paymentDates = this.activePayments.map(payment => payment.date.getTime());
+      this.paidDate = paymentDates.length ? new Date(Math.max(...paymentDates)) : now;
+    }
+  } else {
+    this.paidDate = undefined;
+    if (this.dueDate < now) {
+      this.status = 'Overdue';
+    } else {
+      this.status = this.amountPaid > 0 ? 'Partially Paid' : this.sentAt ? 'Sent' : 'Pending';
+    }
   }
 
   next();
 });
 
+/**
+ * Totals a user's approved, non-void invoices for each currency. Amounts in different
+ * currencies are never added together.
+ * @param {string} userId - The invoice owner
+ * @param {Object} [options]
+ * @param {string} [options.defaultCurrency] - Currency of invoices saved without one
+ * @param {Object} [options.match] - Extra conditions, e.g. a date range
+ * @returns {Promise<Array>} - One entry per currency: count, invoiced, paid, credited, outstanding and overdue
+ */
+invoiceSchema.statics.totalsByCurrency = async function (userId, { defaultCurrency = 'USD', match = {} } = {}) {
+  const totals = await this.aggregate([
+    { $match: { ...match, user: new mongoose.Types.ObjectId(String(userId)), status: { $nin: ['Draft', 'Void'] } } },
+    { $group: {
+      _id: { $ifNull: ['$currency', defaultCurrency] },
+      count: { $sum: 1 },
+      invoiced: { $sum: '$amount' },
+      paid: { $sum: '$amountPaid' },
+      credited: { $sum: '$amountCredited' },
+      outstanding: { $sum: '$amountDue' },
+      overdue: { $sum: { $cond: [{ $eq: ['$status', 'Overdue'] }, '$amountDue', 0] } }
+    }},
+    { $sort: { invoiced: -1 } }
+  ]);
+
+  return totals.map(({ _id, count, ...amounts }) => ({
+    currency: _id,
+    count,
+    ...Object.fromEntries(Object.entries(amounts).map(([key, value]) => [key, roundAmount(value || 0)]))
+  }));
+};
+
 // Add query helper for paid invoices
 invoiceSchema.query.paid = function () {
   return this.where({ status: 'Paid' });
 };
 
+// Add query helper for draft invoices
+invoiceSchema.query.draft = function () {
+  return this.where({ status: 'Draft' });
+};
+
 // Add query helper for pending invoices
 invoiceSchema.query.pending = function () {
   return this.where({ status: 'Pending' });
 };
 
+// Add query helper for partially paid invoices
+invoiceSchema.query.partiallyPaid = function () {
+  return this.where({ status: 'Partially Paid' });
+};
+
 // Add query helper for overdue invoices
 invoiceSchema.query.overdue = function () {
   return this.where({ status: 'Overdue' });
 };
 
+// Add query helper for voided invoices
+invoiceSchema.query.voided = function () {
+  return this.where({ status: 'Void' });
+};
+
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 module.exports = Invoice;
@@ -0,0 +1,116 @@
+// models/Quote.js
+const mongoose = require('mongoose');
+const clientLink = require('./plugins/clientLink');
+const documentCurrency = require('./plugins/documentCurrency');
+const documentTotals = require('./plugins/documentTotals');
+const { lineItemSchema } = documentTotals;
+const sequentialNumber = require('./plugins/sequentialNumber');
+
+const quoteSchema = new mongoose.Schema({
+  clientName: {
+    type: String,
+    required: [true, 'Please provide client name'],
+    trim: true,
+    maxlength: [100, 'Client name cannot be more than 100 characters']
+  },
+  // Total including tax, calculated from the items. Without items it is the price of a
+  // single line, which is then created for it.
+  amount: {
+    type: Number,
+    required: [true, 'Please provide quote amount'],
+    min: [0, 'Amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['Draft', 'Sent', 'Accepted', 'Declined', 'Expired', 'Converted'],
+    default: 'Draft'
+  },
+  date: {
+    type: Date,
+    required: [true, 'Please provide quote date'],
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Please provide a validity date']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  tasks: {
+    type: [String],
+    default: []
+  },
+  items: {
+    type: [lineItemSchema],
+    default: []
+  },
+  // Tax rate for lines without their own, as a decimal
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate must be a decimal, e.g. 0.15 for 15%']
+  },
+  sentTo: {
+    type: String
+  },
+  lastSent: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  declinedAt: {
+    type: Date
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Decline reason cannot be more than 500 characters']
+  },
+  convertedAt: {
+    type: Date
+  },
+  convertedInvoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice'
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for faster querying
+quoteSchema.index({ user: 1, status: 1 });
+quoteSchema.index({ user: 1, date: -1 });
+
+quoteSchema.plugin(clientLink);
+quoteSchema.plugin(documentCurrency);
+quoteSchema.plugin(documentTotals);
+quoteSchema.plugin(sequentialNumber, {
+  sequence: 'quote',
+  numberField: 'quoteNumber',
+  seqField: 'quoteSeq',
+  settingsField: 'quoteNumbering',
+  defaultPrefix: 'QU-{YYYY}-'
+});
+
+// Quotes nobody answered lapse once their validity date passes
+quoteSchema.pre('save', function (next) {
+  if (['Draft', 'Sent'].includes(this.status) && this.validUntil < new Date()) {
+    this.status = 'Expired';
+  }
+  next();
+});
+
+const Quote = mongoose.model('Quote', quoteSchema);
+module.exports = Quote;
@@ -0,0 +1,134 @@
+// models/RecurringInvoice.js
+// A template the scheduler turns into a real invoice on every run date
+const mongoose = require('mongoose');
+const clientLink = require('./plugins/clientLink');
+const documentCurrency = require('./plugins/documentCurrency');
+const documentTotals = require('./plugins/documentTotals');
+const { lineItemSchema } = documentTotals;
+
+const recurringInvoiceSchema = new mongoose.Schema({
+  clientName: {
+    type: String,
+    required: [true, 'Please provide client name'],
+    trim: true,
+    maxlength: [100, 'Client name cannot be more than 100 characters']
+  },
+  // Total including tax, calculated from the items. Without items it is the price of a
+  // single line, which is then created for it.
+  amount: {
+    type: Number,
+    required: [true, 'Please provide invoice amount'],
+    min: [0, 'Amount cannot be negative']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  tasks: {
+    type: [String],
+    default: []
+  },
+  items: {
+    type: [lineItemSchema],
+    default: []
+  },
+  // Tax rate for lines without their own, as a decimal
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate must be a decimal, e.g. 0.15 for 15%']
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'fortnightly', 'monthly', 'quarterly', 'yearly'],
+    required: [true, 'Please provide a frequency']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  // Last date an invoice may be generated on; runs forever when empty
+  endDate: {
+    type: Date
+  },
+  // Days between each invoice's date and its due date
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Payment terms cannot be negative']
+  },
+  // Email each generated invoice straight away
+  autoSend: {
+    type: Boolean,
+    default: false
+  },
+  // Recipient for auto-sent invoices; the client's stored email is used when empty
+  recipientEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Paused', 'Completed'],
+    default: 'Active'
+  },
+  // Index of the next run, counted from the start date so monthly runs on the 31st do not drift.
+  // Includes runs skipped while paused.
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  nextRunDate: {
+    type: Date
+  },
+  lastRunDate: {
+    type: Date
+  },
+  lastInvoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice'
+  },
+  lastError: {
+    type: String
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The scheduler looks for active templates that are due
+recurringInvoiceSchema.index({ status: 1, nextRunDate: 1 });
+recurringInvoiceSchema.index({ user: 1, createdAt: -1 });
+
+recurringInvoiceSchema.plugin(clientLink);
+recurringInvoiceSchema.plugin(documentCurrency);
+recurringInvoiceSchema.plugin(documentTotals);
+
+recurringInvoiceSchema.pre('validate', function () {
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+});
+
+// Update timestamp on save
+recurringInvoiceSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const RecurringInvoice = mongoose.model('RecurringInvoice', recurringInvoiceSchema);
+module.exports = RecurringInvoice;
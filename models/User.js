@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_CURRENCY, isCurrencyCode } = require('../utils/money');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -46,6 +47,149 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Currency new invoices and quotes are billed in unless they say otherwise
+  defaultCurrency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: DEFAULT_CURRENCY,
+    validate: {
+      validator: isCurrencyCode,
+      message: props => `${props.value} is not a valid currency code!`,
+    },
+  },
+  // Format of new invoice numbers, e.g. INV-{YYYY}- with padding 4 gives INV-2026-0042
+  invoiceNumbering: {
+    prefix: {
+      type: String,
+      trim: true,
+      default: 'INV-{YYYY}-',
+      maxlength: [20, 'Invoice number prefix cannot be more than 20 characters'],
+    },
+    padding: {
+      type: Number,
+      default: 4,
+      min: [1, 'Invoice number padding must be at least 1'],
+      max: [10, 'Invoice number padding cannot be more than 10'],
+    },
+  },
+  // Format of new quote numbers, e.g. QU-{YYYY}- with padding 4 gives QU-2026-0007
+  quoteNumbering: {
+    prefix: {
+      type: String,
+      trim: true,
+      default: 'QU-{YYYY}-',
+      maxlength: [20, 'Quote number prefix cannot be more than 20 characters'],
+    },
+    padding: {
+      type: Number,
+      default: 4,
+      min: [1, 'Quote number padding must be at least 1'],
+      max: [10, 'Quote number padding cannot be more than 10'],
+    },
+  },
+  // Format of new credit note numbers, e.g. CN-{YYYY}- with padding 4 gives CN-2026-0003
+  creditNoteNumbering: {
+    prefix: {
+      type: String,
+      trim: true,
+      default: 'CN-{YYYY}-',
+      maxlength: [20, 'Credit note number prefix cannot be more than 20 characters'],
+    },
+    padding: {
+      type: Number,
+      default: 4,
+      min: [1, 'Credit note number padding must be at least 1'],
+      max: [10, 'Credit note number padding cannot be more than 10'],
+    },
+  },
+  // Reminder emails for unpaid invoices, sent on days relative to the due date
+  // (negative before it, positive after it)
+  invoiceReminders: {
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    schedule: {
+      type: [{
+        type: Number,
+        min: [-60, 'Reminders cannot be sent more than 60 days before the due date'],
+        max: [365, 'Reminders cannot be sent more than 365 days after the due date'],
+      }],
+      default: [-3, 0, 7, 14],
+    },
+  },
+  // Business details printed on invoice and quote PDFs
+  businessProfile: {
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [120, 'Legal name cannot be more than 120 characters'],
+    },
+    // One line per address line
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot be more than 300 characters'],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: [30, 'Phone number cannot be more than 30 characters'],
+    },
+    // Company registration number, e.g. a UK company number or Nigerian RC number
+    registrationNumber: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Registration number cannot be more than 50 characters'],
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Tax ID cannot be more than 50 characters'],
+    },
+    // What the tax ID is called where the business is registered, e.g. VAT Number or TIN
+    taxIdLabel: {
+      type: String,
+      trim: true,
+      default: 'Tax ID',
+      maxlength: [30, 'Tax ID label cannot be more than 30 characters'],
+    },
+    // Bank details or other instructions printed on invoices
+    paymentInstructions: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Payment instructions cannot be more than 1000 characters'],
+    },
+    accentColor: {
+      type: String,
+      trim: true,
+      default: '#2c3e50',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Accent color must be a hex color such as #2c3e50'],
+    },
+    pdfTemplate: {
+      type: String,
+      enum: ['classic', 'modern', 'minimal'],
+      default: 'classic',
+    },
+    // PNG or JPEG, the formats PDFs can embed; only loaded when a PDF is drawn
+    logo: {
+      data: {
+        type: Buffer,
+        select: false,
+      },
+      contentType: {
+        type: String,
+        enum: ['image/png', 'image/jpeg'],
+      },
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
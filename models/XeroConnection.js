@@ -0,0 +1,71 @@
+// models/XeroConnection.js
+const mongoose = require('mongoose');
+
+const xeroConnectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true // One Xero connection per user
+  },
+  tokenSet: {
+    type: Object,
+    select: false
+  },
+  tenants: {
+    type: [
+      {
+        tenantId: { type: String, required: true },
+        tenantName: { type: String },
+        tenantType: { type: String }
+      }
+    ],
+    default: []
+  },
+  tenantId: {
+    type: String
+  },
+  needsReconnect: {
+    type: Boolean,
+    default: false
+  },
+  reconnectReason: {
+    type: String
+  },
+  lastReconciledAt: {
+    type: Date
+  },
+  // Codes from the active tenant used when pushing invoices and payments
+  mappings: {
+    salesAccountCode: { type: String, trim: true },
+    bankAccountCode: { type: String, trim: true },
+    // One Xero tax type per tax rate, so each line is posted with a type that charges its rate
+    taxTypes: {
+      type: [
+        {
+          _id: false,
+          taxRate: { type: Number, required: true },
+          taxType: { type: String, trim: true, required: true }
+        }
+      ],
+      default: undefined
+    }
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+xeroConnectionSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const XeroConnection = mongoose.model('XeroConnection', xeroConnectionSchema);
+module.exports = XeroConnection;
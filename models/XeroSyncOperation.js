@@ -0,0 +1,92 @@
+// models/XeroSyncOperation.js
+const mongoose = require('mongoose');
+
+const xeroSyncOperationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['create_invoice', 'update_invoice', 'mark_invoice_paid', 'void_payment', 'create_credit_note', 'void_invoice'],
+    required: true
+  },
+  // The local payment (invoice.payments) a payment operation is for
+  payment: {
+    type: mongoose.Schema.ObjectId
+  },
+  // The credit note a create_credit_note operation pushes
+  creditNote: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'CreditNote'
+  },
+  payload: {
+    type: Object,
+    default: {}
+  },
+  // Counts how often enqueue has set the payload, so a replaced payload gets a new idempotency key
+  payloadVersion: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  lastErrorDetails: {
+    type: String
+  },
+  result: {
+    type: Object
+  },
+  completedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for the worker's due-operation scan and per-invoice lookups
+xeroSyncOperationSchema.index({ status: 1, nextAttemptAt: 1 });
+xeroSyncOperationSchema.index({ invoice: 1, operation: 1, status: 1 });
+xeroSyncOperationSchema.index({ user: 1, status: 1 });
+
+// Update timestamp on save
+xeroSyncOperationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const XeroSyncOperation = mongoose.model('XeroSyncOperation', xeroSyncOperationSchema);
+module.exports = XeroSyncOperation;
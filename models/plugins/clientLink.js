@@ -0,0 +1,46 @@
+// models/plugins/clientLink.js
+// Keeps a document's free-text clientName and its client reference in step
+const Client = require('../Client');
+
+module.exports = function clientLink(schema) {
+  schema.index({ user: 1, client: 1 });
+
+  // Link new documents to the client directory, adding clients seen for the first time,
+  // and re-link saved documents whose clientName changed
+  schema.pre('validate', async function () {
+    if (!this.user) return;
+
+    if (!this.isNew) {
+      if (this.isModified('clientName') && !this.isModified('client') && this.clientName) {
+        const client = await Client.findOrCreateByName(this.user, this.clientName);
+        this.client = client._id;
+      }
+      return;
+    }
+
+    if (this.client) {
+      const client = await Client.findOne({ _id: this.client, user: this.user });
+      if (!client) {
+        this.invalidate('client', 'No client found with that ID');
+      } else if (!this.clientName) {
+        this.clientName = client.name;
+      }
+    } else if (this.clientName) {
+      const client = await Client.findOrCreateByName(this.user, this.clientName);
+      this.client = client._id;
+    }
+  });
+
+  // Re-link the client when an update renames it
+  schema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate();
+    const clientName = update.clientName ?? update.$set?.clientName;
+    if (!clientName || update.client || update.$set?.client) return;
+
+    const doc = await this.model.findOne(this.getQuery()).select('user');
+    if (!doc) return;
+
+    const client = await Client.findOrCreateByName(doc.user, clientName);
+    this.set('client', client._id);
+  });
+};
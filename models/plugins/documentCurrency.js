@@ -0,0 +1,26 @@
+// models/plugins/documentCurrency.js
+// Gives a billing document a currency, taken from the owner's default when none is given
+const User = require('../User');
+const { DEFAULT_CURRENCY, isCurrencyCode } = require('../../utils/money');
+
+module.exports = function documentCurrency(schema) {
+  schema.add({
+    // ISO 4217 code, e.g. GBP
+    currency: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      validate: {
+        validator: isCurrencyCode,
+        message: props => `${props.value} is not a valid currency code`
+      }
+    }
+  });
+
+  schema.pre('validate', async function () {
+    if (!this.isNew || this.currency) return;
+
+    const user = this.user && await User.findById(this.user).select('defaultCurrency');
+    this.currency = user?.defaultCurrency || DEFAULT_CURRENCY;
+  });
+};
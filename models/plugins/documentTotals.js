@@ -0,0 +1,110 @@
+// models/plugins/documentTotals.js
+// Derives a document's line amounts, tax and totals from its items and stores them, so
+// amount is never set independently of the lines
+const mongoose = require('mongoose');
+const { calculateTotals } = require('../../utils/invoiceTotals');
+
+const rateField = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  max: [1, `${label} must be a decimal, e.g. 0.15 for 15%`]
+});
+
+// One line on an invoice, quote or recurring invoice. discountAmount, lineAmount and
+// taxAmount are worked out on save.
+const lineItemSchema = new mongoose.Schema({
+  description: { type: String },
+  quantity: { type: Number, default: 1 },
+  unitAmount: { type: Number, default: 0 },
+  // Falls back to the document's tax rate when empty
+  taxRate: rateField('Tax rate'),
+  discountRate: rateField('Discount rate'),
+  accountCode: { type: String },
+  taxType: { type: String },
+  discountAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  lineAmount: { type: Number }
+});
+
+// Changing any of these recalculates the totals
+const TOTAL_INPUTS = ['items', 'amount', 'taxRate', 'taxMode', 'discountRate', 'discount'];
+
+module.exports = function documentTotals(schema) {
+  schema.add({
+    // Whether unit amounts include tax
+    taxMode: {
+      type: String,
+      enum: ['exclusive', 'inclusive'],
+      default: 'exclusive'
+    },
+    // Discount on the whole document, as a rate or a fixed amount
+    discountRate: rateField('Discount rate'),
+    discount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative']
+    },
+    // After discounts, before tax
+    subtotal: {
+      type: Number
+    },
+    discountTotal: {
+      type: Number
+    },
+    taxTotal: {
+      type: Number
+    },
+    total: {
+      type: Number
+    }
+  });
+
+  // Runs before the other validators so amount checks see the calculated total. Saved
+  // documents are only recalculated when their lines or rates change, so totals stored
+  // before this existed are left alone.
+  schema.pre('validate', function () {
+    if (!this.isNew && !TOTAL_INPUTS.some(field => this.isModified(field))) return;
+
+    if (this.discountRate && this.discount) {
+      this.invalidate('discount', 'Use either a discount rate or a fixed discount, not both');
+      return;
+    }
+
+    // Without items the amount is the price of a single line. Setting the amount on a saved
+    // document replaces its one line, keeping that line's own rates, but cannot say how to
+    // spread it over several.
+    const amountChanged = this.items.length === 0 ||
+      (!this.isNew && this.isModified('amount') && !this.isModified('items'));
+    if (amountChanged) {
+      if (typeof this.amount !== 'number') return;
+      if (this.items.length > 1) {
+        this.invalidate('amount', 'Amount is calculated from the line items; change the items instead');
+        return;
+      }
+      const [line] = this.items;
+      this.items = [{
+        description: line?.description || this.description || 'Invoice item',
+        quantity: 1,
+        unitAmount: this.amount,
+        ...(line?.taxRate != null && { taxRate: line.taxRate }),
+        ...(line?.discountRate != null && { discountRate: line.discountRate }),
+        ...(line?.accountCode && { accountCode: line.accountCode }),
+        ...(line?.taxType && { taxType: line.taxType })
+      }];
+    }
+
+    const totals = calculateTotals(this);
+    totals.lines.forEach((line, index) => {
+      const item = this.items[index];
+      item.discountAmount = line.discountAmount;
+      item.lineAmount = line.lineAmount;
+      item.taxAmount = line.taxAmount;
+    });
+    this.subtotal = totals.subtotal;
+    this.discountTotal = totals.discountTotal;
+    this.taxTotal = totals.taxTotal;
+    this.total = totals.total;
+    this.amount = totals.total;
+  });
+};
+
+module.exports.lineItemSchema = lineItemSchema;
@@ -0,0 +1,41 @@
+// models/plugins/sequentialNumber.js
+// Numbers new documents from the owner's atomic sequence, whichever path creates them
+const mongoose = require('mongoose');
+const Counter = require('../Counter');
+const formatDocumentNumber = require('../../utils/documentNumber');
+
+/**
+ * @param {Object} schema - The schema to extend
+ * @param {Object} options
+ * @param {string} options.sequence - Counter name, e.g. "invoice"
+ * @param {string} options.numberField - Field holding the formatted number, e.g. "invoiceNumber"
+ * @param {string} options.seqField - Field holding the raw sequence value, e.g. "invoiceSeq"
+ * @param {string} options.settingsField - User field with { prefix, padding }, e.g. "invoiceNumbering"
+ * @param {string} options.defaultPrefix - Prefix used when the user has none
+ * @param {string} [options.dateField] - Field whose year fills {YYYY} in the prefix
+ */
+module.exports = function sequentialNumber(schema, options) {
+  const { sequence, numberField, seqField, settingsField, defaultPrefix, dateField = 'date' } = options;
+
+  schema.add({
+    [numberField]: { type: String, trim: true },
+    // Position in the user's sequence, so "invoice 42" can be found
+    [seqField]: { type: Number }
+  });
+
+  schema.index({ user: 1, [seqField]: 1 });
+  schema.index(
+    { user: 1, [numberField]: 1 },
+    { unique: true, partialFilterExpression: { [numberField]: { $type: 'string' } } }
+  );
+
+  schema.pre('validate', async function () {
+    if (!this.isNew || this[numberField] || !this.user) return;
+
+    const owner = await mongoose.model('User').findById(this.user).select(settingsField);
+    const { prefix, padding } = owner?.[settingsField] || {};
+
+    this[seqField] = await Counter.nextSequence(this.user, sequence);
+    this[numberField] = formatDocumentNumber(prefix ?? defaultPrefix, padding || 4, this[seqField], this[dateField]);
+  });
+};
@@ -0,0 +1,27 @@
+// routes/businessProfileRoutes.js
+const express = require('express');
+const multer = require('multer');
+const businessProfileController = require('../controllers/businessProfileController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+const upload = multer({ limits: { fileSize: 1024 * 1024 } });
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(businessProfileController.getBusinessProfile)
+  .patch(businessProfileController.updateBusinessProfile);
+
+router.get('/templates', businessProfileController.getPdfTemplates);
+
+router
+  .route('/logo')
+  .get(businessProfileController.getLogo)
+  .put(upload.single('logo'), businessProfileController.uploadLogo)
+  .delete(businessProfileController.deleteLogo);
+
+module.exports = router;
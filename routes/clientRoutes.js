@@ -0,0 +1,22 @@
+// routes/clientRoutes.js
+const express = require('express');
+const clientController = require('../controllers/clientController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(clientController.getAllClients)
+  .post(clientController.createClient);
+
+router
+  .route('/:id')
+  .get(clientController.getClient)
+  .patch(clientController.updateClient)
+  .delete(clientController.deleteClient);
+
+module.exports = router;
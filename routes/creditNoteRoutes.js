@@ -0,0 +1,24 @@
+// routes/creditNoteRoutes.js
+const express = require('express');
+const creditNoteController = require('../controllers/creditNoteController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(creditNoteController.getAllCreditNotes)
+  .post(creditNoteController.createCreditNote);
+
+router
+  .route('/numbering')
+  .get(creditNoteController.getNumberingSettings)
+  .patch(creditNoteController.updateNumberingSettings);
+
+router.get('/:id', creditNoteController.getCreditNote);
+router.get('/:id/pdf', creditNoteController.getCreditNotePDF);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/emailTemplateRoutes.js
+const express = require('express');
+const emailTemplateController = require('../controllers/emailTemplateController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router.get('/', emailTemplateController.getEmailTemplates);
+
+router
+  .route('/:kind')
+  .get(emailTemplateController.getEmailTemplate)
+  .put(emailTemplateController.updateEmailTemplate)
+  .delete(emailTemplateController.resetEmailTemplate);
+
+router.post('/:kind/preview', emailTemplateController.previewEmailTemplate);
+
+module.exports = router;
@@ -14,12 +14,49 @@ router
   .post(invoiceController.createInvoice);
 
 router.get('/counts', invoiceController.getInvoiceCounts);
+router.get('/totals', invoiceController.getInvoiceTotals);
+router.post('/preview', invoiceController.previewInvoicePDF);
+
+router
+  .route('/currency')
+  .get(invoiceController.getCurrencySettings)
+  .patch(invoiceController.updateCurrencySettings);
+
+router
+  .route('/numbering')
+  .get(invoiceController.getNumberingSettings)
+  .patch(invoiceController.updateNumberingSettings);
+
+router
+  .route('/reminders')
+  .get(invoiceController.getReminderSettings)
+  .patch(invoiceController.updateReminderSettings);
 
 router
   .route('/:id')
   .patch(invoiceController.updateInvoice)
   .delete(invoiceController.deleteInvoice);
 
+router.get('/:id/pdf', invoiceController.getInvoicePDF);
+router.get('/:id/deliveries', invoiceController.getDeliveries);
+
+router
+  .route('/:id/public-link')
+  .get(invoiceController.getPublicLink)
+  .post(invoiceController.createPublicLink)
+  .delete(invoiceController.revokePublicLink);
+
+router.post('/:id/payment-link', invoiceController.createPaymentLink);
+
+router.post('/:id/approve', invoiceController.approveInvoice);
+router.post('/:id/void', invoiceController.voidInvoice);
 router.patch('/:id/mark-paid', invoiceController.markAsPaid);
 
+router
+  .route('/:id/payments')
+  .get(invoiceController.getPayments)
+  .post(invoiceController.recordPayment);
+
+router.post('/:id/payments/:paymentId/void', invoiceController.voidPayment);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+// routes/paymentRoutes.js
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Gateway webhooks are authenticated by their signature, not a user token
+router.post('/webhooks/:gateway', paymentController.webhook);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// routes/publicInvoiceRoutes.js
+// No login: the signed token in the URL grants access to one invoice
+const express = require('express');
+const publicInvoiceController = require('../controllers/publicInvoiceController');
+
+const router = express.Router();
+
+router.get('/:token', publicInvoiceController.getPublicInvoice);
+router.get('/:token/pdf', publicInvoiceController.getPublicInvoicePDF);
+
+module.exports = router;
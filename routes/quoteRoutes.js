@@ -0,0 +1,33 @@
+// routes/quoteRoutes.js
+const express = require('express');
+const quoteController = require('../controllers/quoteController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(quoteController.getAllQuotes)
+  .post(quoteController.createQuote);
+
+router
+  .route('/numbering')
+  .get(quoteController.getNumberingSettings)
+  .patch(quoteController.updateNumberingSettings);
+
+router
+  .route('/:id')
+  .get(quoteController.getQuote)
+  .patch(quoteController.updateQuote)
+  .delete(quoteController.deleteQuote);
+
+router.get('/:id/pdf', quoteController.getQuotePDF);
+router.post('/:id/send', quoteController.sendQuote);
+router.post('/:id/accept', quoteController.acceptQuote);
+router.post('/:id/decline', quoteController.declineQuote);
+router.post('/:id/convert', quoteController.convertQuote);
+
+module.exports = router;
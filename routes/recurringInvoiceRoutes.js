@@ -0,0 +1,26 @@
+// routes/recurringInvoiceRoutes.js
+const express = require('express');
+const recurringInvoiceController = require('../controllers/recurringInvoiceController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(recurringInvoiceController.getAllRecurringInvoices)
+  .post(recurringInvoiceController.createRecurringInvoice);
+
+router
+  .route('/:id')
+  .get(recurringInvoiceController.getRecurringInvoice)
+  .patch(recurringInvoiceController.updateRecurringInvoice)
+  .delete(recurringInvoiceController.deleteRecurringInvoice);
+
+router.post('/:id/pause', recurringInvoiceController.pauseRecurringInvoice);
+router.post('/:id/resume', recurringInvoiceController.resumeRecurringInvoice);
+router.get('/:id/preview', recurringInvoiceController.previewRecurringInvoice);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// routes/simulatedGatewayRoutes.js
+// Hosted checkout of the simulated payment gateway; answers 404 unless PAYMENT_GATEWAY=simulated
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+router.get('/checkout/:token', paymentController.getSimulatedCheckout);
+router.post('/checkout/:token/pay', paymentController.paySimulatedCheckout);
+
+module.exports = router;
@@ -1,15 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const XeroController = require('../controllers/xeroController');
+const authController = require('../controllers/authController');
+
+// Xero webhooks are authenticated by their signature, not a user token
+router.post('/webhooks', XeroController.webhook);
+
+// OAuth callback, a browser redirect identified by its signed state
+router.get('/callback', XeroController.callback);
+
+// Protect all routes after this middleware
+router.use(authController.protect);
 
 // Connect user to Xero
 router.get('/connect', XeroController.connect);
 
-// OAuth callback
-router.get('/callback', XeroController.callback);
+// Connection status, organisations and disconnect
+router.get('/status', XeroController.getStatus);
+router.get('/tenants', XeroController.getTenants);
+router.patch('/tenants/active', XeroController.selectTenant);
+router.post('/disconnect', XeroController.disconnect);
 
 // Invoice routes
 router.post('/invoice', XeroController.createInvoice);
 router.get('/invoice', XeroController.getInvoices);
 
+// Contact routes
+router.post('/contacts/import', XeroController.importContacts);
+
+// Sync queue routes
+router.get('/sync/failed', XeroController.getFailedSyncOperations);
+router.post('/sync/:id/retry', XeroController.retrySyncOperation);
+
+// Account, bank and tax mappings
+router
+  .route('/settings')
+  .get(XeroController.getSettings)
+  .patch(XeroController.updateSettings);
+router.get('/settings/options', XeroController.getAccountingOptions);
+
+// Pull payments and status changes from Xero
+router.post('/reconcile', XeroController.reconcile);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,65 @@
+// services/accounting/index.js
+// Chooses the accounting backend invoices are pushed to. Invoice code only talks to the
+// provider returned here, so another backend (e.g. QuickBooks) only needs to implement
+// the interface below and be registered.
+const xeroProvider = require('./xeroProvider');
+const localLedgerProvider = require('./localLedgerProvider');
+
+/**
+ * @typedef {Object} AccountingSyncResult
+ * @property {string} status - completed | queued
+ * @property {Object} [result] - What the backend returned when the call completed
+ * @property {string} [error] - Why the call has not completed yet
+ */
+
+/**
+ * @typedef {Object} AccountingProvider
+ * @property {string} name - Provider key
+ * @property {function(string): Promise<boolean>} isConnected - Whether the user can sync
+ * @property {function(string, Object, Object): Promise<AccountingSyncResult|null>} createInvoice
+ *   - Pushes a newly approved local invoice; null when the user is not connected. Items carry their
+ *   calculated discount, line and tax amounts, and data.taxMode says whether line amounts include tax
+ * @property {function(string, Object, Object): Promise<AccountingSyncResult|null>} updateInvoice
+ *   - Pushes changes to an invoice; null when the backend does not have the invoice
+ * @property {function(string, Object, Object): Promise<AccountingSyncResult|null>} recordPayment
+ *   - Records one payment ({ amount, date, reference, paymentId }); null when the backend does not have the invoice
+ * @property {function(string, Object, Object): Promise<AccountingSyncResult|null>} voidPayment
+ *   - Reverses a recorded payment (the local payment subdocument); null when the backend does not have it
+ * @property {function(string, Object): Promise<AccountingSyncResult|null>} voidInvoice
+ *   - Voids the invoice; null when the backend does not have it
+ * @property {function(string, Object, Object): Promise<AccountingSyncResult|null>} createCreditNote
+ *   - Pushes a credit note against the invoice; null when the backend does not have the invoice
+ * @property {function(string, Object=): Promise<Array>} listInvoices - Invoices held by the backend
+ * @property {function(string): Promise<Array>} listContacts - Contacts held by the backend
+ */
+
+const providers = {
+  [xeroProvider.name]: xeroProvider,
+  [localLedgerProvider.name]: localLedgerProvider
+};
+
+/**
+ * Registers an additional accounting provider
+ * @param {AccountingProvider} provider - The provider implementation
+ */
+const registerAccountingProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+/**
+ * Gets the provider selected by ACCOUNTING_PROVIDER (defaults to Xero)
+ * @returns {AccountingProvider}
+ */
+const getAccountingProvider = () => {
+  const name = process.env.ACCOUNTING_PROVIDER || xeroProvider.name;
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown accounting provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getAccountingProvider,
+  registerAccountingProvider
+};
@@ -0,0 +1,244 @@
+// services/accounting/localLedgerProvider.js
+// Accounting provider that keeps its own ledger with no network calls, for development
+// and automated tests. The ledger lives in memory, or in a JSON file when
+// LOCAL_LEDGER_FILE is set so it survives restarts.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+let ledger = null;
+
+const emptyLedger = () => ({ invoices: [], payments: [], creditNotes: [], contacts: [] });
+
+const loadLedger = () => {
+  if (ledger) return ledger;
+
+  const file = process.env.LOCAL_LEDGER_FILE;
+  if (file && fs.existsSync(file)) {
+    ledger = { ...emptyLedger(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } else {
+    ledger = emptyLedger();
+  }
+  return ledger;
+};
+
+const saveLedger = () => {
+  const file = process.env.LOCAL_LEDGER_FILE;
+  if (!file) return;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write then rename so a crash never leaves a half-written ledger
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(ledger, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Builds ledger lines from the invoice data
+ * @param {Object} data - The invoice data (items, or amount and description)
+ * @returns {Array}
+ */
+const buildLines = (data) => {
+  if (Array.isArray(data.items) && data.items.length > 0) {
+    return data.items.map(item => ({
+      description: item.description || 'Product/Service',
+      quantity: item.quantity || 1,
+      unitAmount: item.unitAmount || item.amount || 0,
+      lineAmount: item.lineAmount ?? (item.quantity || 1) * (item.unitAmount || item.amount || 0),
+      taxAmount: item.taxAmount || 0
+    }));
+  }
+
+  return [{
+    description: data.description || 'Invoice item',
+    quantity: 1,
+    unitAmount: data.amount || 0,
+    lineAmount: data.amount || 0,
+    taxAmount: 0
+  }];
+};
+
+/**
+ * Finds the user's ledger contact with this name, adding it if there is none
+ * @param {string} userId - The contact owner
+ * @param {string} name - The contact name
+ * @param {string} [email] - Email for a new contact
+ * @returns {Object}
+ */
+const findOrAddContact = (userId, name, email) => {
+  const contacts = loadLedger().contacts;
+  const existing = contacts.find(contact => contact.userId === userId && contact.name.toLowerCase() === name.toLowerCase());
+  if (existing) return existing;
+
+  const contact = { contactID: crypto.randomUUID(), userId, name, ...(email && { email }) };
+  contacts.push(contact);
+  return contact;
+};
+
+const findLedgerInvoice = (userId, invoice) => {
+  return loadLedger().invoices.find(entry => entry.userId === userId && entry.localInvoiceId === invoice._id.toString());
+};
+
+// Tax is added to the line amounts unless they already include it
+const setTotals = (entry) => {
+  const lineTotal = entry.lineItems.reduce((sum, line) => sum + line.lineAmount, 0);
+  const taxTotal = entry.lineItems.reduce((sum, line) => sum + (line.taxAmount || 0), 0);
+  entry.total = roundAmount(entry.lineAmountTypes === 'Inclusive' ? lineTotal : lineTotal + taxTotal);
+  entry.amountCredited = entry.amountCredited || 0;
+  entry.amountDue = roundAmount(Math.max(entry.total - entry.amountPaid - entry.amountCredited, 0));
+  if (entry.status === 'VOIDED') {
+    entry.amountDue = 0;
+  } else {
+    entry.status = entry.amountDue === 0 && (entry.amountPaid > 0 || entry.amountCredited > 0) ? 'PAID' : 'AUTHORISED';
+  }
+  entry.updatedAt = new Date().toISOString();
+};
+
+const localLedgerProvider = {
+  name: 'local',
+
+  isConnected: async () => true,
+
+  createInvoice: async (userId, invoice, data) => {
+    userId = userId.toString();
+
+    // Creating the same local invoice twice returns the first ledger entry
+    let entry = findLedgerInvoice(userId, invoice);
+    if (!entry) {
+      const contact = findOrAddContact(userId, data.contactName, data.contactEmail);
+      entry = {
+        invoiceID: crypto.randomUUID(),
+        userId,
+        localInvoiceId: invoice._id.toString(),
+        contact: { contactID: contact.contactID, name: contact.name },
+        lineItems: buildLines(data),
+        lineAmountTypes: data.taxMode === 'inclusive' ? 'Inclusive' : 'Exclusive',
+        ...(data.currency && { currencyCode: data.currency }),
+        amountPaid: 0,
+        date: data.date.toISOString(),
+        dueDate: data.dueDate.toISOString(),
+        reference: data.reference
+      };
+      setTotals(entry);
+      loadLedger().invoices.push(entry);
+      saveLedger();
+    }
+
+    return { status: 'completed', result: entry };
+  },
+
+  updateInvoice: async (userId, invoice, data) => {
+    userId = userId.toString();
+    const entry = findLedgerInvoice(userId, invoice);
+    if (!entry) return null;
+
+    const contact = findOrAddContact(userId, data.contactName);
+    entry.contact = { contactID: contact.contactID, name: contact.name };
+    entry.lineItems = buildLines(data);
+    entry.lineAmountTypes = data.taxMode === 'inclusive' ? 'Inclusive' : 'Exclusive';
+    if (data.reference) entry.reference = data.reference;
+    setTotals(entry);
+    saveLedger();
+
+    return { status: 'completed', result: entry };
+  },
+
+  recordPayment: async (userId, invoice, { amount, date, reference, paymentId }) => {
+    userId = userId.toString();
+    const entry = findLedgerInvoice(userId, invoice);
+    if (!entry) return null;
+
+    const payment = {
+      paymentID: crypto.randomUUID(),
+      userId,
+      invoiceID: entry.invoiceID,
+      ...(paymentId && { localPaymentId: paymentId.toString() }),
+      amount,
+      date: date.toISOString(),
+      ...(reference && { reference }),
+      status: 'AUTHORISED'
+    };
+    loadLedger().payments.push(payment);
+    entry.amountPaid = roundAmount(entry.amountPaid + amount);
+    setTotals(entry);
+    saveLedger();
+
+    return { status: 'completed', result: { ...payment, invoiceStatus: entry.status } };
+  },
+
+  voidPayment: async (userId, invoice, payment) => {
+    userId = userId.toString();
+    const entry = findLedgerInvoice(userId, invoice);
+    const ledgerPayment = entry && loadLedger().payments.find(p =>
+      p.invoiceID === entry.invoiceID && p.localPaymentId === payment._id.toString() && p.status !== 'DELETED');
+    if (!ledgerPayment) return null;
+
+    ledgerPayment.status = 'DELETED';
+    entry.amountPaid = roundAmount(entry.amountPaid - ledgerPayment.amount);
+    setTotals(entry);
+    saveLedger();
+
+    return { status: 'completed', result: { ...ledgerPayment, invoiceStatus: entry.status } };
+  },
+
+  voidInvoice: async (userId, invoice) => {
+    userId = userId.toString();
+    const entry = findLedgerInvoice(userId, invoice);
+    if (!entry) return null;
+
+    entry.status = 'VOIDED';
+    setTotals(entry);
+    saveLedger();
+
+    return { status: 'completed', result: entry };
+  },
+
+  createCreditNote: async (userId, invoice, creditNote) => {
+    userId = userId.toString();
+    const entry = findLedgerInvoice(userId, invoice);
+    if (!entry) return null;
+
+    // Creating the same local credit note twice returns the first ledger entry
+    const creditNotes = loadLedger().creditNotes;
+    let ledgerCreditNote = creditNotes.find(c => c.localCreditNoteId === creditNote._id.toString());
+    if (!ledgerCreditNote) {
+      ledgerCreditNote = {
+        creditNoteID: crypto.randomUUID(),
+        userId,
+        invoiceID: entry.invoiceID,
+        localCreditNoteId: creditNote._id.toString(),
+        type: 'ACCRECCREDIT',
+        lineItems: buildLines({ items: creditNote.items, amount: creditNote.amount, description: creditNote.reason }),
+        total: creditNote.amount,
+        allocated: creditNote.amountApplied,
+        date: creditNote.date.toISOString()
+      };
+      creditNotes.push(ledgerCreditNote);
+      entry.amountCredited = roundAmount((entry.amountCredited || 0) + creditNote.amountApplied);
+      setTotals(entry);
+      saveLedger();
+    }
+
+    return { status: 'completed', result: { ...ledgerCreditNote, invoiceStatus: entry.status } };
+  },
+
+  listInvoices: async (userId, { modifiedSince } = {}) => {
+    userId = userId.toString();
+    return loadLedger().invoices.filter(entry => entry.userId === userId &&
+      (!modifiedSince || new Date(entry.updatedAt) > modifiedSince));
+  },
+
+  listContacts: async (userId) => {
+    userId = userId.toString();
+    return loadLedger().contacts.filter(contact => contact.userId === userId);
+  },
+
+  // Empties the ledger (and its file), e.g. between automated test runs
+  reset: () => {
+    ledger = emptyLedger();
+    saveLedger();
+  }
+};
+
+module.exports = localLedgerProvider;
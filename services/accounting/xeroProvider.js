@@ -0,0 +1,202 @@
+// services/accounting/xeroProvider.js
+// Accounting provider backed by Xero. Writes go through the durable sync queue so a
+// Xero outage never loses an invoice change.
+const XeroService = require('../actionHandlers/xeroService');
+const XeroSyncService = require('../xeroSyncService');
+
+/**
+ * Creates line items for Xero invoice from items array or single amount. Invoice items
+ * carry their calculated discount, line and tax amounts, so Xero's totals match ours.
+ * Each line keeps its tax rate; the sync queue turns it into the mapped Xero tax type
+ * when the operation runs, so a missing mapping fails the queued operation.
+ * @param {Object} data - The invoice data (items, or amount, description and accountCode)
+ * @param {number} [data.taxRate] - Tax rate for lines without their own
+ * @param {Object} [mappings] - The user's Xero mappings (salesAccountCode)
+ * @returns {Array} - Array of Xero line items
+ */
+const createXeroLineItems = (data, mappings = {}) => {
+  console.log('[createXeroLineItems] Creating line items from:', data);
+
+  const accountCode = mappings.salesAccountCode || '200';
+
+  if (Array.isArray(data.items) && data.items.length > 0) {
+    const lineItems = data.items.map(item => ({
+      description: item.description || 'Product/Service',
+      quantity: item.quantity || 1,
+      unitAmount: item.unitAmount || item.amount || 0,
+      accountCode: item.accountCode || accountCode,
+      taxRate: item.taxRate ?? data.taxRate ?? 0,
+      ...(item.taxType && { taxType: item.taxType }),
+      ...(item.discountAmount && { discountAmount: item.discountAmount }),
+      taxAmount: item.taxAmount || 0,
+      lineAmount: item.lineAmount ?? (item.quantity || 1) * (item.unitAmount || item.amount || 0)
+    }));
+    console.log('[createXeroLineItems] Generated line items array:', lineItems);
+    return lineItems;
+  }
+
+  // Fallback for single amount invoices
+  const lineItem = {
+    description: data.description || 'Invoice item',
+    quantity: 1,
+    unitAmount: data.amount,
+    accountCode: data.accountCode || accountCode,
+    taxRate: data.taxRate ?? 0
+  };
+  console.log('[createXeroLineItems] Generated single line item:', lineItem);
+  return [lineItem];
+};
+
+/**
+ * The tax rate a credit note is charged at: the invoice's one line rate, or its document
+ * rate when the lines use several. Credit notes do not record which line they credit.
+ * @param {Object} invoice - The credited invoice
+ * @returns {number}
+ */
+const getCreditTaxRate = (invoice) => {
+  const rates = [...new Set((invoice.items || []).map(item => item.taxRate ?? invoice.taxRate ?? 0))];
+  return rates.length === 1 ? rates[0] : invoice.taxRate ?? 0;
+};
+
+/**
+ * Xero's name for the invoice's tax mode
+ * @param {string} [taxMode] - 'exclusive' or 'inclusive'
+ * @returns {string}
+ */
+const toLineAmountTypes = (taxMode) => (taxMode === 'inclusive' ? 'Inclusive' : 'Exclusive');
+
+/**
+ * Reference shown on the Xero invoice when none is given
+ * @param {Object} invoice - The local invoice
+ * @returns {string}
+ */
+const defaultReference = (invoice) => invoice.invoiceNumber || `INV-${invoice._id.toString().slice(-6)}`;
+
+/**
+ * Converts a sync operation to the provider result shape
+ * @param {Object} syncOperation - The operation after its first attempt
+ * @returns {Object}
+ */
+const toSyncResult = (syncOperation) => {
+  if (syncOperation.status === 'completed') {
+    return { status: 'completed', result: syncOperation.result };
+  }
+  return { status: 'queued', error: syncOperation.lastError };
+};
+
+/**
+ * Whether the invoice is in Xero or its create is still queued
+ * @param {Object} invoice - The local invoice
+ * @returns {Promise<boolean>}
+ */
+const isInXero = async (invoice) => {
+  return Boolean(invoice.xeroInvoiceId) ||
+    XeroSyncService.hasPendingOperation(invoice._id, 'create_invoice');
+};
+
+const xeroProvider = {
+  name: 'xero',
+
+  isConnected: async (userId) => {
+    return Boolean(await XeroService.getTenantId(userId));
+  },
+
+  createInvoice: async (userId, invoice, data) => {
+    if (!(await xeroProvider.isConnected(userId))) return null;
+
+    const mappings = await XeroService.getAccountMappings(userId);
+    const xeroInvoiceData = {
+      contactName: data.contactName,
+      ...(data.contactEmail && { contactEmail: data.contactEmail }),
+      lineItems: createXeroLineItems(data, mappings),
+      lineAmountTypes: toLineAmountTypes(data.taxMode),
+      ...(data.currency && { currencyCode: data.currency }),
+      date: data.date.toISOString(),
+      dueDate: data.dueDate.toISOString(),
+      reference: data.reference || defaultReference(invoice),
+      status: 'AUTHORISED'
+    };
+
+    console.log('[XeroProvider.createInvoice] Syncing Xero invoice with data:', xeroInvoiceData);
+    return toSyncResult(await XeroSyncService.syncInvoice(userId, invoice._id, 'create_invoice', xeroInvoiceData));
+  },
+
+  updateInvoice: async (userId, invoice, data) => {
+    if (!(await isInXero(invoice)) || !(await xeroProvider.isConnected(userId))) return null;
+
+    const mappings = await XeroService.getAccountMappings(userId);
+    const xeroUpdateData = {
+      contactName: data.contactName,
+      lineItems: createXeroLineItems(data, mappings),
+      lineAmountTypes: toLineAmountTypes(data.taxMode),
+      reference: data.reference || invoice.xeroReference || defaultReference(invoice)
+    };
+
+    console.log('[XeroProvider.updateInvoice] Syncing Xero invoice update with data:', xeroUpdateData);
+    return toSyncResult(await XeroSyncService.syncInvoice(userId, invoice._id, 'update_invoice', xeroUpdateData));
+  },
+
+  recordPayment: async (userId, invoice, { amount, date, reference, paymentId }) => {
+    if (!(await isInXero(invoice)) || !(await xeroProvider.isConnected(userId))) return null;
+
+    const mappings = await XeroService.getAccountMappings(userId);
+    return toSyncResult(await XeroSyncService.syncInvoice(userId, invoice._id, 'mark_invoice_paid', {
+      amountPaid: amount,
+      paymentDate: date.toISOString(),
+      ...(reference && { reference }),
+      ...(mappings.bankAccountCode && { accountCode: mappings.bankAccountCode })
+    }, { payment: paymentId }));
+  },
+
+  voidPayment: async (userId, invoice, payment) => {
+    // Payments that came from Xero are voided there, not pushed back
+    if (payment.source === 'xero') return null;
+    if (!(await isInXero(invoice)) || !(await xeroProvider.isConnected(userId))) return null;
+
+    return toSyncResult(await XeroSyncService.syncInvoice(userId, invoice._id, 'void_payment', {}, { payment: payment._id }));
+  },
+
+  voidInvoice: async (userId, invoice) => {
+    if (!(await isInXero(invoice)) || !(await xeroProvider.isConnected(userId))) return null;
+
+    return toSyncResult(await XeroSyncService.syncInvoice(userId, invoice._id, 'void_invoice', {}));
+  },
+
+  createCreditNote: async (userId, invoice, creditNote) => {
+    if (!(await isInXero(invoice)) || !(await xeroProvider.isConnected(userId))) return null;
+
+    const mappings = await XeroService.getAccountMappings(userId);
+    const xeroCreditNoteData = {
+      contactName: creditNote.clientName,
+      // Credited amounts come off the invoice balance, so they include tax
+      lineItems: createXeroLineItems({
+        items: creditNote.items,
+        amount: creditNote.amount,
+        taxRate: getCreditTaxRate(invoice),
+        description: creditNote.reason
+      }, mappings),
+      lineAmountTypes: 'Inclusive',
+      ...(creditNote.currency && { currencyCode: creditNote.currency }),
+      date: creditNote.date.toISOString(),
+      ...(creditNote.creditNoteNumber && { creditNoteNumber: creditNote.creditNoteNumber }),
+      reference: invoice.xeroReference || defaultReference(invoice),
+      // Only the part that reduced the balance is allocated; any refund stays as credit in Xero
+      allocationAmount: creditNote.amountApplied
+    };
+
+    console.log('[XeroProvider.createCreditNote] Syncing Xero credit note with data:', xeroCreditNoteData);
+    return toSyncResult(await XeroSyncService.syncInvoice(userId, invoice._id, 'create_credit_note', xeroCreditNoteData, {
+      creditNote: creditNote._id
+    }));
+  },
+
+  listInvoices: async (userId, options = {}) => {
+    return XeroService.getInvoices(userId, options);
+  },
+
+  listContacts: async (userId) => {
+    return XeroService.getContacts(userId);
+  }
+};
+
+module.exports = xeroProvider;
@@ -1,6 +1,8 @@
 const taskActions = require('./taskActions');
 const invoiceActions = require('./invoiceActions');
 const eventActions = require('./eventActions');
+const quoteActions = require('./quoteActions');
+const creditNoteActions = require('./creditNoteActions');
 
 const validateParams = (requiredFields, providedParams) => {
   const missingFields = requiredFields.filter(field => !providedParams[field]);
@@ -30,8 +32,23 @@ exports.handleActionRequest = async (userId, action, params) => {
       case 'send_invoice': // Added send_invoice action
       case 'resend_invoice': // Added resend_invoice action
       case 'fetch_invoices': // Added fetch_invoices action
+      case 'approve_invoice':
+      case 'void_invoice':
         return await invoiceActions.handleInvoiceAction(userId, action, params);
       
+      // Quote actions
+      case 'create_quote':
+      case 'update_quote':
+      case 'send_quote':
+      case 'accept_quote':
+      case 'decline_quote':
+      case 'convert_quote':
+        return await quoteActions.handleQuoteAction(userId, action, params);
+      
+      // Credit note actions
+      case 'issue_credit_note':
+        return await creditNoteActions.handleCreditNoteAction(userId, action, params);
+      
       // Event actions
       case 'create_event':
       case 'update_event':
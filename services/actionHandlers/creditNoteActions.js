@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const CreditNote = require('../../models/CreditNote');
+const Invoice = require('../../models/Invoice');
+const AppError = require('../../utils/appError');
+const { formatMoney } = require('../../utils/money');
+const { getAccountingProvider } = require('../accounting');
+const { findInvoice, generateInvoicePDF } = require('./invoiceActions');
+
+// Reason recorded when a chat request does not give one
+const DEFAULT_CHAT_REASON = 'Account credit';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Totals credit note line items
+ * @param {Array} items - Line items (quantity, unitAmount or lineAmount)
+ * @returns {number}
+ */
+const totalItems = (items) => roundAmount(items.reduce(
+    (sum, item) => sum + (item.lineAmount || (item.quantity || 1) * (item.unitAmount || item.amount || 0)),
+    0
+));
+
+/**
+ * Renders a credit note with the invoice PDF layout
+ * @param {Object} creditNote - The credit note document
+ * @param {Object} [invoice] - The credited invoice, for its number
+ * @returns {Promise<Buffer>} - The PDF
+ */
+const generateCreditNotePDF = (creditNote, invoice) => {
+    const data = creditNote.toObject ? creditNote.toObject() : creditNote;
+    const invoiceLabel = invoice?.invoiceNumber || data.invoice?.toString();
+
+    return generateInvoicePDF(
+        {
+            ...data,
+            invoiceNumber: data.creditNoteNumber,
+            status: data.refundDue > 0 ? `Issued - ${formatMoney(data.refundDue, data.currency, { plainSymbol: true })} to refund` : 'Issued',
+            description: `${data.reason}\nCredit against invoice ${invoiceLabel}.`,
+            taxRate: 0,
+            subtotal: data.amount,
+            taxTotal: 0,
+            total: data.amount
+        },
+        {
+            documentTitle: 'Credit Note',
+            stampText: 'CREDIT NOTE',
+            dueDateLabel: null,
+            billToLabel: 'Credit To',
+            summaryLabel: 'Reason',
+            totalLabel: 'Total Credit',
+            showPaymentInstructions: false
+        }
+    );
+};
+
+/**
+ * Issues a credit note against an invoice. The credit lowers the invoice balance; any part
+ * of it beyond the balance (the invoice was already paid) is recorded as a refund due.
+ * The invoice itself is not edited, so its original amount stays on record.
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The invoice document being credited
+ * @param {Object} credit
+ * @param {number} [credit.amount] - Credit amount (defaults to the total of the items)
+ * @param {Array} [credit.items] - Credited line items
+ * @param {string} credit.reason - Why the credit was given
+ * @param {Date} [credit.date] - Credit note date (defaults to now)
+ * @param {boolean} [credit.syncToAccounting] - Push the credit note to the accounting backend
+ * @returns {Promise<Object>} - The credit note, the updated invoice and the accounting result, if any
+ */
+const issueCreditNote = async (userId, invoice, { amount, items = [], reason, date = new Date(), syncToAccounting = true }) => {
+    const creditAmount = roundAmount(amount !== undefined && amount !== null ? Number(amount) : totalItems(items));
+    console.log('[issueCreditNote] Issuing credit note:', { invoiceId: invoice._id, creditAmount });
+
+    if (!(creditAmount > 0)) {
+        throw new AppError('Credit amount must be greater than zero', 400);
+    }
+    if (invoice.status === 'Draft') {
+        throw new AppError('Invoice is still a draft. Change the draft instead of crediting it.', 400);
+    }
+    if (invoice.status === 'Void') {
+        throw new AppError('Invoice is void and cannot be credited', 400);
+    }
+
+    // Credits across all notes cannot exceed what was invoiced
+    const [credited] = await CreditNote.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId.toString()), invoice: invoice._id } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    const creditable = roundAmount(invoice.amount - (credited?.total || 0));
+    if (creditAmount > creditable) {
+        throw new AppError(`Credit of ${formatMoney(creditAmount, invoice.currency)} is more than the ${formatMoney(creditable, invoice.currency)} left to credit on this invoice`, 400);
+    }
+
+    const amountApplied = Math.min(creditAmount, invoice.balanceDue);
+
+    // Apply to the invoice first so a concurrent payment or credit cannot overshoot the balance
+    invoice.amountCredited = roundAmount((invoice.amountCredited || 0) + amountApplied);
+    invoice.increment();
+    let updatedInvoice = await invoice.save();
+
+    let creditNote;
+    try {
+        creditNote = await CreditNote.create({
+            invoice: invoice._id,
+            clientName: invoice.clientName,
+            client: invoice.client,
+            currency: invoice.currency,
+            amount: creditAmount,
+            amountApplied,
+            refundDue: roundAmount(creditAmount - amountApplied),
+            reason,
+            date: new Date(date),
+            items,
+            user: userId
+        });
+    } catch (error) {
+        // Give the balance back if the credit note could not be stored
+        const revert = await Invoice.findById(invoice._id);
+        revert.amountCredited = roundAmount(revert.amountCredited - amountApplied);
+        await revert.save();
+        throw error;
+    }
+    console.log('[issueCreditNote] Credit note issued:', {
+        creditNoteNumber: creditNote.creditNoteNumber,
+        amountApplied,
+        refundDue: creditNote.refundDue
+    });
+
+    let accountingResult = null;
+
+    if (syncToAccounting) {
+        const provider = getAccountingProvider();
+        const sync = await provider.createCreditNote(userId, updatedInvoice, creditNote);
+        if (sync?.status === 'completed') {
+            accountingResult = sync.result;
+            console.log(`[issueCreditNote] Credit note created in ${provider.name}:`, accountingResult);
+        } else if (sync) {
+            console.warn(`[issueCreditNote] ${provider.name} credit note queued for retry:`, sync.error);
+        }
+
+        if (sync) {
+            creditNote = await CreditNote.findById(creditNote._id);
+            updatedInvoice = await Invoice.findById(invoice._id);
+        }
+    }
+
+    return { creditNote, invoice: updatedInvoice, accountingResult };
+};
+
+/**
+ * Handles all credit note chat actions
+ * @param {string} userId - The user ID associated with the action
+ * @param {Object} action - The action object
+ * @param {Object} params - The parameters for the action
+ * @returns {Promise<Object>} - The result of the action
+ */
+const handleCreditNoteAction = async (userId, action, params) => {
+    const actionType = action.type || action.action;
+    console.log('[handleCreditNoteAction] Called with:', { userId, actionType, params: JSON.stringify(params) });
+
+    if (actionType !== 'issue_credit_note') {
+        throw new Error(`Unknown action type: ${actionType}`);
+    }
+
+    const missingFields = [];
+    if (!params.invoiceId && !params.clientName) missingFields.push('invoiceId');
+    if (params.amount === undefined && !(Array.isArray(params.items) && params.items.length)) missingFields.push('amount');
+    if (missingFields.length > 0) {
+        return {
+            success: false,
+            missingFields,
+            error: `Missing required fields: ${missingFields.join(', ')}`
+        };
+    }
+
+    // "Credit John $50" credits John's most recent invoice
+    const invoice = await findInvoice(userId, params.invoiceId || params.clientName);
+    if (!invoice) {
+        throw new Error(`Invoice not found or you don't have permission to access it`);
+    }
+
+    const { creditNote, invoice: updatedInvoice, accountingResult } = await issueCreditNote(userId, invoice, {
+        amount: params.amount,
+        items: Array.isArray(params.items) ? params.items : [],
+        reason: params.reason || DEFAULT_CHAT_REASON,
+        ...(params.date && { date: params.date })
+    });
+
+    return {
+        success: true,
+        data: creditNote,
+        invoice: updatedInvoice,
+        ...(accountingResult && { accountingResult })
+    };
+};
+
+module.exports = {
+    generateCreditNotePDF,
+    issueCreditNote,
+    handleCreditNoteAction
+};
@@ -1,6 +1,7 @@
 // eventActions.js
 const mongoose = require('mongoose');
 const Event = require('../../models/Event');
+const Client = require('../../models/Client');
 const { addDays, addHours, parseISO, isValid } = require('date-fns');
 
 // Helper function to find event by ID or title
@@ -88,12 +89,18 @@ exports.handleEventAction = async (userId, action, params) => {
                 }
             }
 
+            // Link the event to the client it is for, if one was named
+            const eventClient = params.clientName
+                ? await Client.findOrCreateByName(userId, params.clientName)
+                : null;
+
             result = await Event.create({
                 title: params.title,
                 description: params.description || '',
                 startTime,
                 ...(params.endTime && { endTime }), // Only include endTime if provided
                 location: params.location || '',
+                ...(eventClient && { client: eventClient._id }),
                 user: userId
             });
             console.log('[handleEventAction] Event created:', result);
@@ -129,6 +136,9 @@ exports.handleEventAction = async (userId, action, params) => {
                 updateFields.endTime = null;
             }
             if (params.location !== undefined) updateFields.location = params.location;
+            if (params.clientName) {
+                updateFields.client = (await Client.findOrCreateByName(userId, params.clientName))._id;
+            }
             
             console.log('[handleEventAction] Update fields:', updateFields);
             result = await Event.findOneAndUpdate(
@@ -3,13 +3,40 @@ const { addDays } = require('date-fns');
 const PDFDocument = require('pdfkit');
 const { WritableStreamBuffer } = require('stream-buffers');
 const Invoice = require('../../models/Invoice');
-const sendEmail = require('./../emailService');
-const XeroService = require('./xeroService');
+const Client = require('../../models/Client');
+const AppError = require('../../utils/appError');
+const { calculateTotals } = require('../../utils/invoiceTotals');
+const { formatMoney } = require('../../utils/money');
+const { DEFAULT_ACCENT, loadBusinessProfile, getPdfTemplate } = require('../invoicePdfTemplates');
+const { ensurePublicLink } = require('../invoiceLinkService');
+const { getPaymentLinkUrl, ensurePaymentLink } = require('../paymentLinkService');
+const { toAddressList, sendInvoiceEmail, getPreviousRecipients } = require('../emailDeliveryService');
+const { renderInvoiceEmail } = require('../emailTemplateService');
+const { getAccountingProvider } = require('../accounting');
 
 /**
- * Finds an invoice by various identifiers (ID, amount, date, or client name)
+ * Picks the tax mode and whole-invoice discount from action params
+ * @param {Object} params - Action parameters
+ * @returns {Object}
+ */
+const pickTotalsParams = (params) => ({
+    ...(['exclusive', 'inclusive'].includes(params.taxMode) && { taxMode: params.taxMode }),
+    ...(typeof params.discountRate === 'number' && { discountRate: params.discountRate }),
+    ...(typeof params.discount === 'number' && { discount: params.discount })
+});
+
+// PDF header stamp for each invoice status; approved, unpaid invoices just say INVOICE
+const INVOICE_STAMPS = {
+    Draft: 'DRAFT',
+    Paid: 'PAID',
+    Overdue: 'OVERDUE',
+    Void: 'VOID'
+};
+
+/**
+ * Finds an invoice by various identifiers (ID, invoice number, amount, date, or client name)
  * @param {string} userId - The user ID associated with the invoice
- * @param {string} identifier - The identifier to search by (ID, amount, date, or client name)
+ * @param {string} identifier - The identifier to search by (ID, invoice number, amount, date, or client name)
  * @returns {Promise<Object|null>} - The found invoice or null if not found
  */
 const findInvoice = async (userId, identifier) => {
@@ -27,6 +54,24 @@ const findInvoice = async (userId, identifier) => {
         return invoice;
     }
 
+    // Full invoice number, e.g. "INV-2026-0042"
+    const numberedInvoice = await Invoice.findOne({ user: userId, invoiceNumber: identifier.trim() })
+        .collation({ locale: 'en', strength: 2 });
+    if (numberedInvoice) {
+        console.log('[findInvoice] Invoice by number:', numberedInvoice.invoiceNumber);
+        return numberedInvoice;
+    }
+
+    // Sequence reference, e.g. "invoice 42", "inv #42" or "#42"
+    const seqMatch = identifier.trim().match(/^(?:(?:invoice|inv)\.?\s*(?:no\.?|number)?\s*#?|#)\s*(\d+)$/i);
+    if (seqMatch) {
+        const seqInvoice = await Invoice.findOne({ user: userId, invoiceSeq: parseInt(seqMatch[1], 10) });
+        console.log('[findInvoice] Invoice by sequence number:', seqMatch[1], seqInvoice?._id);
+        if (seqInvoice) {
+            return seqInvoice;
+        }
+    }
+
     const amountMatch = identifier.match(/(\$?\d+(\.\d{1,2})?)/);
     if (amountMatch) {
         const amount = parseFloat(amountMatch[1].replace('$', ''));
@@ -68,94 +113,34 @@ const findInvoice = async (userId, identifier) => {
 };
 
 /**
- * Generates email content for an invoice
+ * Gives an invoice going to the client its public link and, when online payments are on,
+ * a payment link for the balance
+ * @param {Object} invoice - The invoice document
+ * @returns {Promise<Object>} - The invoice with its links
+ */
+const addClientLinks = async (invoice) => ensurePaymentLink(await ensurePublicLink(invoice));
+
+/**
+ * Generates email content for an invoice from the owner's email template for its kind
  * @param {Object} invoice - The invoice document
  * @param {string} emailAddress - The recipient email address
- * @returns {Object} - Email data object with text and HTML content
+ * @param {Object} [options]
+ * @param {string} [options.kind] - invoice (default), reminder or payment_receipt
+ * @param {Object} [options.values] - Placeholder values only this email has, e.g. paymentAmount
+ * @returns {Promise<Object>} - Email data object with text and HTML content
  */
-const generateInvoiceEmail = (invoice, emailAddress) => {
+const generateInvoiceEmail = async (invoice, emailAddress, { kind = 'invoice', values } = {}) => {
     console.log('[generateInvoiceEmail] Generating email for invoice:', {
         invoiceId: invoice._id,
         clientName: invoice.clientName,
-        emailAddress
+        emailAddress,
+        kind
     });
 
-    const formattedDate = invoice.date.toLocaleDateString();
-    const formattedDueDate = invoice.dueDate.toLocaleDateString();
-    const formattedAmount = `$${invoice.amount.toFixed(2)}`;
-    const statusColor = invoice.status === 'Paid' ? '#2ecc71' : invoice.status === 'Overdue' ? '#e74c3c' : '#f39c12';
-
-    const invoiceIdentifier = invoice.invoiceNumber
-        ? `#${invoice.invoiceNumber}`
-        : invoice._id
-            ? `(ID: ${invoice._id.toString()})`
-            : '';
-
-    const text = `
-Invoice Details
----------------
-Client: ${invoice.clientName}
-Invoice: ${invoiceIdentifier}
-Invoice Date: ${formattedDate}
-Due Date: ${formattedDueDate}
-Amount: ${formattedAmount}
-Status: ${invoice.status}
-Description: ${invoice.description || 'N/A'}
-${invoice.xeroInvoiceId ? `Xero Invoice ID: ${invoice.xeroInvoiceId}` : ''}
-
-Thank you for your business!
-    `;
-
-    const html = `
-<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #eee; padding: 20px; border-radius: 5px;">
-    <h2 style="color: #2c3e50; border-bottom: 2px solid #eee; padding-bottom: 10px;">Invoice Details</h2>
-    <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold; width: 30%;">Client:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee;">${invoice.clientName}</td>
-        </tr>
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Invoice:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee;">${invoiceIdentifier}</td>
-        </tr>
-        ${invoice.xeroInvoiceId ? `
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Xero ID:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee;">${invoice.xeroInvoiceId}</td>
-        </tr>
-        ` : ''}
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Invoice Date:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee;">${formattedDate}</td>
-        </tr>
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Due Date:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee;">${formattedDueDate}</td>
-        </tr>
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Amount:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">${formattedAmount}</td>
-        </tr>
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Status:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; color: ${statusColor};">${invoice.status}</td>
-        </tr>
-        <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Description:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #eee;">${invoice.description || 'N/A'}</td>
-        </tr>
-    </table>
-   
-    <p style="margin-top: 30px; font-style: italic; text-align: center; color: #7f8c8d;">
-        Thank you for your business!<br>
-        Please contact us if you have any questions about this invoice.
-    </p>
-</div>
-    `;
-
+    const { subject, text, html } = await renderInvoiceEmail(invoice, kind, values);
     const emailData = {
         to: emailAddress,
-        subject: `Invoice ${invoiceIdentifier} from ${invoice.clientName} - ${formattedAmount}`,
+        subject,
         text,
         html
     };
@@ -164,27 +149,55 @@ Thank you for your business!
     return emailData;
 };
 
+/**
+ * Renders an invoice PDF, branded with the owner's business profile
+ * @param {Object} invoice - The invoice, or a quote or credit note shaped like one
+ * @param {Object} [options] - Label overrides, plus:
+ * @param {string} [options.template] - Page style (classic, modern or minimal); defaults to the user's choice
+ * @param {Object} [options.businessProfile] - Profile to print instead of the owner's
+ * @param {boolean} [options.showPaymentInstructions] - Print the profile's payment instructions
+ * @returns {Promise<Buffer>} - The PDF
+ */
 const generateInvoicePDF = async (invoice, options = {}) => {
+  let profile = options.businessProfile;
+  if (profile === undefined) {
+    profile = await loadBusinessProfile(invoice?.user).catch(error => {
+      console.error('[generateInvoicePDF] Could not load business profile:', error.message);
+      return null;
+    });
+  }
+  profile = profile || {};
+
   return new Promise((resolve, reject) => {
     try {
       if (!invoice) throw new Error('Invoice data is required');
 
+      // Labels can be overridden so quotes and other documents share this layout
       const config = {
-        logoText: 'EveAI',
-        currencySymbol: '$',
+        logoText: profile.legalName || profile.fullName || 'EveAI',
         pageSize: 'A4',
         margin: 50,
+        documentTitle: 'Invoice',
+        stampText: INVOICE_STAMPS[invoice.status] || 'INVOICE',
+        dueDateLabel: 'Due Date', // null hides the line
+        billToLabel: 'Bill To',
+        summaryLabel: 'Work Summary',
+        totalLabel: 'Total Due',
+        showPaymentInstructions: true,
         ...options,
       };
 
+      const template = getPdfTemplate(config.template, profile);
+      const accent = profile.accentColor || DEFAULT_ACCENT;
+
       const doc = new PDFDocument({
         size: config.pageSize,
         margin: config.margin,
         info: {
-          Title: `Invoice ${invoice.invoiceNumber || invoice._id}`,
+          Title: `${config.documentTitle} ${invoice.invoiceNumber || invoice._id}`,
           Author: config.logoText,
-          Subject: `Invoice for ${invoice.clientName}`,
-          Keywords: 'invoice, billing, payment',
+          Subject: `${config.documentTitle} for ${invoice.clientName}`,
+          Keywords: `${config.documentTitle.toLowerCase()}, billing, payment`,
         }
       });
 
@@ -193,7 +206,7 @@ const generateInvoicePDF = async (invoice, options = {}) => {
 
       const formatCurrency = (amount) => {
         if (typeof amount !== 'number') return 'N/A';
-        return `${config.currencySymbol}${amount.toFixed(2)}`;
+        return formatMoney(amount, invoice.currency, { plainSymbol: true });
       };
 
       const formatDate = (date) => {
@@ -205,13 +218,20 @@ const generateInvoicePDF = async (invoice, options = {}) => {
 
       const drawLine = () => {
         doc.moveDown(0.5);
-        doc.strokeColor('#000').lineWidth(0.5)
-          .moveTo(config.margin, doc.y)
-          .lineTo(doc.page.width - config.margin, doc.y)
-          .stroke();
+        if (template.ruleColor) {
+          doc.strokeColor(template.ruleColor).lineWidth(0.5)
+            .moveTo(config.margin, doc.y)
+            .lineTo(doc.page.width - config.margin, doc.y)
+            .stroke();
+        }
         doc.moveDown(1);
       };
 
+      const heading = (text) => {
+        doc.fontSize(12).font('Helvetica-Bold').fillColor(template.headingColor(accent)).text(text);
+        doc.fillColor('#000');
+      };
+
       const checkMissing = (field, label) => {
         if (!invoice[field]) {
           missingFields.push(label);
@@ -223,71 +243,113 @@ const generateInvoicePDF = async (invoice, options = {}) => {
       const missingFields = [];
 
       // Header
-      doc.fontSize(20).font('Helvetica-Bold').text(config.logoText, config.margin);
-      doc.fontSize(24).text('DRAFT', { align: 'right' });
+      template.drawHeader(doc, {
+        profile,
+        businessName: config.logoText,
+        accent,
+        stampText: config.stampText,
+        margin: config.margin
+      });
       drawLine();
 
       // Invoice Info
-      doc.fontSize(10).font('Helvetica-Bold').text('Invoice Number:', { continued: true })
+      doc.fontSize(10).font('Helvetica-Bold').text(`${config.documentTitle} Number:`, { continued: true })
         .font('Helvetica').text(invoice.invoiceNumber || invoice._id || 'N/A');
-      doc.font('Helvetica-Bold').text('Invoice Date:', { continued: true })
+      doc.font('Helvetica-Bold').text(`${config.documentTitle} Date:`, { continued: true })
         .font('Helvetica').text(formatDate(invoice.date));
-      doc.font('Helvetica-Bold').text('Due Date:', { continued: true })
-        .font('Helvetica').text(formatDate(invoice.dueDate));
+      if (config.dueDateLabel) {
+        doc.font('Helvetica-Bold').text(`${config.dueDateLabel}:`, { continued: true })
+          .font('Helvetica').text(formatDate(invoice.dueDate));
+      }
       doc.font('Helvetica-Bold').text('Status:', { continued: true })
         .font('Helvetica').text(invoice.status || 'Pending');
       drawLine();
 
       // Client Info
-      doc.fontSize(12).font('Helvetica-Bold').text('Bill To:');
+      heading(`${config.billToLabel}:`);
       doc.font('Helvetica').fontSize(11).text(checkMissing('clientName', 'Client Name'));
       if (invoice.clientAddress) doc.text(invoice.clientAddress);
       if (invoice.clientEmail) doc.text(invoice.clientEmail);
       drawLine();
 
       // Description
-      doc.fontSize(12).font('Helvetica-Bold').text('Work Summary:');
+      heading(`${config.summaryLabel}:`);
       doc.font('Helvetica').fontSize(11).text(checkMissing('description', 'Description'));
       drawLine();
 
       // Task Breakdown
       if (invoice.tasks && invoice.tasks.length > 0) {
-        doc.fontSize(12).font('Helvetica-Bold').text('Task Breakdown:');
+        heading('Task Breakdown:');
         doc.font('Helvetica').fontSize(11);
         invoice.tasks.forEach(task => doc.text(`• ${task}`));
         drawLine();
       }
 
+      // Stored totals; documents saved before totals were stored are worked out here
+      const totals = typeof invoice.total === 'number'
+        ? {
+            lines: invoice.items || [],
+            subtotal: invoice.subtotal,
+            discountTotal: invoice.discountTotal || 0,
+            taxTotal: invoice.taxTotal,
+            total: invoice.total
+          }
+        : calculateTotals(invoice);
+
       // Itemized Charges
       if (invoice.items && invoice.items.length > 0) {
-        doc.fontSize(12).font('Helvetica-Bold').text('Itemized Charges:');
-        invoice.items.forEach((item, idx) => {
+        heading('Itemized Charges:');
+        totals.lines.forEach((item, idx) => {
           const desc = item.description || 'No description';
-          const qty = item.quantity || 1;
-          const unit = formatCurrency(item.unitAmount || item.amount || 0);
-          const total = formatCurrency((item.unitAmount || item.amount || 0) * qty);
+          const qty = item.quantity ?? 1;
+          const unit = formatCurrency(item.unitAmount || 0);
+          const discount = item.discountAmount > 0 ? `, Discount: -${formatCurrency(item.discountAmount)}` : '';
+          const total = formatCurrency(item.lineAmount ?? qty * (item.unitAmount || 0));
           doc.font('Helvetica').fontSize(11)
-            .text(`${idx + 1}. ${desc} - Qty: ${qty}, Unit: ${unit}, Total: ${total}`);
+            .text(`${idx + 1}. ${desc} - Qty: ${qty}, Unit: ${unit}${discount}, Total: ${total}`);
         });
         drawLine();
       }
 
       // Taxes & Total
-      const subtotal = invoice.items?.reduce(
-        (sum, item) => sum + ((item.unitAmount || item.amount || 0) * (item.quantity || 1)),
-        0
-      ) || invoice.amount || 0;
-
-      const taxRate = invoice.taxRate || 0;
-      const taxAmount = subtotal * taxRate;
-      const totalAmount = subtotal + taxAmount;
-
-      doc.fontSize(12).font('Helvetica-Bold').text('Summary:');
-      doc.font('Helvetica').fontSize(11).text(`Subtotal: ${formatCurrency(subtotal)}`);
-      doc.text(`Tax (${(taxRate * 100).toFixed(1)}%): ${formatCurrency(taxAmount)}`);
-      doc.font('Helvetica-Bold').text(`Total Due: ${formatCurrency(totalAmount)}`);
+      const totalAmount = totals.total;
+      const taxRates = [...new Set(totals.lines.map(item => item.taxRate ?? invoice.taxRate ?? 0))];
+      const taxLabel = [
+        taxRates.length === 1 ? `Tax (${(taxRates[0] * 100).toFixed(1)}%)` : 'Tax',
+        invoice.taxMode === 'inclusive' ? ' included' : ''
+      ].join('');
+
+      heading('Summary:');
+      doc.font('Helvetica').fontSize(11);
+      if (totals.discountTotal > 0) doc.text(`Discounts: -${formatCurrency(totals.discountTotal)}`);
+      doc.text(`Subtotal: ${formatCurrency(totals.subtotal)}`);
+      doc.text(`${taxLabel}: ${formatCurrency(totals.taxTotal)}`);
+      if (invoice.amountPaid > 0 || invoice.amountCredited > 0) {
+        // Part-paid or credited: show what has been settled and bill the outstanding balance
+        doc.text(`Total: ${formatCurrency(totalAmount)}`);
+        if (invoice.amountPaid > 0) doc.text(`Amount Paid: ${formatCurrency(invoice.amountPaid)}`);
+        if (invoice.amountCredited > 0) doc.text(`Credits Applied: ${formatCurrency(invoice.amountCredited)}`);
+        doc.font('Helvetica-Bold').text(`Balance Due: ${formatCurrency(
+          invoice.amountDue ?? Math.max(totalAmount - (invoice.amountPaid || 0) - (invoice.amountCredited || 0), 0)
+        )}`);
+      } else {
+        doc.font('Helvetica-Bold').text(`${config.totalLabel}: ${formatCurrency(totalAmount)}`);
+      }
       drawLine();
 
+      // Payment Instructions
+      const payUrl = config.showPaymentInstructions ? getPaymentLinkUrl(invoice) : null;
+      if (config.showPaymentInstructions && (profile.paymentInstructions || payUrl) && !['Paid', 'Void'].includes(invoice.status)) {
+        heading('How to Pay:');
+        if (payUrl) {
+          doc.font('Helvetica-Bold').fontSize(11).text('Pay online: ', { continued: true })
+            .font('Helvetica').fillColor(accent).text(payUrl, { link: payUrl, underline: true });
+          doc.fillColor('#000');
+        }
+        if (profile.paymentInstructions) doc.font('Helvetica').fontSize(11).text(profile.paymentInstructions);
+        drawLine();
+      }
+
       // Missing Data Notice
       if (missingFields.length > 0) {
         doc.moveDown();
@@ -322,38 +384,367 @@ const generateInvoicePDF = async (invoice, options = {}) => {
 };
 
 
+exports.addClientLinks = addClientLinks;
+exports.generateInvoiceEmail = generateInvoiceEmail;
 exports.generateInvoicePDF = generateInvoicePDF;
+exports.findInvoice = findInvoice;
+exports.pickTotalsParams = pickTotalsParams;
 
 /**
- * Creates line items for Xero invoice from items array or single amount
- * @param {Array|Object} items - The items array or invoice amount
- * @returns {Array} - Array of Xero line items
+ * Records a payment against an invoice and, unless the payment came from the accounting
+ * backend, posts the same amount there. Status and balance follow from the payments.
+ * A draft is approved before the payment is recorded.
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The invoice document
+ * @param {Object} payment
+ * @param {number} [payment.amount] - Amount received (defaults to the outstanding balance)
+ * @param {Date} [payment.date] - When it was received (defaults to now)
+ * @param {string} [payment.method] - Cash | Bank Transfer | Card | Cheque | Online | Other
+ * @param {string} [payment.reference] - Receipt or transaction reference
+ * @param {string} [payment.gatewayPaymentId] - Set when the payment came from the payment gateway
+ * @param {boolean} [payment.syncToAccounting] - Post the payment to the accounting backend
+ * @returns {Promise<Object>} - The updated invoice, the new payment and the accounting result, if any
  */
-const createXeroLineItems = (items) => {
-    console.log('[createXeroLineItems] Creating line items from:', items);
-
-    if (Array.isArray(items)) {
-        const lineItems = items.map(item => ({
-            description: item.description || 'Product/Service',
-            quantity: item.quantity || 1,
-            unitAmount: item.unitAmount || item.amount || 0,
-            accountCode: item.accountCode || '200',
-            taxAmount: item.taxAmount || 0,
-            lineAmount: item.lineAmount || (item.quantity || 1) * (item.unitAmount || item.amount || 0)
-        }));
-        console.log('[createXeroLineItems] Generated line items array:', lineItems);
-        return lineItems;
-    }
-
-    // Fallback for single amount invoices
-    const lineItem = {
-        description: 'Invoice item',
-        quantity: 1,
-        unitAmount: items.amount || items,
-        accountCode: items.accountCode || '200'
-    };
-    console.log('[createXeroLineItems] Generated single line item:', lineItem);
-    return [lineItem];
+const recordInvoicePayment = async (userId, invoice, { amount, date = new Date(), method, reference, gatewayPaymentId, syncToAccounting = true } = {}) => {
+    if (invoice.status === 'Void') {
+        throw new AppError('Invoice is void and cannot take payments', 400);
+    }
+    // Money received for a draft means it was billed, so approve it first
+    if (invoice.status === 'Draft') {
+        ({ invoice } = await approveInvoice(userId, invoice, { syncToAccounting }));
+    }
+
+    const balanceDue = invoice.balanceDue;
+    const paymentAmount = amount === undefined || amount === null ? balanceDue : Math.round(Number(amount) * 100) / 100;
+    console.log('[recordInvoicePayment] Recording payment:', { invoiceId: invoice._id, paymentAmount, balanceDue });
+
+    if (balanceDue <= 0) {
+        throw new AppError('Invoice is already paid in full', 400);
+    }
+    if (!(paymentAmount > 0)) {
+        throw new AppError('Payment amount must be greater than zero', 400);
+    }
+    if (paymentAmount > balanceDue) {
+        throw new AppError(`Payment of ${formatMoney(paymentAmount, invoice.currency)} is more than the balance due of ${formatMoney(balanceDue, invoice.currency)}`, 400);
+    }
+
+    const paymentDate = new Date(date);
+    if (isNaN(paymentDate.getTime())) {
+        throw new AppError('Invalid payment date', 400);
+    }
+
+    invoice.payments.push({
+        amount: paymentAmount,
+        date: paymentDate,
+        ...(method && { method }),
+        ...(reference && { reference }),
+        ...(gatewayPaymentId && { source: 'gateway', gatewayPaymentId })
+    });
+    const payment = invoice.payments[invoice.payments.length - 1];
+
+    // Fail instead of double-counting if another payment was saved meanwhile
+    invoice.increment();
+    let result = await invoice.save();
+    console.log('[recordInvoicePayment] Payment recorded:', { invoiceId: result._id, status: result.status, amountDue: result.amountDue });
+
+    let accountingResult = null;
+
+    if (syncToAccounting) {
+        const provider = getAccountingProvider();
+        const sync = await provider.recordPayment(userId, result, {
+            amount: paymentAmount,
+            date: paymentDate,
+            reference,
+            paymentId: payment._id
+        });
+        if (sync?.status === 'completed') {
+            accountingResult = sync.result;
+            console.log(`[recordInvoicePayment] Payment recorded in ${provider.name}:`, accountingResult);
+        } else if (sync) {
+            console.warn(`[recordInvoicePayment] ${provider.name} payment queued for retry:`, sync.error);
+        }
+
+        if (sync) result = await Invoice.findById(result._id);
+    }
+
+    return { invoice: result, payment: result.payments.id(payment._id), accountingResult };
+};
+
+exports.recordInvoicePayment = recordInvoicePayment;
+
+/**
+ * Marks an invoice as paid by recording a payment for its outstanding balance
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The invoice document to mark as paid
+ * @param {Object} [options]
+ * @param {Date} [options.paidDate] - When the invoice was paid (defaults to now)
+ * @param {boolean} [options.syncToAccounting] - Record the payment in the accounting backend
+ * @returns {Promise<Object>} - The updated invoice and the accounting result, if any
+ */
+const markInvoicePaid = async (userId, invoice, { paidDate = new Date(), syncToAccounting = true } = {}) => {
+    console.log('[markInvoicePaid] Marking invoice as paid:', { invoiceId: invoice._id, syncToAccounting });
+
+    const { invoice: result, accountingResult } = await recordInvoicePayment(userId, invoice, {
+        date: paidDate,
+        syncToAccounting
+    });
+    return { invoice: result, accountingResult };
+};
+
+exports.markInvoicePaid = markInvoicePaid;
+
+/**
+ * Voids a payment so it no longer counts towards the invoice, and reverses it in the
+ * accounting backend unless the void came from there
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The invoice document
+ * @param {string} paymentId - The payment to void
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the payment was voided
+ * @param {boolean} [options.syncToAccounting] - Reverse the payment in the accounting backend
+ * @returns {Promise<Object>} - The updated invoice, the voided payment and the accounting result, if any
+ */
+const voidInvoicePayment = async (userId, invoice, paymentId, { reason, syncToAccounting = true } = {}) => {
+    const payment = invoice.payments.id(paymentId);
+    if (!payment) {
+        throw new AppError('No payment found with that ID', 404);
+    }
+    if (payment.voided) {
+        throw new AppError('Payment has already been voided', 400);
+    }
+
+    payment.voided = true;
+    payment.voidedAt = new Date();
+    if (reason) payment.voidReason = reason;
+
+    invoice.increment();
+    let result = await invoice.save();
+    console.log('[voidInvoicePayment] Payment voided:', { invoiceId: result._id, paymentId, status: result.status });
+
+    let accountingResult = null;
+
+    if (syncToAccounting) {
+        const provider = getAccountingProvider();
+        const sync = await provider.voidPayment(userId, result, payment);
+        if (sync?.status === 'completed') {
+            accountingResult = sync.result;
+            console.log(`[voidInvoicePayment] Payment voided in ${provider.name}:`, accountingResult);
+        } else if (sync) {
+            console.warn(`[voidInvoicePayment] ${provider.name} payment void queued for retry:`, sync.error);
+        }
+
+        if (sync) result = await Invoice.findById(result._id);
+    }
+
+    return { invoice: result, payment: result.payments.id(paymentId), accountingResult };
+};
+
+exports.voidInvoicePayment = voidInvoicePayment;
+
+/**
+ * Approves a draft invoice: from now on it counts as billed, follows its payments and due
+ * date, and is pushed to the accounting backend
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The draft invoice document
+ * @param {Object} [options]
+ * @param {string} [options.contactEmail] - Email for the contact if the backend has to create one
+ * @param {boolean} [options.syncToAccounting] - Push the invoice to the accounting backend
+ * @returns {Promise<Object>} - The approved invoice and the accounting result, if any
+ */
+const approveInvoice = async (userId, invoice, { contactEmail, syncToAccounting = true } = {}) => {
+    if (invoice.status !== 'Draft') {
+        throw new AppError(invoice.status === 'Void'
+            ? 'Invoice is void and cannot be approved'
+            : 'Invoice has already been approved', 400);
+    }
+
+    // The save hook works out Pending or Overdue from the due date
+    invoice.status = 'Pending';
+    invoice.approvedAt = new Date();
+    invoice.increment();
+    let result = await invoice.save();
+    console.log('[approveInvoice] Invoice approved:', { invoiceId: result._id, status: result.status });
+
+    let accountingResult = null;
+
+    if (syncToAccounting) {
+        const provider = getAccountingProvider();
+        const sync = await provider.createInvoice(userId, result, {
+            contactName: result.clientName,
+            contactEmail,
+            items: result.items,
+            amount: result.amount,
+            taxRate: result.taxRate,
+            taxMode: result.taxMode,
+            currency: result.currency,
+            description: result.description,
+            date: result.date,
+            dueDate: result.dueDate,
+            reference: result.reference
+        });
+
+        if (sync?.status === 'completed') {
+            accountingResult = sync.result;
+            console.log(`[approveInvoice] Invoice created in ${provider.name}:`, accountingResult);
+        } else if (sync) {
+            console.warn(`[approveInvoice] ${provider.name} invoice creation queued for retry:`, sync.error);
+        } else {
+            console.log(`[approveInvoice] ${provider.name} not connected, skipping accounting sync`);
+        }
+
+        if (sync) result = await Invoice.findById(result._id);
+    }
+
+    return { invoice: result, accountingResult };
+};
+
+exports.approveInvoice = approveInvoice;
+
+/**
+ * Voids an invoice so nothing is owed on it. The invoice is kept for the record and voided
+ * in the accounting backend too. Payments must be voided first, and credited invoices
+ * cannot be voided.
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The invoice document
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the invoice was voided
+ * @param {boolean} [options.syncToAccounting] - Void the invoice in the accounting backend
+ * @returns {Promise<Object>} - The voided invoice and the accounting result, if any
+ */
+const voidInvoice = async (userId, invoice, { reason, syncToAccounting = true } = {}) => {
+    if (invoice.status === 'Void') {
+        throw new AppError('Invoice has already been voided', 400);
+    }
+    if (invoice.amountPaid > 0) {
+        throw new AppError('Invoice has payments recorded. Void the payments before voiding the invoice.', 400);
+    }
+    if (invoice.amountCredited > 0) {
+        throw new AppError('Invoice has credit notes applied and cannot be voided', 400);
+    }
+
+    invoice.status = 'Void';
+    invoice.voidedAt = new Date();
+    if (reason) invoice.voidReason = reason;
+    invoice.increment();
+    let result = await invoice.save();
+    console.log('[voidInvoice] Invoice voided:', { invoiceId: result._id });
+
+    let accountingResult = null;
+
+    if (syncToAccounting) {
+        const provider = getAccountingProvider();
+        const sync = await provider.voidInvoice(userId, result);
+        if (sync?.status === 'completed') {
+            accountingResult = sync.result;
+            console.log(`[voidInvoice] Invoice voided in ${provider.name}:`, accountingResult);
+        } else if (sync) {
+            console.warn(`[voidInvoice] ${provider.name} invoice void queued for retry:`, sync.error);
+        }
+
+        if (sync) result = await Invoice.findById(result._id);
+    }
+
+    return { invoice: result, accountingResult };
+};
+
+exports.voidInvoice = voidInvoice;
+
+/**
+ * Saves changes to an invoice and pushes them to the accounting backend, if it has the
+ * invoice. The total cannot drop below what was already paid or credited.
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The invoice document
+ * @param {Object} fields - The fields to change
+ * @param {Object} [options]
+ * @param {string} [options.reference] - Reference for the accounting backend
+ * @param {boolean} [options.syncToAccounting] - Push the changes to the accounting backend
+ * @returns {Promise<Object>} - The updated invoice and the accounting result, if any
+ */
+const updateInvoice = async (userId, invoice, fields, { reference, syncToAccounting = true } = {}) => {
+    if (invoice.status === 'Void') {
+        throw new AppError('Invoice is void and can no longer be changed', 400);
+    }
+
+    invoice.set(fields);
+    let result;
+    try {
+        // Saved as a document so the totals, balance and status are worked out again
+        result = await invoice.save();
+    } catch (error) {
+        // Validation has already worked the new total out from the lines
+        const settled = (invoice.amountPaid || 0) + (invoice.amountCredited || 0);
+        if (error.name === 'ValidationError' && invoice.amount + 0.005 < settled) {
+            throw new AppError(`Invoice total cannot be less than the ${formatMoney(settled, invoice.currency)} already paid or credited`, 400);
+        }
+        throw error;
+    }
+    console.log('[updateInvoice] Invoice updated:', { invoiceId: result._id, amount: result.amount });
+
+    let accountingResult = null;
+
+    if (syncToAccounting) {
+        const provider = getAccountingProvider();
+        const sync = await provider.updateInvoice(userId, result, {
+            contactName: result.clientName,
+            items: result.items,
+            amount: result.amount,
+            taxRate: result.taxRate,
+            taxMode: result.taxMode,
+            description: result.description,
+            reference
+        });
+
+        if (sync?.status === 'completed') {
+            accountingResult = sync.result;
+            console.log(`[updateInvoice] Invoice updated in ${provider.name}:`, accountingResult);
+        } else if (sync) {
+            console.warn(`[updateInvoice] ${provider.name} invoice update queued for retry:`, sync.error);
+        }
+
+        if (sync) result = await Invoice.findById(result._id);
+    }
+
+    return { invoice: result, accountingResult };
+};
+
+exports.updateInvoice = updateInvoice;
+
+/**
+ * Gets an invoice ready to email: void invoices cannot be sent, drafts are approved first
+ * because sending one bills the client, and the invoice gets its links for the email
+ * @param {string} userId - The invoice owner
+ * @param {Object} invoice - The invoice document
+ * @param {string} [contactEmail] - Email for the contact if the backend has to create one
+ * @returns {Promise<Object>} - The invoice to send and the accounting result of approving it, if any
+ */
+const prepareInvoiceForSending = async (userId, invoice, contactEmail) => {
+    if (invoice.status === 'Void') {
+        throw new AppError('Invoice is void and cannot be sent', 400);
+    }
+    let accountingResult = null;
+    if (invoice.status === 'Draft') {
+        ({ invoice, accountingResult } = await approveInvoice(userId, invoice, { contactEmail }));
+    }
+    return { invoice: await addClientLinks(invoice), accountingResult };
+};
+
+/**
+ * Records that an invoice was emailed; the first send moves a Pending invoice to Sent
+ * @param {Object} invoice - The invoice that was sent
+ * @param {string|Array<string>} recipient - Where it was sent
+ * @returns {Promise<Object>} - The updated invoice
+ */
+const recordInvoiceSent = (invoice, recipient) => {
+    return Invoice.findOneAndUpdate(
+        { _id: invoice._id },
+        {
+            lastSent: new Date(),
+            sentTo: toAddressList(recipient).join(', '),
+            sentAt: invoice.sentAt || new Date(),
+            ...(invoice.status === 'Pending' && { status: 'Sent' })
+        },
+        { new: true }
+    );
 };
 
 /**
@@ -375,8 +766,10 @@ exports.handleInvoiceAction = async (userId, action, params) => {
         'update_invoice': ['invoiceId'],
         'mark_invoice_paid': ['invoiceId'],
         'pay_invoice': ['invoiceId'],
-        'send_invoice': ['invoiceId', 'email'],
-        'resend_invoice': ['invoiceId']
+        'send_invoice': ['invoiceId'],
+        'resend_invoice': ['invoiceId'],
+        'approve_invoice': ['invoiceId'],
+        'void_invoice': ['invoiceId']
     };
 
     const actionType = action.type || action.action;
@@ -400,7 +793,7 @@ exports.handleInvoiceAction = async (userId, action, params) => {
 
     let result = null;
     let emailResult = null;
-    let xeroResult = null;
+    let accountingResult = null;
 
     try {
         switch (normalizedActionType) {
@@ -415,103 +808,36 @@ exports.handleInvoiceAction = async (userId, action, params) => {
                     tasks: Array.isArray(params.tasks) ? params.tasks : [],
                     items: Array.isArray(params.items) ? params.items : [],
                     taxRate: typeof params.taxRate === 'number' ? params.taxRate : 0,
+                    ...pickTotalsParams(params),
+                    // The user's default currency is used when none is given
+                    ...(params.currency && { currency: params.currency }),
                     date: params.date ? new Date(params.date) : new Date(),
                     dueDate: params.dueDate ? new Date(params.dueDate) : addDays(new Date(), 30),
-                    status: 'Pending',
-                    user: userId,
-                    invoiceNumber: params.invoiceNumber || null
+                    ...(params.reference && { reference: params.reference }),
+                    user: userId
                 };
 
                 console.log('[handleInvoiceAction] Invoice data prepared:', invoiceData);
 
+                // New invoices start as drafts and reach the accounting backend once approved
                 result = await Invoice.create(invoiceData);
                 console.log('[handleInvoiceAction] Created invoice:', result);
 
-                // Check Xero connection status
-                const tenantId = XeroService.getTenantId();
-                console.log('[handleInvoiceAction] Checking Xero connection. Tenant ID:', tenantId);
-
-                // Create Xero invoice if connected
-                if (tenantId) {
-                    console.log('[handleInvoiceAction] Xero connected, proceeding with Xero invoice creation');
-                    try {
-                        const xeroInvoiceData = {
-                            contactName: params.clientName,
-                            lineItems: createXeroLineItems(params.items || {
-                                amount: params.amount,
-                                description: params.description,
-                                accountCode: params.accountCode
-                            }),
-                            date: invoiceData.date.toISOString(),
-                            dueDate: invoiceData.dueDate.toISOString(),
-                            reference: params.reference || `INV-${result.invoiceNumber || result._id.toString().slice(-6)}`,
-                            status: 'AUTHORISED'
-                        };
-
-                        console.log('[handleInvoiceAction] Creating Xero invoice with data:', xeroInvoiceData);
-                        xeroResult = await XeroService.createInvoice(xeroInvoiceData);
-                        console.log('[handleInvoiceAction] Xero invoice created successfully:', xeroResult);
-
-                        // Update local invoice with Xero reference
-                        if (xeroResult && xeroResult.invoiceID) {
-                            console.log('[handleInvoiceAction] Updating local invoice with Xero details');
-                            result = await Invoice.findOneAndUpdate(
-                                { _id: result._id },
-                                {
-                                    xeroInvoiceId: xeroResult.invoiceID,
-                                    xeroReference: xeroResult.reference,
-                                    xeroStatus: xeroResult.status
-                                },
-                                { new: true }
-                            );
-                            console.log('[handleInvoiceAction] Local invoice updated with Xero details:', result);
-                        } else {
-                            console.warn('[handleInvoiceAction] Xero invoice created but no invoiceID returned');
-                        }
-                    } catch (xeroError) {
-                        console.error('[handleInvoiceAction] Error creating Xero invoice:', {
-                            message: xeroError.message,
-                            stack: xeroError.stack,
-                            response: xeroError.response?.data
-                        });
-
-                        // Mark invoice with sync error
-                        result = await Invoice.findOneAndUpdate(
-                            { _id: result._id },
-                            {
-                                xeroSyncError: xeroError.message || 'Failed to sync with Xero',
-                                xeroSyncErrorDetails: JSON.stringify({
-                                    code: xeroError.code,
-                                    status: xeroError.status,
-                                    response: xeroError.response?.data
-                                })
-                            },
-                            { new: true }
-                        );
-                        console.log('[handleInvoiceAction] Invoice marked with Xero sync error:', result);
-                    }
-                } else {
-                    console.log('[handleInvoiceAction] No Xero tenant ID found, skipping Xero integration');
+                const emailAddress = params.email || params.sendEmail;
+                if (params.approve || (typeof emailAddress === 'string' && emailAddress)) {
+                    ({ invoice: result, accountingResult } = await approveInvoice(userId, result, { contactEmail: params.email }));
                 }
 
                 // Handle email sending if requested
                 if (params.sendEmail || params.email) {
-                    const emailAddress = params.email || params.sendEmail;
                     if (emailAddress) {
                         console.log('[handleInvoiceAction] Sending email for new invoice to:', emailAddress);
-                        const emailData = generateInvoiceEmail(result, emailAddress);
-                        emailResult = await sendEmail(emailData);
+                        result = await addClientLinks(result);
+                        const emailData = await generateInvoiceEmail(result, emailAddress);
+                        emailResult = await sendInvoiceEmail(result, emailData);
                         console.log('[handleInvoiceAction] Email sent successfully:', emailResult);
 
-                        result = await Invoice.findOneAndUpdate(
-                            { _id: result._id },
-                            {
-                                lastSent: new Date(),
-                                sentTo: emailAddress,
-                                status: result.status === 'Draft' ? 'Pending' : result.status
-                            },
-                            { new: true }
-                        );
+                        result = await recordInvoiceSent(result, emailAddress);
                         console.log('[handleInvoiceAction] Invoice updated with email details:', result);
                     }
                 }
@@ -528,6 +854,8 @@ exports.handleInvoiceAction = async (userId, action, params) => {
                 }
 
                 const updateFields = {};
+                // Status follows the payments; "Paid" records a payment for the balance below
+                const markPaid = params.status === 'Paid' && invoice.status !== 'Paid';
 
                 if (params.clientName) updateFields.clientName = params.clientName;
                 if (params.amount) updateFields.amount = params.amount;
@@ -546,85 +874,31 @@ exports.handleInvoiceAction = async (userId, action, params) => {
                         throw new Error('Invalid due date format');
                     }
                 }
-                if (params.status) {
-                    updateFields.status = ['Pending', 'Paid', 'Overdue'].includes(params.status)
-                        ? params.status
-                        : 'Pending';
-                }
                 if (params.invoiceNumber !== undefined) updateFields.invoiceNumber = params.invoiceNumber;
                 if (params.items !== undefined) updateFields.items = params.items;
+                if (typeof params.taxRate === 'number') updateFields.taxRate = params.taxRate;
+                Object.assign(updateFields, pickTotalsParams(params));
+                if (params.currency) updateFields.currency = params.currency;
 
                 console.log('[handleInvoiceAction] Updating invoice with fields:', updateFields);
-                result = await Invoice.findOneAndUpdate(
-                    { _id: invoice._id },
-                    updateFields,
-                    { new: true, runValidators: true }
-                );
-                console.log('[handleInvoiceAction] Invoice updated successfully:', result);
-
-                // Check if we should sync with Xero
-                if (XeroService.getTenantId() && invoice.xeroInvoiceId) {
-                    console.log('[handleInvoiceAction] Xero connected and invoice has Xero ID, attempting update');
-                    try {
-                        const xeroUpdateData = {
-                            invoiceID: invoice.xeroInvoiceId,
-                            contactName: params.clientName || invoice.clientName,
-                            lineItems: createXeroLineItems(params.items || invoice.items || {
-                                amount: params.amount || invoice.amount,
-                                description: params.description || invoice.description
-                            }),
-                            reference: params.reference || invoice.xeroReference || `INV-${result.invoiceNumber || result._id.toString().slice(-6)}`
-                        };
-
-                        console.log('[handleInvoiceAction] Updating Xero invoice with data:', xeroUpdateData);
-                        xeroResult = await XeroService.updateInvoice(xeroUpdateData);
-                        console.log('[handleInvoiceAction] Xero invoice updated successfully:', xeroResult);
-
-                        // Update local invoice with Xero status if changed
-                        if (xeroResult && xeroResult.status !== invoice.xeroStatus) {
-                            result = await Invoice.findOneAndUpdate(
-                                { _id: result._id },
-                                { xeroStatus: xeroResult.status },
-                                { new: true }
-                            );
-                            console.log('[handleInvoiceAction] Local invoice updated with new Xero status:', result);
-                        }
-                    } catch (xeroError) {
-                        console.error('[handleInvoiceAction] Error updating Xero invoice:', {
-                            message: xeroError.message,
-                            stack: xeroError.stack,
-                            response: xeroError.response?.data
-                        });
+                ({ invoice: result, accountingResult } = await updateInvoice(userId, invoice, updateFields, {
+                    reference: params.reference
+                }));
 
-                        result = await Invoice.findOneAndUpdate(
-                            { _id: result._id },
-                            {
-                                xeroSyncError: xeroError.message || 'Failed to sync update with Xero',
-                                xeroSyncErrorDetails: JSON.stringify({
-                                    code: xeroError.code,
-                                    status: xeroError.status,
-                                    response: xeroError.response?.data
-                                })
-                            },
-                            { new: true }
-                        );
-                        console.log('[handleInvoiceAction] Invoice marked with Xero sync error:', result);
-                    }
+                if (markPaid) {
+                    ({ invoice: result } = await markInvoicePaid(userId, result));
                 }
 
                 if (params.sendEmail || params.email) {
                     const emailAddress = params.email || params.sendEmail;
                     if (emailAddress) {
                         console.log('[handleInvoiceAction] Sending updated invoice email to:', emailAddress);
-                        const emailData = generateInvoiceEmail(result, emailAddress);
-                        emailResult = await sendEmail(emailData);
+                        ({ invoice: result } = await prepareInvoiceForSending(userId, result, params.email));
+                        const emailData = await generateInvoiceEmail(result, emailAddress);
+                        emailResult = await sendInvoiceEmail(result, emailData);
                         console.log('[handleInvoiceAction] Email sent successfully:', emailResult);
 
-                        result = await Invoice.findOneAndUpdate(
-                            { _id: result._id },
-                            { lastSent: new Date(), sentTo: emailAddress },
-                            { new: true }
-                        );
+                        result = await recordInvoiceSent(result, emailAddress);
                         console.log('[handleInvoiceAction] Invoice updated with email details:', result);
                     }
                 }
@@ -640,83 +914,45 @@ exports.handleInvoiceAction = async (userId, action, params) => {
                     throw new Error(`Invoice not found or you don't have permission to update it`);
                 }
 
-                result = await Invoice.findOneAndUpdate(
-                    { _id: invoiceToMark._id },
-                    {
-                        status: 'Paid',
-                        paidDate: new Date(),
-                        dueDate: invoiceToMark.dueDate
-                    },
-                    { new: true, runValidators: true }
-                );
-                console.log('[handleInvoiceAction] Invoice marked as paid:', result);
-
-                // Check if we should mark as paid in Xero
-                if (XeroService.getTenantId() && invoiceToMark.xeroInvoiceId) {
-                    console.log('[handleInvoiceAction] Xero connected and invoice has Xero ID, attempting to mark as paid');
-                    try {
-                        xeroResult = await XeroService.markInvoiceAsPaid({
-                            invoiceID: invoiceToMark.xeroInvoiceId,
-                            amountPaid: invoiceToMark.amount,
-                            paymentDate: new Date().toISOString()
-                        });
-                        console.log('[handleInvoiceAction] Xero invoice marked as paid successfully:', xeroResult);
-
-                        // Update local invoice with Xero payment details
-                        if (xeroResult && xeroResult.status === 'PAID') {
-                            result = await Invoice.findOneAndUpdate(
-                                { _id: result._id },
-                                { xeroStatus: xeroResult.status },
-                                { new: true }
-                            );
-                            console.log('[handleInvoiceAction] Local invoice updated with Xero payment status:', result);
-                        }
-                    } catch (xeroError) {
-                        console.error('[handleInvoiceAction] Error marking Xero invoice as paid:', {
-                            message: xeroError.message,
-                            stack: xeroError.stack,
-                            response: xeroError.response?.data
-                        });
-
-                        result = await Invoice.findOneAndUpdate(
-                            { _id: result._id },
-                            {
-                                xeroSyncError: xeroError.message || 'Failed to sync payment with Xero',
-                                xeroSyncErrorDetails: JSON.stringify({
-                                    code: xeroError.code,
-                                    status: xeroError.status,
-                                    response: xeroError.response?.data
-                                })
-                            },
-                            { new: true }
-                        );
-                        console.log('[handleInvoiceAction] Invoice marked with Xero payment sync error:', result);
-                    }
-                }
+                // A paymentAmount records a part payment; otherwise the whole balance is paid
+                let payment;
+                ({ invoice: result, payment, accountingResult } = await recordInvoicePayment(userId, invoiceToMark, {
+                    amount: params.paymentAmount,
+                    ...(params.paymentDate && { date: params.paymentDate }),
+                    method: params.paymentMethod,
+                    reference: params.paymentReference
+                }));
 
                 if (params.sendEmail || params.email) {
                     const emailAddress = params.email || params.sendEmail;
                     if (emailAddress) {
                         console.log('[handleInvoiceAction] Sending payment confirmation email to:', emailAddress);
-                        const emailData = {
-                            to: emailAddress,
-                            subject: `Payment Received for Invoice ${result.invoiceNumber ? `#${result.invoiceNumber}` : ''}`,
-                            text: `We've received your payment of $${result.amount.toFixed(2)} for invoice ${result.invoiceNumber ? `#${result.invoiceNumber}` : ''}. Thank you!`,
-                            html: `
-                                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                                    <h2 style="color: #2ecc71;">Payment Received</h2>
-                                    <p>We've received your payment of <strong>$${result.amount.toFixed(2)}</strong> for invoice ${result.invoiceNumber ? `<strong>#${result.invoiceNumber}</strong>` : ''}.</p>
-                                    <p>Thank you for your business!</p>
-                                </div>
-                            `
-                        };
-                        emailResult = await sendEmail(emailData);
+                        const emailData = await generateInvoiceEmail(result, emailAddress, {
+                            kind: 'payment_receipt',
+                            values: { paymentAmount: formatMoney(payment.amount, result.currency) }
+                        });
+                        emailResult = await sendInvoiceEmail(result, emailData, { kind: 'payment_receipt' });
                         console.log('[handleInvoiceAction] Payment confirmation email sent successfully:', emailResult);
                     }
                 }
                 break;
             }
 
+            case 'approve_invoice':
+            case 'void_invoice': {
+                const invoiceToChange = await findInvoice(userId, params.invoiceId);
+
+                if (!invoiceToChange) {
+                    console.error('[handleInvoiceAction] Invoice not found or no permission:', params.invoiceId);
+                    throw new Error(`Invoice not found or you don't have permission to update it`);
+                }
+
+                ({ invoice: result, accountingResult } = normalizedActionType === 'approve_invoice'
+                    ? await approveInvoice(userId, invoiceToChange)
+                    : await voidInvoice(userId, invoiceToChange, { reason: params.reason }));
+                break;
+            }
+
             case 'send_invoice': {
                 console.log('[handleInvoiceAction] Sending invoice via email:', params.invoiceId);
                 const invoiceToSend = await findInvoice(userId, params.invoiceId);
@@ -726,31 +962,48 @@ exports.handleInvoiceAction = async (userId, action, params) => {
                     throw new Error(`Invoice not found or you don't have permission to access it`);
                 }
 
+                // A resend goes to whoever got the invoice last time; otherwise default to the
+                // client's stored email rather than guessing
+                const previous = actionType === 'resend_invoice' && !params.email
+                    ? await getPreviousRecipients(invoiceToSend)
+                    : null;
+                const client = invoiceToSend.client
+                    ? await Client.findOne({ _id: invoiceToSend.client, user: userId })
+                    : await Client.findByName(userId, invoiceToSend.clientName);
+                const recipient = params.email || previous?.to || client?.primaryEmail;
+                const cc = params.cc || previous?.cc;
+
+                if (!recipient) {
+                    console.error('[handleInvoiceAction] No recipient email for invoice:', invoiceToSend._id);
+                    return {
+                        success: false,
+                        missingFields: ['email'],
+                        error: `No email address on file for ${invoiceToSend.clientName}. Please provide the recipient email address.`
+                    };
+                }
+
+                // Sending bills the client, so a draft is approved first
+                let approved;
+                ({ invoice: approved, accountingResult } = await prepareInvoiceForSending(userId, invoiceToSend, params.email));
+
                 try {
-                    console.log('[handleInvoiceAction] Generating email for invoice:', invoiceToSend._id);
-                    const emailData = generateInvoiceEmail(invoiceToSend, params.email);
-                    const pdfBuffer = await generateInvoicePDF(invoiceToSend);
+                    console.log('[handleInvoiceAction] Generating email for invoice:', approved._id, 'to:', recipient);
+                    const emailData = await generateInvoiceEmail(approved, recipient);
+                    if (cc?.length) emailData.cc = cc;
+                    const pdfBuffer = await generateInvoicePDF(approved);
 
                     emailData.attachments = [{
-                        filename: `invoice-${invoiceToSend.invoiceNumber || invoiceToSend._id}.pdf`,
+                        filename: `invoice-${approved.invoiceNumber || approved._id}.pdf`,
                         content: pdfBuffer,
                         contentType: 'application/pdf'
                     }];
 
                     console.log('[handleInvoiceAction] Sending email with attachment:', emailData);
-                    emailResult = await sendEmail(emailData);
+                    emailResult = await sendInvoiceEmail(approved, emailData);
 
                     console.log('[handleInvoiceAction] Email sent successfully:', emailResult);
 
-                    result = await Invoice.findOneAndUpdate(
-                        { _id: invoiceToSend._id },
-                        {
-                            lastSent: new Date(),
-                            sentTo: params.email,
-                            status: invoiceToSend.status === 'Draft' ? 'Pending' : invoiceToSend.status
-                        },
-                        { new: true }
-                    );
+                    result = await recordInvoiceSent(approved, recipient);
                     console.log('[handleInvoiceAction] Invoice updated with email details:', result);
                 } catch (emailError) {
                     console.error('[handleInvoiceAction] Error sending invoice email:', {
@@ -772,7 +1025,7 @@ exports.handleInvoiceAction = async (userId, action, params) => {
             success: true,
             data: result,
             ...(emailResult && { emailStatus: emailResult }),
-            ...(xeroResult && { xeroInvoice: xeroResult })
+            ...(accountingResult && { accountingResult })
         };
 
         console.log('[handleInvoiceAction] Action completed successfully with response:', response);
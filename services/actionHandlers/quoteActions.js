@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+const { addDays } = require('date-fns');
+const Quote = require('../../models/Quote');
+const Client = require('../../models/Client');
+const AppError = require('../../utils/appError');
+const { formatMoney } = require('../../utils/money');
+const sendEmail = require('./../emailService');
+const { generateInvoicePDF, handleInvoiceAction, pickTotalsParams } = require('./invoiceActions');
+
+// Days a quote stays valid when no validity date is given
+const DEFAULT_VALIDITY_DAYS = 30;
+
+// Quotes that can still be accepted, declined or converted
+const OPEN_STATUSES = ['Draft', 'Sent', 'Accepted'];
+
+/**
+ * Finds a quote by various identifiers (ID, quote number or client name)
+ * @param {string} userId - The user ID associated with the quote
+ * @param {string} identifier - The identifier to search by
+ * @returns {Promise<Object|null>} - The found quote or null if not found
+ */
+const findQuote = async (userId, identifier) => {
+    console.log('[findQuote] Called with:', { userId, identifier });
+
+    if (!identifier) {
+        return null;
+    }
+
+    if (mongoose.Types.ObjectId.isValid(identifier)) {
+        return Quote.findOne({ _id: identifier, user: userId });
+    }
+
+    // Full quote number, e.g. "QU-2026-0007"
+    const numberedQuote = await Quote.findOne({ user: userId, quoteNumber: identifier.trim() })
+        .collation({ locale: 'en', strength: 2 });
+    if (numberedQuote) {
+        return numberedQuote;
+    }
+
+    // Sequence reference, e.g. "quote 7", "estimate #7" or "#7"
+    const seqMatch = identifier.trim().match(/^(?:(?:quote|estimate)\.?\s*(?:no\.?|number)?\s*#?|#)\s*(\d+)$/i);
+    if (seqMatch) {
+        const seqQuote = await Quote.findOne({ user: userId, quoteSeq: parseInt(seqMatch[1], 10) });
+        if (seqQuote) {
+            return seqQuote;
+        }
+    }
+
+    console.log('[findQuote] Fallback to clientName search');
+    const escaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return Quote.findOne({
+        clientName: { $regex: new RegExp(escaped, 'i') },
+        user: userId
+    }).sort({ createdAt: -1 });
+};
+
+/**
+ * Renders a quote with the invoice PDF layout
+ * @param {Object} quote - The quote document
+ * @returns {Promise<Buffer>} - The PDF
+ */
+const generateQuotePDF = (quote) => {
+    const data = quote.toObject ? quote.toObject() : quote;
+    return generateInvoicePDF(
+        { ...data, invoiceNumber: data.quoteNumber, dueDate: data.validUntil },
+        {
+            documentTitle: 'Quote',
+            stampText: 'QUOTE',
+            dueDateLabel: 'Valid Until',
+            billToLabel: 'Prepared For',
+            totalLabel: 'Quote Total',
+            showPaymentInstructions: false
+        }
+    );
+};
+
+/**
+ * Generates email content for a quote
+ * @param {Object} quote - The quote document
+ * @param {string} emailAddress - The recipient email address
+ * @returns {Object} - Email data object with text and HTML content
+ */
+const generateQuoteEmail = (quote, emailAddress) => {
+    const formattedDate = quote.date.toLocaleDateString();
+    const formattedValidUntil = quote.validUntil.toLocaleDateString();
+    const formattedAmount = formatMoney(quote.amount, quote.currency);
+    const quoteIdentifier = quote.quoteNumber ? `#${quote.quoteNumber}` : `(ID: ${quote._id.toString()})`;
+
+    const text = `
+Quote Details
+-------------
+Client: ${quote.clientName}
+Quote: ${quoteIdentifier}
+Quote Date: ${formattedDate}
+Valid Until: ${formattedValidUntil}
+Amount: ${formattedAmount}
+Description: ${quote.description || 'N/A'}
+
+Reply to this email to accept the quote or ask any questions.
+    `;
+
+    const html = `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #eee; padding: 20px; border-radius: 5px;">
+    <h2 style="color: #2c3e50; border-bottom: 2px solid #eee; padding-bottom: 10px;">Quote Details</h2>
+    <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold; width: 30%;">Client:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">${quote.clientName}</td>
+        </tr>
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Quote:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">${quoteIdentifier}</td>
+        </tr>
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Quote Date:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">${formattedDate}</td>
+        </tr>
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Valid Until:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">${formattedValidUntil}</td>
+        </tr>
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Amount:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">${formattedAmount}</td>
+        </tr>
+        <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #eee; font-weight: bold;">Description:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #eee;">${quote.description || 'N/A'}</td>
+        </tr>
+    </table>
+
+    <p style="margin-top: 30px; font-style: italic; text-align: center; color: #7f8c8d;">
+        Reply to this email to accept the quote or ask any questions.
+    </p>
+</div>
+    `;
+
+    return {
+        to: emailAddress,
+        subject: `Quote ${quoteIdentifier} for ${quote.clientName} - ${formattedAmount}`,
+        text,
+        html
+    };
+};
+
+/**
+ * Emails a quote with its PDF, defaulting to the client's stored email
+ * @param {string} userId - The quote owner
+ * @param {Object} quote - The quote document
+ * @param {string} [email] - Recipient; the client's stored email when omitted
+ * @returns {Promise<Object>} - The updated quote and the email result
+ */
+const sendQuote = async (userId, quote, email) => {
+    if (!OPEN_STATUSES.includes(quote.status)) {
+        throw new AppError(`Quote is ${quote.status.toLowerCase()} and cannot be sent`, 400);
+    }
+
+    const client = quote.client ? await Client.findOne({ _id: quote.client, user: userId }) : null;
+    const recipient = email || client?.primaryEmail;
+    if (!recipient) {
+        throw new AppError(`No email address on file for ${quote.clientName}. Please provide the recipient email address.`, 400);
+    }
+
+    const emailData = generateQuoteEmail(quote, recipient);
+    emailData.attachments = [{
+        filename: `quote-${quote.quoteNumber || quote._id}.pdf`,
+        content: await generateQuotePDF(quote),
+        contentType: 'application/pdf'
+    }];
+
+    const emailResult = await sendEmail(emailData);
+    console.log('[sendQuote] Quote email sent:', { quoteId: quote._id, recipient });
+
+    quote.sentTo = recipient;
+    quote.lastSent = new Date();
+    if (quote.status === 'Draft') quote.status = 'Sent';
+    await quote.save();
+
+    return { quote, emailResult };
+};
+
+/**
+ * Records the client's answer to a quote
+ * @param {Object} quote - The quote document
+ * @param {boolean} accepted - True to accept, false to decline
+ * @param {string} [reason] - Why the client declined
+ * @returns {Promise<Object>} - The updated quote
+ */
+const respondToQuote = async (quote, accepted, reason) => {
+    if (!['Draft', 'Sent'].includes(quote.status) && !(accepted && quote.status === 'Accepted')) {
+        throw new AppError(`Quote is ${quote.status.toLowerCase()} and can no longer be ${accepted ? 'accepted' : 'declined'}`, 400);
+    }
+
+    if (quote.validUntil < new Date() && quote.status !== 'Accepted') {
+        throw new AppError('Quote has expired. Please update its validity date first.', 400);
+    }
+
+    if (accepted) {
+        quote.status = 'Accepted';
+        quote.acceptedAt = quote.acceptedAt || new Date();
+    } else {
+        quote.status = 'Declined';
+        quote.declinedAt = new Date();
+        if (reason) quote.declineReason = reason;
+    }
+
+    return quote.save();
+};
+
+/**
+ * Turns a quote into an invoice in one step, copying items, tasks and tax rate. The
+ * invoice goes through the normal create_invoice path so it is numbered and synced.
+ * @param {string} userId - The quote owner
+ * @param {Object} quote - The quote document
+ * @param {Object} [options]
+ * @param {string|Date} [options.dueDate] - Invoice due date (create_invoice's default when omitted)
+ * @returns {Promise<Object>} - The converted quote and the new invoice
+ */
+const convertQuoteToInvoice = async (userId, quote, { dueDate } = {}) => {
+    if (quote.validUntil < new Date() && quote.status !== 'Accepted') {
+        throw new AppError('Quote has expired. Please update its validity date first.', 400);
+    }
+
+    // Claim the quote first so two requests cannot both convert it
+    const claimed = await Quote.findOneAndUpdate(
+        { _id: quote._id, user: userId, status: { $in: OPEN_STATUSES } },
+        { status: 'Converted', convertedAt: new Date(), acceptedAt: quote.acceptedAt || new Date() },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new AppError(`Quote is ${quote.status.toLowerCase()} and cannot be converted`, 400);
+    }
+
+    try {
+        const invoiceResult = await handleInvoiceAction(userId, { type: 'create_invoice' }, {
+            clientName: quote.clientName,
+            amount: quote.amount,
+            description: quote.description,
+            tasks: quote.tasks,
+            items: quote.items.map(item => {
+                const { _id, ...rest } = item.toObject ? item.toObject() : item;
+                return rest;
+            }),
+            taxRate: quote.taxRate,
+            ...pickTotalsParams(quote),
+            currency: quote.currency,
+            ...(dueDate && { dueDate }),
+            reference: quote.quoteNumber
+        });
+
+        if (!invoiceResult.success) {
+            throw new Error(invoiceResult.error);
+        }
+
+        claimed.convertedInvoice = invoiceResult.data._id;
+        await claimed.save();
+        console.log('[convertQuoteToInvoice] Quote converted:', { quoteId: quote._id, invoiceId: invoiceResult.data._id });
+
+        return { quote: claimed, invoice: invoiceResult.data };
+    } catch (error) {
+        // Put the quote back so the conversion can be retried
+        await Quote.updateOne(
+            { _id: quote._id },
+            { status: quote.status, $unset: { convertedAt: 1 } }
+        );
+        throw error;
+    }
+};
+
+/**
+ * Handles all quote-related chat actions
+ * @param {string} userId - The user ID associated with the action
+ * @param {Object} action - The action object
+ * @param {Object} params - The parameters for the action
+ * @returns {Promise<Object>} - The result of the action
+ */
+const handleQuoteAction = async (userId, action, params) => {
+    const actionType = action.type || action.action;
+    console.log('[handleQuoteAction] Called with:', { userId, actionType, params: JSON.stringify(params) });
+
+    const requiredFields = {
+        'create_quote': ['clientName', 'amount']
+    };
+
+    const missingFields = (requiredFields[actionType] || []).filter(field =>
+        params[field] === undefined || params[field] === null ||
+        (typeof params[field] === 'string' && params[field].trim() === '')
+    );
+    // Other actions find the quote by ID, number or client name
+    if (actionType !== 'create_quote' && !params.quoteId && !params.clientName) {
+        missingFields.push('quoteId');
+    }
+    if (missingFields.length > 0) {
+        return {
+            success: false,
+            missingFields,
+            error: `Missing required fields: ${missingFields.join(', ')}`
+        };
+    }
+
+    let result = null;
+    let invoice = null;
+    let emailResult = null;
+
+    if (actionType === 'create_quote') {
+        const date = params.date ? new Date(params.date) : new Date();
+        result = await Quote.create({
+            clientName: params.clientName,
+            amount: params.amount,
+            description: params.description || '',
+            tasks: Array.isArray(params.tasks) ? params.tasks : [],
+            items: Array.isArray(params.items) ? params.items : [],
+            taxRate: typeof params.taxRate === 'number' ? params.taxRate : 0,
+            ...pickTotalsParams(params),
+            ...(params.currency && { currency: params.currency }),
+            date,
+            validUntil: params.validUntil ? new Date(params.validUntil) : addDays(date, DEFAULT_VALIDITY_DAYS),
+            user: userId
+        });
+        console.log('[handleQuoteAction] Created quote:', result.quoteNumber);
+
+        if (params.email) {
+            ({ quote: result, emailResult } = await sendQuote(userId, result, params.email));
+        }
+    } else {
+        const quote = await findQuote(userId, params.quoteId || params.clientName);
+        if (!quote) {
+            throw new Error(`Quote not found or you don't have permission to access it`);
+        }
+
+        switch (actionType) {
+            case 'update_quote': {
+                if (!['Draft', 'Sent', 'Expired'].includes(quote.status)) {
+                    throw new Error(`Quote is ${quote.status.toLowerCase()} and can no longer be changed`);
+                }
+                ['clientName', 'amount', 'description', 'tasks', 'items', 'taxRate', 'taxMode', 'discountRate', 'discount', 'currency'].forEach(field => {
+                    if (params[field] !== undefined) quote[field] = params[field];
+                });
+                if (params.validUntil) quote.validUntil = new Date(params.validUntil);
+                // A new validity date reopens an expired quote
+                if (quote.status === 'Expired' && quote.validUntil >= new Date()) {
+                    quote.status = quote.lastSent ? 'Sent' : 'Draft';
+                }
+                result = await quote.save();
+                break;
+            }
+
+            case 'send_quote':
+                ({ quote: result, emailResult } = await sendQuote(userId, quote, params.email));
+                break;
+
+            case 'accept_quote':
+                result = await respondToQuote(quote, true);
+                break;
+
+            case 'decline_quote':
+                result = await respondToQuote(quote, false, params.reason);
+                break;
+
+            case 'convert_quote':
+                ({ quote: result, invoice } = await convertQuoteToInvoice(userId, quote, { dueDate: params.dueDate }));
+                break;
+
+            default:
+                throw new Error(`Unknown action type: ${actionType}`);
+        }
+    }
+
+    return {
+        success: true,
+        data: result,
+        ...(invoice && { invoice }),
+        ...(emailResult && { emailStatus: emailResult })
+    };
+};
+
+module.exports = {
+    findQuote,
+    generateQuotePDF,
+    sendQuote,
+    respondToQuote,
+    convertQuoteToInvoice,
+    handleQuoteAction
+};
@@ -1,19 +1,155 @@
-const XeroController = require('../../controllers/xeroController');
+const jwt = require('jsonwebtoken');
+const createXeroClient = require('../../config/xero');
+const XeroConnection = require('../../models/XeroConnection');
+const Client = require('../../models/Client');
+const Invoice = require('../../models/Invoice');
+const CreditNote = require('../../models/CreditNote');
+const XeroSyncOperation = require('../../models/XeroSyncOperation');
+const { notifyUser } = require('../notificationService');
+
+// Refresh access tokens that expire within this many seconds
+const TOKEN_EXPIRY_BUFFER_SECONDS = 60;
+
+// Xero returns at most this many records per page
+const XERO_PAGE_SIZE = 100;
+
+/**
+ * Keeps only the serialisable token fields so they can be stored on the connection
+ * @param {Object} tokenSet Token set returned by xero-node
+ * @returns {Object} Plain token set
+ */
+const serializeTokenSet = (tokenSet) => ({
+  access_token: tokenSet.access_token,
+  refresh_token: tokenSet.refresh_token,
+  id_token: tokenSet.id_token,
+  token_type: tokenSet.token_type,
+  scope: tokenSet.scope,
+  expires_at: tokenSet.expires_at
+});
+
+/**
+ * Flags the connection as needing reconnect and tells the user once, in chat and over WhatsApp
+ * @param {Object} connection The Xero connection document
+ * @param {Error} error The refresh failure
+ */
+const markReconnectRequired = async (connection, error) => {
+  if (connection.needsReconnect) return;
+
+  connection.needsReconnect = true;
+  connection.reconnectReason = error.message || 'Token refresh failed';
+  await connection.save();
+
+  await notifyUser(
+    connection.user,
+    '⚠️ Your Xero connection has expired and could not be renewed. New invoices will not be synced to Xero until you reconnect Xero from the app.'
+  );
+};
+
+/**
+ * Renews the access token with the stored refresh token and saves the rotated token set
+ * @param {Object} xeroClient The Xero client for the connection
+ * @param {Object} connection The Xero connection document (with tokenSet selected)
+ * @returns {Promise<Object>} The connection holding the current token set
+ */
+const refreshConnectionTokens = async (xeroClient, connection) => {
+  try {
+    const tokenSet = await xeroClient.refreshWithRefreshToken(
+      process.env.XERO_CLIENT_ID,
+      process.env.XERO_CLIENT_SECRET,
+      connection.tokenSet.refresh_token
+    );
+
+    connection.tokenSet = serializeTokenSet(tokenSet);
+    await connection.save();
+    console.log('[XeroService.refreshConnectionTokens] Tokens refreshed for user:', connection.user);
+    return connection;
+  } catch (error) {
+    // Refresh tokens rotate, so a concurrent request may already have refreshed them
+    const latest = await XeroConnection.findById(connection._id).select('+tokenSet');
+    if (latest?.tokenSet?.refresh_token && latest.tokenSet.refresh_token !== connection.tokenSet.refresh_token) {
+      xeroClient.setTokenSet(latest.tokenSet);
+      return latest;
+    }
+
+    console.error('[XeroService.refreshConnectionTokens] Error refreshing tokens:', {
+      message: error.message || 'Unknown error',
+      response: error.response?.data || error.body
+    });
+    await markReconnectRequired(connection, error);
+    throw new Error('Xero authentication expired. Please reconnect to Xero.');
+  }
+};
+
+/**
+ * Loads the user's Xero connection and returns a client authorised with fresh tokens
+ * @param {string} userId The user whose connection should be used
+ * @returns {Promise<Object>} The Xero client, active tenant ID and connection document
+ */
+const getXeroContext = async (userId) => {
+  let connection = await XeroConnection.findOne({ user: userId }).select('+tokenSet');
+
+  if (!connection || !connection.tokenSet || !connection.tenantId) {
+    throw new Error('No authenticated Xero connection. Please connect to Xero first.');
+  }
+
+  if (connection.needsReconnect) {
+    throw new Error('Xero connection needs to be reconnected. Please reconnect to Xero.');
+  }
+
+  const xeroClient = createXeroClient();
+  xeroClient.setTokenSet(connection.tokenSet);
+
+  const expiresAt = connection.tokenSet.expires_at;
+  if (!expiresAt || expiresAt - TOKEN_EXPIRY_BUFFER_SECONDS <= Math.floor(Date.now() / 1000)) {
+    connection = await refreshConnectionTokens(xeroClient, connection);
+  }
+
+  return { xeroClient, tenantId: connection.tenantId, connection };
+};
+
+/**
+ * Forgets contact, invoice and credit note links that belong to the previous organisation,
+ * and cancels sync operations that would otherwise run against the new one
+ * @param {string} userId The user whose documents are unlinked
+ */
+const clearTenantData = async (userId) => {
+  await Client.updateMany({ user: userId }, { $unset: { xeroContactId: 1 } });
+  await Invoice.updateMany(
+    { user: userId, xeroInvoiceId: { $exists: true } },
+    {
+      $unset: {
+        xeroInvoiceId: 1,
+        xeroReference: 1,
+        xeroStatus: 1,
+        xeroSyncError: 1,
+        xeroSyncErrorDetails: 1,
+        'payments.$[].xeroPaymentId': 1
+      }
+    }
+  );
+  await CreditNote.updateMany(
+    { user: userId, xeroCreditNoteId: { $exists: true } },
+    { $unset: { xeroCreditNoteId: 1, xeroStatus: 1, xeroSyncError: 1 } }
+  );
+  await XeroSyncOperation.updateMany(
+    { user: userId, status: { $in: ['pending', 'processing', 'failed'] } },
+    {
+      $set: { status: 'cancelled', lastError: 'Cancelled because the Xero organisation changed', updatedAt: new Date() },
+      $unset: { lockedAt: 1 }
+    }
+  );
+};
 
 const XeroService = {
   /**
-   * Builds and returns the Xero consent URL
+   * Builds the Xero consent URL, carrying the user through the OAuth state
+   * @param {string} userId The user starting the connection
    * @returns {Promise<string>} The consent URL
    */
-  getConsentUrl: async () => {
+  getConsentUrl: async (userId) => {
     try {
-      // Use the controller's client to build consent URL
-      const xeroClient = XeroController.getXeroClient();
-      if (!xeroClient) {
-        throw new Error('Xero client not available');
-      }
-      
-      const consentUrl = await xeroClient.buildConsentUrl();
+      const state = jwt.sign({ id: userId.toString(), purpose: 'xero-connect' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+      const consentUrl = await createXeroClient(state).buildConsentUrl();
       return consentUrl;
     } catch (error) {
       console.error('Error building consent URL:', error);
@@ -21,29 +157,92 @@ const XeroService = {
     }
   },
 
+  /**
+   * Completes the OAuth flow and stores the token set and tenants for the user named in the state
+   * @param {string} callbackUrl The callback URL including the code and state
+   * @param {string} state The OAuth state returned by Xero
+   * @returns {Promise<Object>} The saved Xero connection
+   */
+  completeConnection: async (callbackUrl, state) => {
+    let decoded;
+    try {
+      decoded = jwt.verify(state, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Invalid or expired Xero connection state. Please start the connection again.');
+    }
+
+    // The browser redirect carries no bearer token, so the signed state identifies the user
+    const userId = decoded.id;
+    if (!userId || decoded.purpose !== 'xero-connect') {
+      throw new Error('Invalid Xero connection state. Please start the connection again.');
+    }
+
+    const xeroClient = createXeroClient(state);
+    const tokenSet = await xeroClient.apiCallback(callbackUrl);
+    const tenants = await xeroClient.updateTenants(false);
+
+    if (!tenants.length) {
+      throw new Error('No Xero organisations were authorised for this connection.');
+    }
+
+    // Reconnecting keeps the organisation the user picked, if it is still authorised
+    const existing = await XeroConnection.findOne({ user: userId });
+    const activeTenant = tenants.find(tenant => tenant.tenantId === existing?.tenantId) || tenants[0];
+    if (existing?.tenantId && existing.tenantId !== activeTenant.tenantId) {
+      await clearTenantData(userId);
+    }
+
+    const connection = await XeroConnection.findOneAndUpdate(
+      { user: userId },
+      {
+        tokenSet: serializeTokenSet(tokenSet),
+        tenants: tenants.map(tenant => ({
+          tenantId: tenant.tenantId,
+          tenantName: tenant.tenantName,
+          tenantType: tenant.tenantType
+        })),
+        tenantId: activeTenant.tenantId,
+        ...(existing?.tenantId !== activeTenant.tenantId && { mappings: {}, lastReconciledAt: null }),
+        needsReconnect: false,
+        reconnectReason: null,
+        connectedAt: new Date(),
+        updatedAt: new Date()
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    // Operations that were waiting for the reconnect can run now
+    await XeroSyncOperation.updateMany({ user: userId, status: 'pending' }, { $set: { nextAttemptAt: new Date() } });
+
+    console.log('[XeroService.completeConnection] Xero connected for user:', userId, 'Tenant ID:', connection.tenantId);
+    return connection;
+  },
+
   /**
    * Creates an invoice in Xero
+   * @param {string} userId The user whose Xero connection is used
    * @param {Object} invoiceData Invoice data
-   * @param {string} invoiceData.contactName Contact name
+   * @param {string} invoiceData.contactID The Xero contact ID
    * @param {Array} invoiceData.lineItems Array of line items
+   * @param {string} [invoiceData.lineAmountTypes] Exclusive or Inclusive of tax
+   * @param {string} [invoiceData.currencyCode] Invoice currency, e.g. GBP; the organisation's base currency when omitted
    * @param {string} invoiceData.date Invoice date (ISO string)
    * @param {string} invoiceData.dueDate Due date (ISO string)
    * @param {string} invoiceData.reference Invoice reference
    * @param {string} invoiceData.status Invoice status
+   * @param {string} [invoiceData.idempotencyKey] Key that stops Xero creating the invoice twice
    * @returns {Promise<Object>} Created invoice
    */
-  createInvoice: async ({ contactName, lineItems, date, dueDate, reference, status = 'AUTHORISED' }) => {
+  createInvoice: async (userId, { contactID, lineItems, lineAmountTypes, currencyCode, date, dueDate, reference, status = 'AUTHORISED', idempotencyKey }) => {
     try {
-      // Get the authenticated Xero client and tenant ID from controller
-      const xeroClient = XeroController.getXeroClient();
-      const tenantId = XeroController.getTenantId();
-
-      if (!xeroClient || !tenantId) {
-        throw new Error('No authenticated Xero connection. Please connect to Xero first.');
+      if (!contactID) {
+        throw new Error('A Xero contact ID is required');
       }
 
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
       console.log('[XeroService.createInvoice] Creating invoice with:', {
-        contactName,
+        contactID,
         lineItems,
         date,
         dueDate,
@@ -54,21 +253,25 @@ const XeroService = {
       const result = await xeroClient.accountingApi.createInvoices(tenantId, {
         invoices: [{
           type: 'ACCREC',
-          contact: { name: contactName },
+          contact: { contactID: contactID },
           lineItems: lineItems.map(item => ({
             description: item.description || 'Invoice item',
             quantity: item.quantity || 1,
             unitAmount: item.unitAmount || item.amount || 0,
             accountCode: item.accountCode || '200',
+            ...(item.taxType && { taxType: item.taxType }),
+            ...(item.discountAmount && { discountAmount: item.discountAmount }),
             ...(item.taxAmount && { taxAmount: item.taxAmount }),
             ...(item.lineAmount && { lineAmount: item.lineAmount })
           })),
           date: date || new Date().toISOString(),
           dueDate: dueDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
           status: status,
+          ...(lineAmountTypes && { lineAmountTypes }),
+          ...(currencyCode && { currencyCode }),
           ...(reference && { reference: reference })
         }]
-      });
+      }, undefined, undefined, idempotencyKey);
 
       console.log('[XeroService.createInvoice] Invoice created successfully:', result.body.invoices[0]);
       return {
@@ -111,25 +314,27 @@ const XeroService = {
 
   /**
    * Updates an existing invoice in Xero
+   * @param {string} userId The user whose Xero connection is used
    * @param {Object} updateData Update data
    * @param {string} updateData.invoiceID The Xero invoice ID
-   * @param {string} updateData.contactName Contact name
+   * @param {string} updateData.contactID The Xero contact ID
    * @param {Array} updateData.lineItems Array of line items
+   * @param {string} [updateData.lineAmountTypes] Exclusive or Inclusive of tax
    * @param {string} updateData.reference Invoice reference
+   * @param {string} [updateData.idempotencyKey] Key that stops Xero applying the update twice
    * @returns {Promise<Object>} Updated invoice
    */
-  updateInvoice: async ({ invoiceID, contactName, lineItems, reference }) => {
+  updateInvoice: async (userId, { invoiceID, contactID, lineItems, lineAmountTypes, reference, idempotencyKey }) => {
     try {
-      const xeroClient = XeroController.getXeroClient();
-      const tenantId = XeroController.getTenantId();
-
-      if (!xeroClient || !tenantId) {
-        throw new Error('No authenticated Xero connection. Please connect to Xero first.');
+      if (!contactID) {
+        throw new Error('A Xero contact ID is required');
       }
 
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
       console.log('[XeroService.updateInvoice] Updating invoice:', {
         invoiceID,
-        contactName,
+        contactID,
         lineItems,
         reference
       });
@@ -137,18 +342,21 @@ const XeroService = {
       const result = await xeroClient.accountingApi.updateInvoice(tenantId, invoiceID, {
         invoices: [{
           invoiceID: invoiceID,
-          contact: { name: contactName },
+          contact: { contactID: contactID },
           lineItems: lineItems.map(item => ({
             description: item.description || 'Invoice item',
             quantity: item.quantity || 1,
             unitAmount: item.unitAmount || item.amount || 0,
             accountCode: item.accountCode || '200',
+            ...(item.taxType && { taxType: item.taxType }),
+            ...(item.discountAmount && { discountAmount: item.discountAmount }),
             ...(item.taxAmount && { taxAmount: item.taxAmount }),
             ...(item.lineAmount && { lineAmount: item.lineAmount })
           })),
+          ...(lineAmountTypes && { lineAmountTypes }),
           ...(reference && { reference: reference })
         }]
-      });
+      }, undefined, idempotencyKey);
 
       console.log('[XeroService.updateInvoice] Invoice updated successfully:', result.body.invoices[0]);
       return {
@@ -189,21 +397,21 @@ const XeroService = {
   },
 
   /**
-   * Marks an invoice as paid in Xero
+   * Records a payment against an invoice in Xero. The invoice is only paid once its
+   * payments cover the total.
+   * @param {string} userId The user whose Xero connection is used
    * @param {Object} paymentData Payment data
    * @param {string} paymentData.invoiceID The Xero invoice ID
-   * @param {number} paymentData.amountPaid Amount paid
+   * @param {number} paymentData.amountPaid Amount of this payment
    * @param {string} paymentData.paymentDate Payment date (ISO string)
-   * @returns {Promise<Object>} Payment result
+   * @param {string} [paymentData.reference] Payment reference
+   * @param {string} [paymentData.accountCode] Bank account code the payment is recorded against
+   * @param {string} [paymentData.idempotencyKey] Key that stops Xero recording the payment twice
+   * @returns {Promise<Object>} Payment result, with the invoice's resulting status when Xero returns it
    */
-  markInvoiceAsPaid: async ({ invoiceID, amountPaid, paymentDate }) => {
+  markInvoiceAsPaid: async (userId, { invoiceID, amountPaid, paymentDate, reference, accountCode = '090', idempotencyKey }) => {
     try {
-      const xeroClient = XeroController.getXeroClient();
-      const tenantId = XeroController.getTenantId();
-
-      if (!xeroClient || !tenantId) {
-        throw new Error('No authenticated Xero connection. Please connect to Xero first.');
-      }
+      const { xeroClient, tenantId } = await getXeroContext(userId);
 
       console.log('[XeroService.markInvoiceAsPaid] Marking invoice as paid:', {
         invoiceID,
@@ -215,19 +423,20 @@ const XeroService = {
       const result = await xeroClient.accountingApi.createPayments(tenantId, {
         payments: [{
           invoice: { invoiceID: invoiceID },
-          account: { code: '090' }, // Bank account code - adjust as needed
+          account: { code: accountCode },
           amount: amountPaid,
           date: paymentDate || new Date().toISOString(),
-          reference: `Payment for invoice ${invoiceID}`
+          reference: reference || `Payment for invoice ${invoiceID}`
         }]
-      });
+      }, undefined, idempotencyKey);
 
-      console.log('[XeroService.markInvoiceAsPaid] Payment created successfully:', result.body.payments[0]);
+      const payment = result.body.payments[0];
+      console.log('[XeroService.markInvoiceAsPaid] Payment created successfully:', payment);
       return {
-        paymentID: result.body.payments[0].paymentID,
-        status: 'PAID',
-        amount: result.body.payments[0].amount,
-        date: result.body.payments[0].date
+        paymentID: payment.paymentID,
+        status: payment.invoice?.status,
+        amount: payment.amount,
+        date: payment.date
       };
     } catch (error) {
       console.error('[XeroService.markInvoiceAsPaid] Error marking invoice as paid:', {
@@ -259,20 +468,262 @@ const XeroService = {
   },
 
   /**
-   * Gets all invoices from Xero
-   * @returns {Promise<Array>} Array of invoices
+   * Creates a sales credit note (ACCRECCREDIT) in Xero
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} creditNoteData Credit note data
+   * @param {string} creditNoteData.contactID The Xero contact ID
+   * @param {Array} creditNoteData.lineItems Array of line items
+   * @param {string} [creditNoteData.lineAmountTypes] Exclusive or Inclusive of tax
+   * @param {string} [creditNoteData.currencyCode] Credit note currency, matching the invoice
+   * @param {string} creditNoteData.date Credit note date (ISO string)
+   * @param {string} [creditNoteData.creditNoteNumber] Number shown on the credit note
+   * @param {string} [creditNoteData.reference] Credit note reference
+   * @param {string} [creditNoteData.idempotencyKey] Key that stops Xero creating the credit note twice
+   * @returns {Promise<Object>} Created credit note
+   */
+  createCreditNote: async (userId, { contactID, lineItems, lineAmountTypes, currencyCode, date, creditNoteNumber, reference, idempotencyKey }) => {
+    try {
+      if (!contactID) {
+        throw new Error('A Xero contact ID is required');
+      }
+
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      console.log('[XeroService.createCreditNote] Creating credit note with:', {
+        contactID,
+        lineItems,
+        date,
+        creditNoteNumber,
+        reference
+      });
+
+      const result = await xeroClient.accountingApi.createCreditNotes(tenantId, {
+        creditNotes: [{
+          type: 'ACCRECCREDIT',
+          contact: { contactID: contactID },
+          lineItems: lineItems.map(item => ({
+            description: item.description || 'Credit',
+            quantity: item.quantity || 1,
+            unitAmount: item.unitAmount || item.amount || 0,
+            accountCode: item.accountCode || '200',
+            ...(item.taxType && { taxType: item.taxType }),
+            ...(item.taxAmount && { taxAmount: item.taxAmount }),
+            ...(item.lineAmount && { lineAmount: item.lineAmount })
+          })),
+          date: date || new Date().toISOString(),
+          status: 'AUTHORISED',
+          ...(lineAmountTypes && { lineAmountTypes }),
+          ...(currencyCode && { currencyCode }),
+          ...(creditNoteNumber && { creditNoteNumber }),
+          ...(reference && { reference })
+        }]
+      }, undefined, undefined, idempotencyKey);
+
+      const creditNote = result.body.creditNotes[0];
+      console.log('[XeroService.createCreditNote] Credit note created successfully:', creditNote);
+      return {
+        creditNoteID: creditNote.creditNoteID,
+        creditNoteNumber: creditNote.creditNoteNumber,
+        status: creditNote.status,
+        total: creditNote.total,
+        remainingCredit: creditNote.remainingCredit
+      };
+    } catch (error) {
+      console.error('[XeroService.createCreditNote] Error creating credit note:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error creating credit note';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 403) {
+        errorMessage = 'Insufficient permissions to create credit notes in Xero.';
+      } else if (error.response?.status === 400) {
+        errorMessage = 'Invalid credit note data sent to Xero.';
+      } else if (error.message) {
+        errorMessage = `Error creating credit note: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Allocates part or all of a credit note to an invoice, lowering its amount due
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} allocationData Allocation data
+   * @param {string} allocationData.creditNoteID The Xero credit note ID
+   * @param {string} allocationData.invoiceID The Xero invoice ID
+   * @param {number} allocationData.amount Amount to allocate
+   * @param {string} [allocationData.date] Allocation date (ISO string)
+   * @param {string} [allocationData.idempotencyKey] Key that stops Xero allocating twice
+   * @returns {Promise<Object>} Allocation result
    */
-  getInvoices: async () => {
+  allocateCreditNote: async (userId, { creditNoteID, invoiceID, amount, date, idempotencyKey }) => {
     try {
-      const xeroClient = XeroController.getXeroClient();
-      const tenantId = XeroController.getTenantId();
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      console.log('[XeroService.allocateCreditNote] Allocating credit note:', { creditNoteID, invoiceID, amount });
+      const result = await xeroClient.accountingApi.createCreditNoteAllocation(tenantId, creditNoteID, {
+        allocations: [{
+          invoice: { invoiceID },
+          amount,
+          date: date || new Date().toISOString()
+        }]
+      }, undefined, idempotencyKey);
 
-      if (!xeroClient || !tenantId) {
-        throw new Error('No authenticated Xero connection. Please connect to Xero first.');
+      const allocation = result.body.allocations[0];
+      return {
+        creditNoteID,
+        allocationID: allocation.allocationID,
+        amount: allocation.amount,
+        status: allocation.invoice?.status
+      };
+    } catch (error) {
+      console.error('[XeroService.allocateCreditNote] Error allocating credit note:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error allocating credit note';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 400) {
+        errorMessage = 'Xero rejected the credit note allocation.';
+      } else if (error.message) {
+        errorMessage = `Error allocating credit note: ${error.message}`;
       }
 
-      const result = await xeroClient.accountingApi.getInvoices(tenantId);
-      return result.body.invoices;
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Voids an invoice in Xero. Xero refuses while payments or credits are applied to it.
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} invoiceData Invoice data
+   * @param {string} invoiceData.invoiceID The Xero invoice ID
+   * @param {string} [invoiceData.idempotencyKey] Key that stops Xero applying the void twice
+   * @returns {Promise<Object>} Voided invoice details
+   */
+  voidInvoice: async (userId, { invoiceID, idempotencyKey }) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      console.log('[XeroService.voidInvoice] Voiding invoice:', invoiceID);
+      const result = await xeroClient.accountingApi.updateInvoice(tenantId, invoiceID, {
+        invoices: [{ invoiceID, status: 'VOIDED' }]
+      }, undefined, idempotencyKey);
+
+      const invoice = result.body.invoices[0];
+      return {
+        invoiceID: invoice.invoiceID,
+        status: invoice.status
+      };
+    } catch (error) {
+      console.error('[XeroService.voidInvoice] Error voiding invoice:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error voiding invoice';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 403) {
+        errorMessage = 'Insufficient permissions to void invoices in Xero.';
+      } else if (error.response?.status === 400) {
+        errorMessage = 'Xero could not void the invoice. Remove its payments and credits in Xero first.';
+      } else if (error.response?.status === 404) {
+        errorMessage = 'Invoice not found in Xero.';
+      } else if (error.message) {
+        errorMessage = `Error voiding invoice: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Deletes a payment in Xero, reopening the balance it covered
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} paymentData Payment data
+   * @param {string} paymentData.paymentID The Xero payment ID
+   * @param {string} [paymentData.idempotencyKey] Key that stops Xero applying the delete twice
+   * @returns {Promise<Object>} Deleted payment, with the invoice's resulting status when Xero returns it
+   */
+  deletePayment: async (userId, { paymentID, idempotencyKey }) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      console.log('[XeroService.deletePayment] Deleting payment:', paymentID);
+      const result = await xeroClient.accountingApi.deletePayment(tenantId, paymentID, { status: 'DELETED' }, idempotencyKey);
+
+      const payment = result.body.payments[0];
+      return {
+        paymentID: payment.paymentID,
+        status: payment.invoice?.status,
+        paymentStatus: payment.status
+      };
+    } catch (error) {
+      console.error('[XeroService.deletePayment] Error deleting payment:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error deleting payment';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 403) {
+        errorMessage = 'Insufficient permissions to delete payments in Xero.';
+      } else if (error.response?.status === 404) {
+        errorMessage = 'Payment not found in Xero.';
+      } else if (error.message) {
+        errorMessage = `Error deleting payment: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Gets sales invoices from Xero, following every page
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} [options] Query options
+   * @param {Date} [options.modifiedSince] Only return invoices changed after this date
+   * @param {Array<string>} [options.contactIDs] Only return invoices for these Xero contacts
+   * @returns {Promise<Array>} Array of invoices
+   */
+  getInvoices: async (userId, { modifiedSince, contactIDs } = {}) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      const invoices = [];
+      for (let page = 1; ; page++) {
+        const result = await xeroClient.accountingApi.getInvoices(
+          tenantId,
+          modifiedSince,
+          'Type=="ACCREC"',
+          undefined,
+          undefined,
+          undefined,
+          contactIDs,
+          undefined,
+          page
+        );
+        const pageInvoices = result.body.invoices || [];
+        invoices.push(...pageInvoices);
+        if (pageInvoices.length < XERO_PAGE_SIZE) break;
+      }
+      return invoices;
     } catch (error) {
       console.error('[XeroService.getInvoices] Error fetching invoices:', {
         message: error.message || 'Unknown error',
@@ -299,19 +750,469 @@ const XeroService = {
   },
 
   /**
-   * Gets the current tenant ID from controller
-   * @returns {string|null} The current tenant ID or null if not set
+   * Gets a single invoice from Xero
+   * @param {string} userId The user whose Xero connection is used
+   * @param {string} invoiceID The Xero invoice ID
+   * @returns {Promise<Object|null>} The invoice, or null if Xero has none with that ID
+   */
+  getInvoice: async (userId, invoiceID) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+      const result = await xeroClient.accountingApi.getInvoice(tenantId, invoiceID);
+      return result.body.invoices?.[0] || null;
+    } catch (error) {
+      console.error('[XeroService.getInvoice] Error fetching invoice:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error fetching invoice';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 404) {
+        errorMessage = 'Invoice not found in Xero.';
+      } else if (error.message) {
+        errorMessage = `Error fetching invoice: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Gets payments from Xero, following every page
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} [options] Query options
+   * @param {Date} [options.modifiedSince] Only return payments changed after this date
+   * @returns {Promise<Array>} Array of payments
+   */
+  getPayments: async (userId, { modifiedSince } = {}) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      const payments = [];
+      for (let page = 1; ; page++) {
+        const result = await xeroClient.accountingApi.getPayments(tenantId, modifiedSince, undefined, undefined, page);
+        const pagePayments = result.body.payments || [];
+        payments.push(...pagePayments);
+        if (pagePayments.length < XERO_PAGE_SIZE) break;
+      }
+      return payments;
+    } catch (error) {
+      console.error('[XeroService.getPayments] Error fetching payments:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error fetching payments';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 403) {
+        errorMessage = 'Insufficient permissions to fetch payments from Xero.';
+      } else if (error.message) {
+        errorMessage = `Error fetching payments: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Creates a contact in Xero
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} contactData Contact data
+   * @param {string} contactData.name Contact name (unique within the tenant)
+   * @param {string} [contactData.email] Email address
+   * @param {Object} [contactData.address] Postal address (line1, line2, city, region, postalCode, country)
+   * @param {string} [contactData.idempotencyKey] Key that stops Xero creating the contact twice
+   * @returns {Promise<Object>} Created contact
+   */
+  createContact: async (userId, { name, email, address, idempotencyKey }) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      console.log('[XeroService.createContact] Creating contact:', { name, email });
+
+      const hasAddress = address && Object.values(address).some(Boolean);
+      const result = await xeroClient.accountingApi.createContacts(tenantId, {
+        contacts: [{
+          name: name,
+          ...(email && { emailAddress: email }),
+          ...(hasAddress && {
+            addresses: [{
+              addressType: 'POBOX',
+              addressLine1: address.line1,
+              addressLine2: address.line2,
+              city: address.city,
+              region: address.region,
+              postalCode: address.postalCode,
+              country: address.country
+            }]
+          })
+        }]
+      }, undefined, idempotencyKey);
+
+      console.log('[XeroService.createContact] Contact created successfully:', result.body.contacts[0].contactID);
+      return result.body.contacts[0];
+    } catch (error) {
+      console.error('[XeroService.createContact] Error creating contact:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error creating contact';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 403) {
+        errorMessage = 'Insufficient permissions to create contact in Xero.';
+      } else if (error.response?.status === 400) {
+        errorMessage = 'Invalid contact data sent to Xero.';
+      } else if (error.message) {
+        errorMessage = `Error creating contact: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Finds a contact in Xero by its exact name
+   * @param {string} userId The user whose Xero connection is used
+   * @param {string} name The contact name
+   * @returns {Promise<Object|null>} The contact, or null if there is none with that name
+   */
+  findContactByName: async (userId, name) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+      const escapedName = name.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+      const result = await xeroClient.accountingApi.getContacts(tenantId, undefined, `Name=="${escapedName}"`);
+      return result.body.contacts?.[0] || null;
+    } catch (error) {
+      console.error('[XeroService.findContactByName] Error searching contacts:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error searching contacts';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.message) {
+        errorMessage = `Error searching contacts: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Gets active contacts from Xero, following every page
+   * @param {string} userId The user whose Xero connection is used
+   * @param {Object} [options] Query options
+   * @param {Date} [options.modifiedSince] Only return contacts changed after this date
+   * @returns {Promise<Array>} Array of contacts
+   */
+  getContacts: async (userId, { modifiedSince } = {}) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      const contacts = [];
+      for (let page = 1; ; page++) {
+        const result = await xeroClient.accountingApi.getContacts(
+          tenantId,
+          modifiedSince,
+          'ContactStatus=="ACTIVE"',
+          undefined,
+          undefined,
+          page
+        );
+        const pageContacts = result.body.contacts || [];
+        contacts.push(...pageContacts);
+        if (pageContacts.length < XERO_PAGE_SIZE) break;
+      }
+      return contacts;
+    } catch (error) {
+      console.error('[XeroService.getContacts] Error fetching contacts:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error fetching contacts';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 403) {
+        errorMessage = 'Insufficient permissions to fetch contacts from Xero.';
+      } else if (error.message) {
+        errorMessage = `Error fetching contacts: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Gets the chart of accounts and tax rates of the user's active tenant
+   * @param {string} userId The user whose Xero connection is used
+   * @returns {Promise<Object>} Active accounts and tax rates
+   */
+  getAccountingOptions: async (userId) => {
+    try {
+      const { xeroClient, tenantId } = await getXeroContext(userId);
+
+      const [accountsResult, taxRatesResult] = await Promise.all([
+        xeroClient.accountingApi.getAccounts(tenantId, undefined, 'Status=="ACTIVE"'),
+        xeroClient.accountingApi.getTaxRates(tenantId)
+      ]);
+
+      return {
+        accounts: (accountsResult.body.accounts || []).map(account => ({
+          code: account.code,
+          name: account.name,
+          type: account.type,
+          class: account._class,
+          taxType: account.taxType,
+          enablePaymentsToAccount: account.enablePaymentsToAccount
+        })),
+        taxRates: (taxRatesResult.body.taxRates || [])
+          .filter(taxRate => taxRate.status === 'ACTIVE')
+          .map(taxRate => ({
+            name: taxRate.name,
+            taxType: taxRate.taxType,
+            effectiveRate: taxRate.effectiveRate,
+            canApplyToRevenue: taxRate.canApplyToRevenue
+          }))
+      };
+    } catch (error) {
+      console.error('[XeroService.getAccountingOptions] Error fetching accounts and tax rates:', {
+        message: error.message || 'Unknown error',
+        code: error.code,
+        response: error.response?.data || error.response
+      });
+
+      let errorMessage = 'Error fetching accounts and tax rates';
+
+      if (error.response?.status === 401) {
+        errorMessage = 'Xero authentication expired. Please reconnect to Xero.';
+      } else if (error.response?.status === 403) {
+        errorMessage = 'Insufficient permissions to read accounts from Xero.';
+      } else if (error.message) {
+        errorMessage = `Error fetching accounts and tax rates: ${error.message}`;
+      }
+
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Gets the user's account, bank and tax mappings
+   * @param {string} userId The user to look up
+   * @returns {Promise<Object>} The mappings (empty when none are set)
+   */
+  getAccountMappings: async (userId) => {
+    const connection = await XeroConnection.findOne({ user: userId });
+    const mappings = connection?.mappings?.toObject ? connection.mappings.toObject() : connection?.mappings;
+    return mappings || {};
+  },
+
+  /**
+   * Validates mappings against the active tenant and saves them
+   * @param {string} userId The user to update
+   * @param {Object} mappings The mappings to set
+   * @param {string} [mappings.salesAccountCode] Revenue account for invoice lines
+   * @param {string} [mappings.bankAccountCode] Bank account payments are recorded against
+   * @param {Array<string>} [mappings.taxTypes] Tax types for invoice lines, at most one per tax rate
+   * @returns {Promise<Object>} The saved mappings
+   */
+  updateAccountMappings: async (userId, { salesAccountCode, bankAccountCode, taxTypes }) => {
+    const connection = await XeroConnection.findOne({ user: userId });
+    if (!connection) {
+      throw new Error('No authenticated Xero connection. Please connect to Xero first.');
+    }
+
+    const { accounts, taxRates } = await XeroService.getAccountingOptions(userId);
+
+    if (salesAccountCode && !accounts.some(account => account.code === salesAccountCode && account.class === 'REVENUE')) {
+      throw new Error(`Account ${salesAccountCode} is not an active revenue account in Xero.`);
+    }
+    if (bankAccountCode && !accounts.some(account => account.code === bankAccountCode &&
+      (account.type === 'BANK' || account.enablePaymentsToAccount))) {
+      throw new Error(`Account ${bankAccountCode} cannot receive payments in Xero.`);
+    }
+
+    // Each tax type is stored with the rate Xero charges for it, which lines are matched on
+    let taxTypeMappings;
+    if (Array.isArray(taxTypes)) {
+      const xeroTaxRates = taxTypes.map(taxType => {
+        const xeroTaxRate = taxRates.find(taxRate => taxRate.taxType === taxType);
+        if (!xeroTaxRate) {
+          throw new Error(`Tax type ${taxType} is not an active tax rate in Xero.`);
+        }
+        return xeroTaxRate;
+      });
+
+      const duplicate = xeroTaxRates.find((xeroTaxRate, index) =>
+        xeroTaxRates.findIndex(other => other.effectiveRate === xeroTaxRate.effectiveRate) !== index);
+      if (duplicate) {
+        throw new Error(`Only one tax type can be mapped to the ${duplicate.effectiveRate}% tax rate.`);
+      }
+
+      taxTypeMappings = xeroTaxRates.map(xeroTaxRate => ({
+        taxRate: Number(xeroTaxRate.effectiveRate || 0) / 100,
+        taxType: xeroTaxRate.taxType
+      }));
+    } else if (taxTypes !== undefined && taxTypes !== null) {
+      throw new Error('Tax types must be a list of Xero tax types.');
+    }
+
+    if (salesAccountCode !== undefined) connection.mappings.salesAccountCode = salesAccountCode || undefined;
+    if (bankAccountCode !== undefined) connection.mappings.bankAccountCode = bankAccountCode || undefined;
+    if (taxTypes !== undefined) connection.mappings.taxTypes = taxTypeMappings?.length ? taxTypeMappings : undefined;
+    await connection.save();
+
+    return connection.mappings.toObject();
+  },
+
+  /**
+   * Describes the user's Xero connection for the API and the chat assistant
+   * @param {string} userId The user to look up
+   * @returns {Promise<Object>} Connection state, active organisation and available organisations
+   */
+  getConnectionStatus: async (userId) => {
+    const connection = await XeroConnection.findOne({ user: userId }).select('+tokenSet');
+    if (!connection) {
+      return { connected: false, needsReconnect: false, tenants: [] };
+    }
+
+    const activeTenant = connection.tenants.find(tenant => tenant.tenantId === connection.tenantId);
+    return {
+      connected: Boolean(connection.tokenSet && connection.tenantId && !connection.needsReconnect),
+      needsReconnect: connection.needsReconnect,
+      ...(connection.reconnectReason && { reconnectReason: connection.reconnectReason }),
+      tenantId: connection.tenantId,
+      tenantName: activeTenant?.tenantName,
+      tenants: connection.tenants.map(tenant => ({
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName,
+        tenantType: tenant.tenantType,
+        active: tenant.tenantId === connection.tenantId
+      })),
+      connectedAt: connection.connectedAt,
+      lastReconciledAt: connection.lastReconciledAt
+    };
+  },
+
+  /**
+   * Refreshes the list of organisations the connection is authorised for
+   * @param {string} userId The user to look up
+   * @returns {Promise<Array>} The organisations, with the active one flagged
+   */
+  listTenants: async (userId) => {
+    const { xeroClient, connection } = await getXeroContext(userId);
+
+    try {
+      const tenants = await xeroClient.updateTenants(false);
+      connection.tenants = tenants.map(tenant => ({
+        tenantId: tenant.tenantId,
+        tenantName: tenant.tenantName,
+        tenantType: tenant.tenantType
+      }));
+      await connection.save();
+    } catch (error) {
+      console.error('[XeroService.listTenants] Error refreshing tenants, using stored list:', error.message);
+    }
+
+    return connection.tenants.map(tenant => ({
+      tenantId: tenant.tenantId,
+      tenantName: tenant.tenantName,
+      tenantType: tenant.tenantType,
+      active: tenant.tenantId === connection.tenantId
+    }));
+  },
+
+  /**
+   * Makes one of the authorised organisations the active tenant. Account mappings, Xero
+   * links and queued sync operations belong to an organisation, so they are cleared when it changes.
+   * @param {string} userId The user to update
+   * @param {string} tenantId The organisation to use
+   * @returns {Promise<Object>} The updated connection status
+   */
+  selectTenant: async (userId, tenantId) => {
+    const connection = await XeroConnection.findOne({ user: userId });
+    if (!connection) {
+      throw new Error('No authenticated Xero connection. Please connect to Xero first.');
+    }
+
+    if (!connection.tenants.some(tenant => tenant.tenantId === tenantId)) {
+      throw new Error('That Xero organisation is not authorised for this connection.');
+    }
+
+    if (connection.tenantId !== tenantId) {
+      connection.tenantId = tenantId;
+      connection.mappings = {};
+      connection.lastReconciledAt = undefined;
+      await connection.save();
+      await clearTenantData(userId);
+      console.log('[XeroService.selectTenant] Active tenant changed for user:', userId, 'Tenant ID:', tenantId);
+    }
+
+    return XeroService.getConnectionStatus(userId);
+  },
+
+  /**
+   * Revokes the user's Xero tokens and removes the stored connection
+   * @param {string} userId The user to disconnect
+   * @returns {Promise<boolean>} True if there was a connection to remove
+   */
+  disconnect: async (userId) => {
+    const connection = await XeroConnection.findOne({ user: userId }).select('+tokenSet');
+    if (!connection) return false;
+
+    if (connection.tokenSet?.refresh_token) {
+      try {
+        const xeroClient = createXeroClient();
+        await xeroClient.initialize();
+        xeroClient.setTokenSet(connection.tokenSet);
+        await xeroClient.revokeToken();
+      } catch (error) {
+        // The tokens may already be invalid; removing the connection is what matters locally
+        console.error('[XeroService.disconnect] Error revoking token:', error.message);
+      }
+    }
+
+    await XeroConnection.deleteOne({ _id: connection._id });
+    await clearTenantData(userId);
+    console.log('[XeroService.disconnect] Xero disconnected for user:', userId);
+    return true;
+  },
+
+  /**
+   * Gets the active tenant ID for the user
+   * @param {string} userId The user to look up
+   * @returns {Promise<string|null>} The active tenant ID or null if not connected or awaiting reconnect
    */
-  getTenantId: () => {
-    return XeroController.getTenantId();
+  getTenantId: async (userId) => {
+    const connection = await XeroConnection.findOne({ user: userId });
+    if (!connection || connection.needsReconnect) return null;
+    return connection.tenantId || null;
   },
 
   /**
-   * Checks if Xero is properly authenticated
-   * @returns {boolean} True if authenticated, false otherwise
+   * Checks if the user has an authenticated Xero connection
+   * @param {string} userId The user to look up
+   * @returns {Promise<boolean>} True if authenticated, false otherwise
    */
-  isAuthenticated: () => {
-    return XeroController.isAuthenticated();
+  isAuthenticated: async (userId) => {
+    const connection = await XeroConnection.findOne({ user: userId }).select('+tokenSet');
+    return Boolean(connection?.tokenSet && connection.tenantId && !connection.needsReconnect);
   }
 };
 
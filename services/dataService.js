@@ -3,13 +3,17 @@ const User = require('../models/User');
 const Task = require('../models/Task');
 const Invoice = require('../models/Invoice');
 const Event = require('../models/Event');
+const Client = require('../models/Client');
+const Quote = require('../models/Quote');
+const XeroService = require('./actionHandlers/xeroService');
+const { formatMoney } = require('../utils/money');
 
 // Get user context data
 exports.getUserContextData = async (userId) => {
   const currentDate = new Date();
   const oneWeekFromNow = addDays(currentDate, 7);
 
-  const [user, tasks, invoices, events] = await Promise.all([
+  const [user, tasks, invoices, events, clients, quotes, xero] = await Promise.all([
     User.findById(userId).select('+tradeType +fullName +email'),
     Task.find({ user: userId })
       .sort({ dueDate: 1, createdAt: -1 })
@@ -29,19 +33,36 @@ exports.getUserContextData = async (userId) => {
         { startTime: { $exists: false } },
         { startTime: null }
       ]
-    }).sort({ startTime: 1 }).limit(20)
+    }).sort({ startTime: 1 }).limit(20),
+    Client.find({ user: userId }).sort({ updatedAt: -1 }).limit(50),
+    Quote.find({ user: userId }).sort({ createdAt: -1 }).limit(20),
+    XeroService.getConnectionStatus(userId).catch(error => {
+      console.error('Error fetching Xero connection status:', error.message);
+      return null;
+    })
   ]);
 
+  const invoiceTotals = await Invoice.totalsByCurrency(userId, { defaultCurrency: user?.defaultCurrency }).catch(error => {
+    console.error('Error totalling invoices:', error.message);
+    return [];
+  });
+
   return {
     user,
     tasks,
     invoices: {
       all: invoices,
-      pending: invoices.filter(i => i.status === 'Pending'),
+      draft: invoices.filter(i => i.status === 'Draft'),
+      pending: invoices.filter(i => ['Pending', 'Sent'].includes(i.status)),
+      partiallyPaid: invoices.filter(i => i.status === 'Partially Paid'),
       overdue: invoices.filter(i => i.status === 'Overdue'),
-      paid: invoices.filter(i => i.status === 'Paid')
+      paid: invoices.filter(i => i.status === 'Paid'),
+      totals: invoiceTotals
     },
-    events
+    events,
+    clients,
+    quotes,
+    xero
   };
 };
 
@@ -88,21 +109,34 @@ exports.formatDataForPrompt = (data) => {
       
       return {
         id: invoice._id.toString(),
+        number: invoice.invoiceNumber,
         client: invoice.clientName,
+        clientId: invoice.client?.toString(),
         amount: invoice.amount.toFixed(2),
+        balanceDue: invoice.balanceDue.toFixed(2),
+        formattedAmount: formatMoney(invoice.amount, invoice.currency),
+        formattedBalanceDue: formatMoney(invoice.balanceDue, invoice.currency),
         dueDate: isValidDueDate ? format(dueDate, 'MMM dd, yyyy') : 'No due date',
         status: invoice.status,
-        overdue: invoice.status === 'Pending' && isValidDueDate && isBefore(dueDate, now)
+        overdue: ['Pending', 'Sent', 'Partially Paid'].includes(invoice.status) && isValidDueDate && isBefore(dueDate, now),
+        // When the client last opened the invoice link
+        viewed: invoice.lastViewedAt ? format(invoice.lastViewedAt, 'MMM dd, yyyy') : null
       };
     } catch (error) {
       console.error('Error formatting invoice:', error);
       return {
         id: invoice._id.toString(),
+        number: invoice.invoiceNumber,
         client: invoice.clientName,
+        clientId: invoice.client?.toString(),
         amount: invoice.amount.toFixed(2),
+        balanceDue: invoice.balanceDue.toFixed(2),
+        formattedAmount: formatMoney(invoice.amount, invoice.currency),
+        formattedBalanceDue: formatMoney(invoice.balanceDue, invoice.currency),
         dueDate: 'Invalid date',
         status: invoice.status,
-        overdue: false
+        overdue: false,
+        viewed: null
       };
     }
   };
@@ -138,6 +172,34 @@ exports.formatDataForPrompt = (data) => {
     }
   };
 
+  const formatClient = (client) => ({
+    id: client._id.toString(),
+    name: client.name,
+    email: client.emails[0] || '',
+    phone: client.phoneNumbers[0] || '',
+    notes: client.notes || ''
+  });
+
+  const formatQuote = (quote) => ({
+    id: quote._id.toString(),
+    number: quote.quoteNumber || '',
+    client: quote.clientName,
+    amount: quote.amount,
+    formattedAmount: formatMoney(quote.amount, quote.currency),
+    status: quote.status,
+    validUntil: quote.validUntil ? format(new Date(quote.validUntil), 'MMM dd, yyyy') : 'No date'
+  });
+
+  const formatXeroConnection = (xero) => {
+    if (!xero) return 'Unknown (status could not be checked)';
+    if (xero.needsReconnect) return 'Connection expired - the user needs to reconnect Xero from the app';
+    if (!xero.connected) return 'Not connected';
+
+    const others = xero.tenants.filter(t => !t.active).map(t => t.tenantName);
+    return `Connected to ${xero.tenantName || 'a Xero organisation'}` +
+      (others.length ? ` (also authorised: ${others.join(', ')})` : '');
+  };
+
   return {
     metadata: {
       currentDate: format(now, 'MMMM dd, yyyy'),
@@ -147,7 +209,8 @@ exports.formatDataForPrompt = (data) => {
     user: {
       name: data.user.fullName,
       trade: data.user.tradeType,
-      email: data.user.email
+      email: data.user.email,
+      currency: data.user.defaultCurrency
     },
     tasks: {
       all: data.tasks.map(formatTask),
@@ -160,9 +223,19 @@ exports.formatDataForPrompt = (data) => {
     },
     invoices: {
       all: data.invoices.all.map(formatInvoice),
+      draft: data.invoices.draft.map(formatInvoice),
       pending: data.invoices.pending.map(formatInvoice),
+      partiallyPaid: data.invoices.partiallyPaid.map(formatInvoice),
       overdue: data.invoices.overdue.map(formatInvoice),
-      paid: data.invoices.paid.map(formatInvoice)
+      paid: data.invoices.paid.map(formatInvoice),
+      // Never add amounts in different currencies together
+      totals: (data.invoices.totals || []).map(total => ({
+        currency: total.currency,
+        count: total.count,
+        invoiced: formatMoney(total.invoiced, total.currency),
+        outstanding: formatMoney(total.outstanding, total.currency),
+        overdue: formatMoney(total.overdue, total.currency)
+      }))
     },
     events: {
       all: data.events.map(formatEvent),
@@ -173,6 +246,9 @@ exports.formatDataForPrompt = (data) => {
         e.startTime && format(new Date(e.startTime), 'yyyy-MM-dd') === format(now, 'yyyy-MM-dd')
       ).map(formatEvent),
       recent: data.events.slice(0, 5).map(formatEvent)
-    }
+    },
+    clients: (data.clients || []).map(formatClient),
+    quotes: (data.quotes || []).map(formatQuote),
+    xero: formatXeroConnection(data.xero)
   };
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+// services/emailDeliveryService.js
+// Sends emails about invoices and keeps a log of every delivery, successful or not, so
+// there is a record of what was sent to whom
+const EmailDelivery = require('../models/EmailDelivery');
+const sendEmail = require('./emailService');
+
+/**
+ * Normalizes addresses given as an array or a comma-separated string
+ * @param {string|Array<string>} [addresses]
+ * @returns {Array<string>}
+ */
+const toAddressList = (addresses) => {
+  const list = Array.isArray(addresses) ? addresses : String(addresses || '').split(/[,;]/);
+  return list.map(address => String(address).trim()).filter(Boolean);
+};
+
+// A failure to log never hides whether the email itself was sent
+const logDelivery = (entry) => {
+  return EmailDelivery.create(entry).catch(error => {
+    console.error('[EmailDelivery] Could not log delivery:', { invoice: entry.invoice, error: error.message });
+  });
+};
+
+/**
+ * Sends an email about an invoice and logs the delivery. Failures are logged with the
+ * reason and then rethrown.
+ * @param {Object} invoice - The invoice the email is about
+ * @param {Object} emailData - As for sendEmail; to and cc may be arrays or comma-separated
+ * @param {Object} [options]
+ * @param {string} [options.kind] - invoice (default), reminder or payment_receipt
+ * @returns {Promise<Object>} - What sendEmail returned
+ */
+const sendInvoiceEmail = async (invoice, emailData, { kind = 'invoice' } = {}) => {
+  const to = toAddressList(emailData.to);
+  const cc = toAddressList(emailData.cc);
+  const entry = {
+    user: invoice.user,
+    invoice: invoice._id,
+    kind,
+    to,
+    cc,
+    subject: emailData.subject,
+    attachments: (emailData.attachments || []).map(attachment => attachment.filename).filter(Boolean)
+  };
+
+  let result;
+  try {
+    result = await sendEmail({ ...emailData, to, cc: cc.length ? cc : undefined });
+  } catch (error) {
+    await logDelivery({ ...entry, status: 'failed', error: error.message, response: error.response });
+    throw error;
+  }
+
+  await logDelivery({ ...entry, status: 'sent', response: result.response, messageId: result.messageId });
+  return result;
+};
+
+/**
+ * The recipients the invoice was last sent to, for resending it
+ * @param {Object} invoice - The invoice
+ * @returns {Promise<Object|null>} - { to, cc }, or null if it was never sent
+ */
+const getPreviousRecipients = async (invoice) => {
+  const last = await EmailDelivery.findOne({ invoice: invoice._id, kind: 'invoice', status: 'sent' })
+    .sort('-createdAt');
+  if (last?.to.length) return { to: last.to, cc: last.cc };
+
+  // Invoices sent before deliveries were logged only have sentTo
+  const to = toAddressList(invoice.sentTo);
+  return to.length ? { to, cc: [] } : null;
+};
+
+module.exports = {
+  toAddressList,
+  sendInvoiceEmail,
+  getPreviousRecipients
+};
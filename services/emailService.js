@@ -20,7 +20,8 @@ const transporter = nodemailer.createTransport({
 /**
  * Service function to send an email
  * @param {Object} emailData - The email data object
- * @param {string} emailData.to - Recipient email address
+ * @param {string|Array<string>} emailData.to - Recipient email address(es)
+ * @param {string|Array<string>} [emailData.cc] - Copied email address(es)
  * @param {string} emailData.subject - Email subject
  * @param {string} [emailData.text] - Plain text body
  * @param {string} [emailData.html] - HTML body
@@ -28,15 +29,16 @@ const transporter = nodemailer.createTransport({
  * @returns {Promise<Object>} - Promise that resolves with send info or rejects with error
  */
 const sendEmail = async (emailData) => {
-  const { to, subject, text, html, attachments } = emailData;
+  const { to, cc, subject, text, html, attachments } = emailData;
 
-  if (!to || !subject || (!text && !html)) {
+  if (!to || !to.length || !subject || (!text && !html)) {
     throw new Error("Missing required fields: to, subject, text or html");
   }
 
   const mailOptions = {
     from: `"Eva AI" <${EMAIL_USER}>`,
     to,
+    cc,
     subject,
     text,
     html,
@@ -45,7 +47,7 @@ const sendEmail = async (emailData) => {
 
   try {
     const info = await transporter.sendMail(mailOptions);
-    return { success: true, response: info.response };
+    return { success: true, response: info.response, messageId: info.messageId };
   } catch (error) {
     console.error("Error sending email:", error);
     throw error;
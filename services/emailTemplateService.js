@@ -0,0 +1,165 @@
+// services/emailTemplateService.js
+// Wording of the emails sent to clients about invoices. Each kind has a built-in template
+// that a user can replace with their own; see utils/templateRenderer.js for the syntax.
+const EmailTemplate = require('../models/EmailTemplate');
+const User = require('../models/User');
+const { formatMoney } = require('../utils/money');
+const { renderTemplate, renderLine } = require('../utils/templateRenderer');
+const { getPublicInvoiceUrl } = require('./invoiceLinkService');
+const { getPaymentLinkUrl } = require('./paymentLinkService');
+
+const { TEMPLATE_KINDS, PLACEHOLDERS } = EmailTemplate;
+
+const DEFAULT_TEMPLATES = {
+  invoice: {
+    subject: 'Invoice {{invoiceNumber}} from {{businessName}} - {{amount}}',
+    body: [
+      'Hi {{clientName}},',
+      '',
+      'Here is invoice {{invoiceNumber}} for {{amount}}, due on {{dueDate}}.',
+      '',
+      'Invoice: {{invoiceNumber}}',
+      'Invoice Date: {{invoiceDate}}',
+      'Due Date: {{dueDate}}',
+      'Amount: {{amount}}',
+      'Paid & Credited: {{amountPaid}}',
+      'Balance Due: {{balanceDue}}',
+      'Description: {{description}}',
+      '',
+      'View online: {{viewLink}}',
+      'Pay online: {{payLink}}',
+      '',
+      'Thank you for your business! Please contact us if you have any questions about this invoice.',
+      '{{businessName}}'
+    ].join('\n')
+  },
+  reminder: {
+    subject: 'Reminder: Invoice {{invoiceNumber}} from {{businessName}} - {{balanceDue}} due',
+    body: [
+      'Hi {{clientName}},',
+      '',
+      '{{reminderNotice}}',
+      '',
+      'Invoice: {{invoiceNumber}}',
+      'Due Date: {{dueDate}}',
+      'Balance Due: {{balanceDue}}',
+      '',
+      'View online: {{viewLink}}',
+      'Pay online: {{payLink}}',
+      '',
+      'Thank you,',
+      '{{businessName}}'
+    ].join('\n')
+  },
+  payment_receipt: {
+    subject: 'Payment Received for Invoice {{invoiceNumber}}',
+    body: [
+      'Hi {{clientName}},',
+      '',
+      'We\'ve received your payment of {{paymentAmount}} for invoice {{invoiceNumber}}.',
+      'The remaining balance is {{balanceDue}}.',
+      '',
+      'Thank you for your business!',
+      '{{businessName}}'
+    ].join('\n')
+  }
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric'
+}) : '');
+
+/**
+ * The template a user's emails of this kind use: their own, or the built-in one
+ * @param {string} userId - The user
+ * @param {string} kind - invoice, reminder or payment_receipt
+ * @returns {Promise<Object>} - { kind, subject, body, isDefault, updatedAt }
+ */
+const getEmailTemplate = async (userId, kind) => {
+  const custom = userId && await EmailTemplate.findOne({ user: userId, kind });
+  if (custom) {
+    return { kind, subject: custom.subject, body: custom.body, isDefault: false, updatedAt: custom.updatedAt };
+  }
+  return { kind, ...DEFAULT_TEMPLATES[kind], isDefault: true };
+};
+
+/**
+ * The name emails are signed with: the business profile's legal name, else the user's name
+ * @param {string} userId - The user
+ * @returns {Promise<string>}
+ */
+const getBusinessName = async (userId) => {
+  const user = userId && await User.findById(userId).select('fullName businessProfile.legalName');
+  return user?.businessProfile?.legalName || user?.fullName || 'EveAI';
+};
+
+/**
+ * Placeholder values for an invoice
+ * @param {Object} invoice - The invoice
+ * @param {Object} [extra] - More values, e.g. businessName or paymentAmount; these win
+ * @returns {Object}
+ */
+const buildInvoiceValues = (invoice, extra = {}) => {
+  const money = (amount) => formatMoney(amount, invoice.currency);
+  const settled = (invoice.amountPaid || 0) + (invoice.amountCredited || 0);
+  const balance = invoice.balanceDue ?? Math.max((invoice.amount || 0) - settled, 0);
+
+  return {
+    clientName: invoice.clientName,
+    invoiceNumber: invoice.invoiceNumber || '',
+    invoiceDate: formatDate(invoice.date),
+    dueDate: formatDate(invoice.dueDate),
+    amount: money(invoice.amount),
+    amountPaid: settled > 0 ? money(settled) : '',
+    balanceDue: balance > 0 && invoice.status !== 'Void' ? money(balance) : '',
+    description: invoice.description || '',
+    status: invoice.status,
+    viewLink: getPublicInvoiceUrl(invoice) || '',
+    payLink: getPaymentLinkUrl(invoice) || '',
+    ...extra
+  };
+};
+
+/**
+ * Renders a template into email content
+ * @param {Object} template - { subject, body }
+ * @param {Object} values - Placeholder values
+ * @returns {Object} - { subject, text, html }
+ */
+const renderEmail = (template, values) => {
+  const { text, html } = renderTemplate(template.body, values);
+  return {
+    subject: renderLine(template.subject, values),
+    text,
+    html: `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; border: 1px solid #eee; padding: 20px; border-radius: 5px; color: #2c3e50; line-height: 1.5;">
+${html}
+</div>`
+  };
+};
+
+/**
+ * Renders the owner's template of this kind for an invoice
+ * @param {Object} invoice - The invoice
+ * @param {string} kind - invoice, reminder or payment_receipt
+ * @param {Object} [extraValues] - Values only this email has, e.g. paymentAmount
+ * @returns {Promise<Object>} - { subject, text, html }
+ */
+const renderInvoiceEmail = async (invoice, kind, extraValues = {}) => {
+  const [template, businessName] = await Promise.all([
+    getEmailTemplate(invoice.user, kind),
+    getBusinessName(invoice.user)
+  ]);
+  return renderEmail(template, buildInvoiceValues(invoice, { businessName, ...extraValues }));
+};
+
+module.exports = {
+  TEMPLATE_KINDS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  getEmailTemplate,
+  getBusinessName,
+  buildInvoiceValues,
+  renderEmail,
+  renderInvoiceEmail
+};
@@ -0,0 +1,130 @@
+// services/invoiceLinkService.js
+// Public invoice links: a client can open the invoice and its PDF without an account.
+//
+// A link carries a JWT signed with the server secret that names the invoice and the
+// invoice's current link nonce, so it cannot be guessed or pointed at another invoice. The
+// same link is rebuilt for every email until it expires; revoking clears the nonce, which
+// kills every link issued so far.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Invoice = require('../models/Invoice');
+const appUrl = require('../utils/appUrl');
+
+const LINK_AUDIENCE = 'public-invoice';
+const DEFAULT_LINK_DAYS = 90;
+const MAX_LINK_DAYS = 365;
+
+const getLinkSecret = () => process.env.INVOICE_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Whether the invoice has a link that still works
+ * @param {Object} invoice - The invoice
+ * @returns {boolean}
+ */
+const hasActiveLink = (invoice) => {
+  const link = invoice.publicLink;
+  return Boolean(link?.nonce && link.expiresAt && link.expiresAt > new Date());
+};
+
+/**
+ * Builds the public URL for the invoice's current link
+ * @param {Object} invoice - The invoice
+ * @returns {string|null} - The URL, or null if the invoice has no working link
+ */
+const getPublicInvoiceUrl = (invoice) => {
+  if (!hasActiveLink(invoice) || !getLinkSecret()) return null;
+
+  // exp comes from the stored expiry so the token, and the URL, is the same every time
+  const token = jwt.sign(
+    { inv: invoice._id.toString(), n: invoice.publicLink.nonce, exp: Math.floor(invoice.publicLink.expiresAt.getTime() / 1000) },
+    getLinkSecret(),
+    { audience: LINK_AUDIENCE, noTimestamp: true }
+  );
+  return appUrl(`/invoices/view/${token}`);
+};
+
+/**
+ * Issues a new link, replacing any existing one
+ * @param {Object} invoice - The invoice
+ * @param {Object} [options]
+ * @param {number} [options.expiresInDays] - How long the link works; 90 days by default
+ * @returns {Promise<Object>} - The updated invoice
+ */
+const issuePublicLink = async (invoice, { expiresInDays = DEFAULT_LINK_DAYS } = {}) => {
+  const now = new Date();
+  return Invoice.findByIdAndUpdate(invoice._id, {
+    publicLink: {
+      nonce: crypto.randomBytes(16).toString('hex'),
+      issuedAt: now,
+      expiresAt: new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000)
+    }
+  }, { new: true });
+};
+
+/**
+ * Makes sure an invoice about to be emailed has a working link, issuing one if it has none
+ * or it expired
+ * @param {Object} invoice - The invoice
+ * @returns {Promise<Object>} - The invoice, updated if a link was issued
+ */
+const ensurePublicLink = async (invoice) => {
+  if (hasActiveLink(invoice)) return invoice;
+  return issuePublicLink(invoice);
+};
+
+/**
+ * Turns off every link issued for the invoice so far
+ * @param {Object} invoice - The invoice
+ * @returns {Promise<Object>} - The updated invoice
+ */
+const revokePublicLink = (invoice) => {
+  return Invoice.findByIdAndUpdate(invoice._id, {
+    $set: { 'publicLink.revokedAt': new Date() },
+    $unset: { 'publicLink.nonce': 1, 'publicLink.expiresAt': 1 }
+  }, { new: true });
+};
+
+/**
+ * Finds the invoice a public link points to
+ * @param {string} token - The token from the URL
+ * @returns {Promise<Object|null>} - The invoice, or null if the link is invalid, expired or revoked
+ */
+const findInvoiceByToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getLinkSecret(), { audience: LINK_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  const invoice = await Invoice.findById(payload.inv);
+  if (!invoice || !hasActiveLink(invoice) || invoice.publicLink.nonce !== payload.n) return null;
+  return invoice;
+};
+
+/**
+ * Records that the client opened the invoice
+ * @param {Object} invoice - The invoice
+ * @returns {Promise<Object>} - The updated invoice
+ */
+const recordInvoiceView = (invoice) => {
+  const now = new Date();
+  return Invoice.findByIdAndUpdate(invoice._id, {
+    // $min only sets firstViewedAt on the first view
+    $min: { firstViewedAt: now },
+    $set: { lastViewedAt: now },
+    $inc: { viewCount: 1 }
+  }, { new: true });
+};
+
+module.exports = {
+  DEFAULT_LINK_DAYS,
+  MAX_LINK_DAYS,
+  hasActiveLink,
+  getPublicInvoiceUrl,
+  issuePublicLink,
+  ensurePublicLink,
+  revokePublicLink,
+  findInvoiceByToken,
+  recordInvoiceView
+};
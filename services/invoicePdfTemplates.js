@@ -0,0 +1,136 @@
+// services/invoicePdfTemplates.js
+// Page styles for invoice, quote and credit note PDFs, branded with the user's business profile
+const User = require('../models/User');
+
+const DEFAULT_ACCENT = '#2c3e50';
+
+/**
+ * Loads the business profile printed on a user's PDFs, logo included
+ * @param {string} userId - The document owner
+ * @returns {Promise<Object|null>} - The profile, with fullName as a fallback business name
+ */
+const loadBusinessProfile = async (userId) => {
+  if (!userId) return null;
+  const user = await User.findById(userId).select('+businessProfile.logo.data');
+  if (!user) return null;
+  return { ...user.businessProfile?.toObject(), fullName: user.fullName };
+};
+
+/**
+ * Lines describing the business: address, contact details and registration numbers
+ * @param {Object} profile - The business profile
+ * @returns {Array<string>}
+ */
+const businessDetailLines = (profile) => [
+  ...(profile.address ? profile.address.split('\n') : []),
+  [profile.email, profile.phone].filter(Boolean).join('  |  '),
+  profile.registrationNumber && `Registration No: ${profile.registrationNumber}`,
+  profile.taxId && `${profile.taxIdLabel || 'Tax ID'}: ${profile.taxId}`
+].map(line => line && line.trim()).filter(Boolean);
+
+/**
+ * Draws the logo in the box, or returns false if there is none or it cannot be read
+ * @param {Object} doc - The PDFKit document
+ * @param {Object} profile - The business profile
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {Array<number>} fit - Width and height of the box
+ * @returns {boolean} - Whether a logo was drawn
+ */
+const drawLogo = (doc, profile, x, y, fit) => {
+  if (!profile.logo?.data) return false;
+  try {
+    doc.image(profile.logo.data, x, y, { fit });
+    return true;
+  } catch (error) {
+    console.error('[InvoicePdfTemplates] Could not draw logo:', error.message);
+    return false;
+  }
+};
+
+/**
+ * The page styles. Each one draws the header and sets how headings and dividers look; the
+ * body of the document is shared.
+ */
+const PDF_TEMPLATES = {
+  classic: {
+    label: 'Classic',
+    description: 'Logo and business details on the left, document title on the right',
+    headingColor: () => '#000',
+    ruleColor: '#000',
+    drawHeader: (doc, { profile, businessName, accent, stampText, margin }) => {
+      const top = doc.y;
+      const hasLogo = drawLogo(doc, profile, margin, top, [140, 60]);
+      doc.y = hasLogo ? top + 65 : top;
+
+      doc.fillColor('#000').fontSize(hasLogo ? 14 : 20).font('Helvetica-Bold').text(businessName, margin);
+      doc.fontSize(9).font('Helvetica');
+      businessDetailLines(profile).forEach(line => doc.text(line));
+      const bottom = doc.y;
+
+      doc.fillColor(accent).fontSize(24).font('Helvetica-Bold').text(stampText, margin, top, { align: 'right' });
+      doc.fillColor('#000');
+      doc.y = Math.max(bottom, doc.y);
+    }
+  },
+
+  modern: {
+    label: 'Modern',
+    description: 'Full-width band in the accent color, with headings to match',
+    headingColor: (accent) => accent,
+    ruleColor: '#ddd',
+    drawHeader: (doc, { profile, businessName, accent, stampText, margin }) => {
+      const details = businessDetailLines(profile);
+      const bandHeight = Math.max(90, 60 + details.length * 11);
+      doc.rect(0, 0, doc.page.width, bandHeight).fill(accent);
+
+      const hasLogo = drawLogo(doc, profile, margin, 20, [100, 50]);
+      const textLeft = hasLogo ? margin + 115 : margin;
+      doc.fillColor('#fff').fontSize(18).font('Helvetica-Bold').text(businessName, textLeft, 22);
+      doc.fontSize(8).font('Helvetica');
+      details.forEach(line => doc.text(line, textLeft));
+
+      doc.fontSize(22).font('Helvetica-Bold').text(stampText, margin, 28, { align: 'right' });
+      doc.fillColor('#000');
+      doc.y = bandHeight + 20;
+    }
+  },
+
+  minimal: {
+    label: 'Minimal',
+    description: 'Small logo, plain type and no dividers',
+    headingColor: () => '#555',
+    ruleColor: null,
+    drawHeader: (doc, { profile, businessName, stampText, margin }) => {
+      const top = doc.y;
+      const hasLogo = drawLogo(doc, profile, margin, top, [80, 35]);
+      doc.y = hasLogo ? top + 40 : top;
+
+      doc.fillColor('#000').fontSize(12).font('Helvetica-Bold').text(businessName, margin);
+      doc.fillColor('#555').fontSize(8).font('Helvetica');
+      businessDetailLines(profile).forEach(line => doc.text(line));
+      const bottom = doc.y;
+
+      doc.fontSize(14).font('Helvetica').text(stampText, margin, top, { align: 'right' });
+      doc.fillColor('#000');
+      doc.y = Math.max(bottom, doc.y) + 10;
+    }
+  }
+};
+
+/**
+ * Picks the style for a PDF: the requested one, else the user's, else classic
+ * @param {string} [name] - Requested template
+ * @param {Object} [profile] - The business profile
+ * @returns {Object}
+ */
+const getPdfTemplate = (name, profile) => {
+  return PDF_TEMPLATES[name] || PDF_TEMPLATES[profile?.pdfTemplate] || PDF_TEMPLATES.classic;
+};
+
+module.exports = {
+  DEFAULT_ACCENT,
+  PDF_TEMPLATES,
+  loadBusinessProfile,
+  getPdfTemplate
+};
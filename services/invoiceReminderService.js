@@ -0,0 +1,228 @@
+// services/invoiceReminderService.js
+// Marks unpaid invoices overdue and chases them with reminder emails on the user's schedule
+const { addDays } = require('date-fns');
+const Invoice = require('../models/Invoice');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const { sendInvoiceEmail, getPreviousRecipients } = require('./emailDeliveryService');
+const { addClientLinks, generateInvoiceEmail, generateInvoicePDF } = require('./actionHandlers/invoiceActions');
+
+const UNPAID_STATUSES = ['Pending', 'Sent', 'Partially Paid', 'Overdue'];
+
+// Reminders more than this many days late are skipped, so downtime (or turning reminders
+// on) does not email clients about long-forgotten invoices
+const REMINDER_GRACE_DAYS = 7;
+
+let reminderTimer = null;
+let reminderRunning = false;
+
+/**
+ * Marks unpaid invoices past their due date as Overdue. The save hook does the same, but
+ * invoices that are never re-saved would otherwise stay Pending.
+ * @param {Date} [now] - The current time
+ * @returns {Promise<number>} - Number of invoices marked overdue
+ */
+const refreshOverdueStatuses = async (now = new Date()) => {
+  const result = await Invoice.updateMany(
+    { status: { $in: ['Pending', 'Sent', 'Partially Paid'] }, dueDate: { $lt: now } },
+    { $set: { status: 'Overdue' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Picks the reminder an invoice is due for: the latest scheduled reminder whose date has
+ * passed, unless it (or a later one) was already sent. Missed earlier reminders are skipped.
+ * @param {Object} invoice - The invoice
+ * @param {Array<number>} schedule - Days relative to the due date
+ * @param {Date} now - The current time
+ * @returns {number|null} - The reminder's offset in days, or null if none is due
+ */
+const getDueReminder = (invoice, schedule, now) => {
+  const sentOffsets = invoice.reminders.map(reminder => reminder.offsetDays);
+  const latestSent = sentOffsets.length ? Math.max(...sentOffsets) : -Infinity;
+
+  const due = [...schedule]
+    .sort((a, b) => b - a)
+    .find(offset => addDays(invoice.dueDate, offset) <= now);
+  if (due === undefined || due <= latestSent) return null;
+
+  const reminderDate = addDays(invoice.dueDate, due);
+  // No reminder straight after the invoice was issued, and none about long-missed dates
+  if (reminderDate <= invoice.date || reminderDate < addDays(now, -REMINDER_GRACE_DAYS)) return null;
+
+  return due;
+};
+
+/**
+ * Works out who to chase: whoever the invoice was last sent to, else the client's email
+ * @param {Object} invoice - The invoice
+ * @param {Object} [client] - The linked client
+ * @returns {Promise<Object|null>} - { to, cc }, or null if there is no address
+ */
+const getReminderRecipients = async (invoice, client) => {
+  const previous = await getPreviousRecipients(invoice);
+  if (previous) return previous;
+  return client?.primaryEmail ? { to: [client.primaryEmail], cc: [] } : null;
+};
+
+/**
+ * Builds the reminder email from the owner's reminder template, with the PDF attached
+ * @param {Object} invoice - The invoice
+ * @param {Object} recipients - { to, cc } addresses
+ * @param {number} offsetDays - Days from the due date
+ * @returns {Promise<Object>} - Email data for sendEmail
+ */
+const generateReminderEmail = async (invoice, recipients, offsetDays) => {
+  invoice = await addClientLinks(invoice);
+  const dueDate = invoice.dueDate.toLocaleDateString();
+  const reminderNotice = offsetDays < 0
+    ? `This is a friendly reminder that this invoice is due on ${dueDate}.`
+    : offsetDays === 0
+      ? 'This is a friendly reminder that this invoice is due today.'
+      : `This invoice was due on ${dueDate} and is now ${offsetDays} day${offsetDays === 1 ? '' : 's'} overdue. Please arrange payment at your earliest convenience.`;
+
+  const emailData = await generateInvoiceEmail(invoice, recipients.to, { kind: 'reminder', values: { reminderNotice } });
+  if (recipients.cc?.length) emailData.cc = recipients.cc;
+  emailData.attachments = [{
+    filename: `invoice-${invoice.invoiceNumber || invoice._id}.pdf`,
+    content: await generateInvoicePDF(invoice),
+    contentType: 'application/pdf'
+  }];
+
+  return emailData;
+};
+
+/**
+ * Sends one reminder and records it on the invoice. The reminder is recorded first so
+ * overlapping runs cannot send it twice, and removed again if the email fails.
+ * @param {Object} invoice - The invoice
+ * @param {Object} recipients - { to, cc } addresses
+ * @param {number} offsetDays - Days from the due date
+ * @returns {Promise<boolean>} - Whether the reminder was sent
+ */
+const sendReminder = async (invoice, recipients, offsetDays) => {
+  const sentTo = recipients.to.join(', ');
+  const claim = await Invoice.updateOne(
+    { _id: invoice._id, status: { $in: UNPAID_STATUSES }, 'reminders.offsetDays': { $ne: offsetDays } },
+    { $push: { reminders: { offsetDays, sentTo, sentAt: new Date() } } }
+  );
+  if (claim.modifiedCount === 0) return false;
+
+  try {
+    await sendInvoiceEmail(invoice, await generateReminderEmail(invoice, recipients, offsetDays), { kind: 'reminder' });
+  } catch (error) {
+    await Invoice.updateOne({ _id: invoice._id }, { $pull: { reminders: { offsetDays } } });
+    throw error;
+  }
+
+  console.log('[InvoiceReminders.sendReminder] Reminder sent:', { invoice: invoice._id, offsetDays, sentTo });
+  return true;
+};
+
+/**
+ * Sends the reminders that are due for one user's unpaid invoices
+ * @param {Object} user - The user, with their reminder settings
+ * @param {Date} [now] - The current time
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const sendUserReminders = async (user, now = new Date()) => {
+  const schedule = user.invoiceReminders?.schedule || [];
+  if (!schedule.length) return 0;
+
+  const invoices = await Invoice.find({
+    user: user._id,
+    status: { $in: UNPAID_STATUSES },
+    remindersDisabled: { $ne: true },
+    dueDate: {
+      $gte: addDays(now, -(Math.max(...schedule) + REMINDER_GRACE_DAYS)),
+      $lte: addDays(now, -Math.min(...schedule))
+    }
+  });
+
+  const clientIds = invoices.map(invoice => invoice.client).filter(Boolean);
+  const clients = new Map(
+    (await Client.find({ _id: { $in: clientIds }, user: user._id })).map(client => [client._id.toString(), client])
+  );
+
+  let sent = 0;
+  for (const invoice of invoices) {
+    const offsetDays = getDueReminder(invoice, schedule, now);
+    if (offsetDays === null) continue;
+
+    const client = invoice.client && clients.get(invoice.client.toString());
+    if (client?.remindersDisabled) continue;
+
+    try {
+      const recipients = await getReminderRecipients(invoice, client);
+      if (!recipients) {
+        console.warn('[InvoiceReminders] No email on file, skipping reminder for invoice:', invoice._id);
+        continue;
+      }
+
+      if (await sendReminder(invoice, recipients, offsetDays)) sent += 1;
+    } catch (error) {
+      console.error('❌ [InvoiceReminders] Failed to send reminder for invoice:', invoice._id, error.message);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Marks overdue invoices and sends the reminders that are due for every user
+ * @param {Date} [now] - The current time
+ * @returns {Promise<Object>} - Counts of invoices marked overdue and reminders sent
+ */
+const runReminders = async (now = new Date()) => {
+  const summary = { markedOverdue: await refreshOverdueStatuses(now), remindersSent: 0 };
+
+  const users = await User.find({ 'invoiceReminders.enabled': { $ne: false } }).select('invoiceReminders');
+  for (const user of users) {
+    try {
+      summary.remindersSent += await sendUserReminders(user, now);
+    } catch (error) {
+      console.error('❌ [InvoiceReminders] Failed for user:', user._id, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Starts the background job that marks overdue invoices and sends reminders. Each
+ * reminder is only sent once, so the job can run more often than daily.
+ * @param {number} intervalMs - How often to run
+ */
+const startInvoiceReminderJob = (intervalMs = 60 * 60 * 1000) => {
+  if (reminderTimer) return;
+
+  reminderTimer = setInterval(async () => {
+    if (reminderRunning) return;
+    reminderRunning = true;
+    try {
+      const summary = await runReminders();
+      if (summary.markedOverdue > 0 || summary.remindersSent > 0) {
+        console.log('🔔 [InvoiceReminders] Run complete:', summary);
+      }
+    } catch (error) {
+      console.error('❌ [InvoiceReminders] Job error:', error);
+    } finally {
+      reminderRunning = false;
+    }
+  }, intervalMs);
+};
+
+const stopInvoiceReminderJob = () => {
+  clearInterval(reminderTimer);
+  reminderTimer = null;
+};
+
+module.exports = {
+  refreshOverdueStatuses,
+  getDueReminder,
+  sendUserReminders,
+  runReminders,
+  startInvoiceReminderJob,
+  stopInvoiceReminderJob
+};
@@ -0,0 +1,39 @@
+// services/notificationService.js
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { sendWhatsAppMessage } = require('./whatsappService');
+
+/**
+ * Tells a user something outside of a request: posts an assistant message to their
+ * chat conversation and sends the same text over WhatsApp when they have a number.
+ * Failures are logged and never thrown, so callers can notify from error paths.
+ * @param {string} userId - The user to notify
+ * @param {string} text - The message text
+ */
+exports.notifyUser = async (userId, text) => {
+  try {
+    let conversation = await Conversation.findOne({ user: userId });
+    if (!conversation) {
+      conversation = await Conversation.create({ user: userId });
+    }
+
+    await Message.create({
+      text,
+      sender: 'assistant',
+      conversation: conversation._id,
+      user: userId
+    });
+  } catch (error) {
+    console.error('❌ [Notification] Failed to post chat message:', error);
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (user?.phoneNumber) {
+      await sendWhatsAppMessage(user.phoneNumber, text);
+    }
+  } catch (error) {
+    console.error('❌ [Notification] Failed to send WhatsApp message:', error);
+  }
+};
@@ -2,6 +2,7 @@
 const OpenAI = require('openai');
 const { handleActionRequest } = require('./actionHandlers/baseActions');
 const { formatDataForPrompt } = require('./dataService');
+const { formatMoney } = require('../utils/money');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -18,6 +19,7 @@ User Profile:
 - Name: ${formattedData.user.name}
 - Trade: ${formattedData.user.trade}
 - Email: ${formattedData.user.email}
+- Default currency: ${formattedData.user.currency}
 
 Current Date: ${formattedData.metadata.currentDate}
 Current Time: ${formattedData.metadata.currentTime}
@@ -58,29 +60,59 @@ ACTION GUIDELINES:
      - description (string)
      - quantity (number)
      - unitAmount (number)
+     - Optional: taxRate or discountRate as decimals, when this line differs from the rest
    - Optional: taxRate as a decimal (e.g., 0.075 for 7.5%)
+   - Optional: taxMode "inclusive" when the prices already include tax (default "exclusive")
+   - Optional: a whole-invoice discount as discountRate (decimal, e.g. 0.1 for 10% off) or discount (fixed amount), not both
+   - The invoice total is calculated from the items, tax and discounts; "amount" only matters when there are no items
+   - Optional: currency as an ISO code (e.g. "GBP", "NGN") when the user bills in a currency other than their default; "£500" means GBP, "₦50,000" means NGN
+   - Always write amounts with the invoice's currency (e.g. "£500.00"), never assume dollars
 - Creation: "create invoice for [client]", "bill [client] [amount]", "new invoice"
 - Sending Existing: "send invoice to [client]", "email the invoice", "send him/her the invoice"
 - Identification: 
   - By ID: "inv_123"
+  - By number: "invoice 42", "#42" or "INV-2026-0042"
   - By client: "John Smith" (most recent)
   - By amount: "$100" or "100" (most recent)
   - By date: "May 20" or "05/20" (most recent due date)
   - Combine criteria: "John's $100 invoice from May"
 - Status Changes:
-  - Pay: "mark invoice as paid", "record payment for [client]", "pay $100 to John"
+  - Pay: "mark invoice as paid", "record payment for [client]", "pay $100 to John" → mark_invoice_paid
+  - Part payment: "John paid $200 of his invoice", "record a $50 deposit on invoice 42" → mark_invoice_paid with paymentAmount
+    - Leave paymentAmount out to pay the whole outstanding balance
+    - Optional: paymentMethod (Cash|Bank Transfer|Card|Cheque|Online|Other), paymentReference, paymentDate
+  - Credit: "issue a credit of $50 to John", "credit invoice 42 $100 for the damaged door" → issue_credit_note with amount and reason
+    - Credits the client's most recent invoice unless an invoiceId is given; never edit or delete an invoice to reduce it
   - Update: "update invoice for [client]", "change invoice amount"
+  - Approve: "approve the invoice for John", "finalise invoice 42" → approve_invoice
+    - New invoices are drafts (not in Xero, not chased) until approved; sending a draft approves it
+    - Add "approve": true to create_invoice when the user wants it finalised straight away
+  - Void: "void invoice 42", "cancel John's invoice" → void_invoice (optional reason); never delete an approved invoice
 - Fetching: "show my invoices", "list unpaid invoices", "what invoices are due"
 
 IMPORTANT INVOICE SENDING RULES:
 - If user says "send [him/her/them] the invoice" or "email the invoice" → Use send_invoice action for the most recent/relevant invoice
 - If user provides a specific email address → Use that email
-- If no email provided, try to extract from conversation history or use client's known email
+- If no email provided, leave "email" out: the client's stored email is used by default
 - If creating AND sending an invoice → Use create_invoice with email parameter
-- If just sending existing invoice → Use send_invoice with invoiceId and email
+- If just sending existing invoice → Use send_invoice with invoiceId (and email only if one was given)
+- If user says "resend the invoice" or "send it again" → Use resend_invoice with invoiceId; leave "email" out so it goes to the same people as last time
+- To copy someone in, add "cc" with one or more addresses
 
-4. ACTION SELECTION RULES:
+4. QUOTE MANAGEMENT:
+- A quote (estimate) is a price offered before the work is done; it becomes an invoice once the client agrees
+- Creation: "quote John $500 for the deck", "create an estimate for [client]" → create_quote (same description/tasks/items/tax/discount fields as invoices)
+  - Optional: validUntil (YYYY-MM-DD); quotes are valid for 30 days by default
+- Identification: By ID, by number ("quote 7", "QU-2026-0007") or by client name (most recent)
+- Sending: "send the quote to John" → send_quote with quoteId (email only if one was given)
+- Answers: "John accepted the quote" → accept_quote; "John declined the quote" → decline_quote (optional reason)
+- Converting: "turn John's quote into an invoice", "invoice the accepted quote" → convert_quote (optional dueDate)
+- Updating: "change the quote amount", "extend the quote to [date]" → update_quote
+
+5. ACTION SELECTION RULES:
 - When calendar/scheduling terms are used → Event action
+- When a quote or estimate is mentioned → Quote action
+- When a credit, refund or credit note is mentioned → issue_credit_note
 - When money or billing is mentioned → Invoice action
 - When work or to-do items are mentioned → Task action
 - For "send invoice" commands → Check if invoice exists first, then use send_invoice
@@ -88,6 +120,9 @@ IMPORTANT INVOICE SENDING RULES:
 
 CURRENT DATA:
 
+Xero: ${formattedData.xero}
+- Answer questions like "am I connected to Xero?" from this line
+
 Events (${formattedData.events?.all?.length || 0}):
 ${formattedData.events?.recent?.map(e => 
   `- ${e.title} (${e.startTime} to ${e.endTime}) [ID: ${e.id}]`
@@ -98,14 +133,31 @@ ${formattedData.tasks.recent.map(t =>
   `- ${t.title} ${t.status} (Due: ${t.dueDate}${t.overdue}) [ID: ${t.id}]`
 ).join('\n') || 'No tasks found'}
 
+Clients (${formattedData.clients.length}):
+${formattedData.clients.slice(0, 20).map(c => 
+  `- ${c.name}${c.email ? ` <${c.email}>` : ''}${c.phone ? ` ${c.phone}` : ''} [ID: ${c.id}]`
+).join('\n') || 'No clients found'}
+
 Invoices (${formattedData.invoices.all.length}):
 ${formattedData.invoices.all.slice(0, 5).map(i => 
-  `- ${i.client} ($${i.amount}) ${i.status} (Due: ${i.dueDate}) [ID: ${i.id}]`
+  `- ${i.number ? `${i.number} ` : ''}${i.client} (${i.formattedAmount}${i.status === 'Partially Paid' ? `, ${i.formattedBalanceDue} still due` : ''}) ${i.status}${i.viewed ? `, viewed by client ${i.viewed}` : ''} (Due: ${i.dueDate}) [ID: ${i.id}]`
 ).join('\n') || 'No invoices found'}
+- "Viewed by client" means the client opened the invoice link from their email; invoices without it have not been opened
+
+Invoice totals by currency (approved, not void):
+${formattedData.invoices.totals.map(t => 
+  `- ${t.currency}: ${t.count} invoices, ${t.invoiced} invoiced, ${t.outstanding} outstanding, ${t.overdue} overdue`
+).join('\n') || 'No approved invoices'}
+- Answer "how much am I owed?" from these lines, one figure per currency; never add different currencies together
+
+Quotes (${formattedData.quotes.length}):
+${formattedData.quotes.slice(0, 5).map(q => 
+  `- ${q.number ? `${q.number} ` : ''}${q.client} (${q.formattedAmount}) ${q.status} (Valid until: ${q.validUntil}) [ID: ${q.id}]`
+).join('\n') || 'No quotes found'}
 
 RESPONSE FORMAT (JSON):
 {
-  "action": "create_event|create_task|create_invoice|update_event|send_invoice|...|fetch_tasks|fetch_events|fetch_invoices",
+  "action": "create_event|create_task|create_invoice|create_quote|update_event|send_invoice|resend_invoice|approve_invoice|void_invoice|send_quote|convert_quote|issue_credit_note|...|fetch_tasks|fetch_events|fetch_invoices",
   "params": {
     // For events:
     "eventId": "ID or 'Exact Title'",
@@ -127,7 +179,15 @@ RESPONSE FORMAT (JSON):
     "clientName": "Client name",
     "amount": 100.00,
     "dueDate": "YYYY-MM-DD",
-    "email": "recipient@email.com", // REQUIRED for sending invoices
+    "email": "recipient@email.com", // Optional for send_invoice; defaults to the client's stored email (resend_invoice: the previous recipients)
+    "cc": ["someone@email.com"], // Optional for send_invoice and resend_invoice
+    "paymentAmount": 50.00, // mark_invoice_paid only: amount received; omit to pay the full balance
+    "approve": true, // create_invoice only: approve instead of leaving a draft
+    
+    // For quotes:
+    "quoteId": "ID, quote number or 'Client Name'",
+    "validUntil": "YYYY-MM-DD",
+    "reason": "Why the client declined (decline_quote), why the credit was given (issue_credit_note) or why the invoice was voided (void_invoice)",
     
     // Common:
     "description": "Optional details",
@@ -202,12 +262,10 @@ CONTEXT ANALYSIS:
       // Enhanced validation for invoice sending
       if (parsedResponse.action === 'send_invoice') {
         if (!parsedResponse.params.email) {
-          // Try to extract email from conversation history or user context
-          const extractedEmail = extractEmailFromContext(conversationHistory, userContext);
+          // Prefer the client's stored email; the action looks it up if this finds nothing
+          const extractedEmail = extractEmailFromContext(conversationHistory, formattedData, parsedResponse.params);
           if (extractedEmail) {
             parsedResponse.params.email = extractedEmail;
-          } else {
-            throw new Error('Email address is required to send invoice. Please provide recipient email address.');
           }
         }
         
@@ -233,6 +291,14 @@ CONTEXT ANALYSIS:
           throw new Error('Invoice actions require either clientName or invoiceId');
         }
         
+        if (parsedResponse.action.includes('quote') && !parsedResponse.params.clientName && !parsedResponse.params.quoteId) {
+          throw new Error('Quote actions require either clientName or quoteId');
+        }
+        
+        if (parsedResponse.action === 'issue_credit_note' && !parsedResponse.params.clientName && !parsedResponse.params.invoiceId) {
+          throw new Error('Credit notes require either clientName or invoiceId');
+        }
+        
         if (parsedResponse.action.includes('task') && !parsedResponse.params.title && !parsedResponse.params.taskId) {
           throw new Error('Task actions require either title or taskId');
         }
@@ -249,9 +315,26 @@ CONTEXT ANALYSIS:
         if (parsedResponse.action.includes('event')) {
           finalResponse = parsedResponse.response || 
             `Event "${actionResult.data?.title}" scheduled for ${actionResult.data?.startTime}.`;
-        } else if (parsedResponse.action === 'send_invoice') {
+        } else if (parsedResponse.action === 'convert_quote') {
+          finalResponse = parsedResponse.response || 
+            `Quote converted into invoice ${actionResult.invoice?.invoiceNumber || ''} for ${actionResult.data?.clientName}.`;
+        } else if (parsedResponse.action.includes('quote')) {
+          finalResponse = parsedResponse.response || 
+            `Quote ${actionResult.data?.quoteNumber || ''} processed successfully${actionResult.data ? ` for ${actionResult.data.clientName}` : ''}.`;
+        } else if (parsedResponse.action === 'issue_credit_note') {
+          const creditNote = actionResult.data;
           finalResponse = parsedResponse.response || 
-            `Invoice sent successfully to ${parsedResponse.params.email}${actionResult.data ? ` for ${actionResult.data.clientName}` : ''}.`;
+            `Credit note ${creditNote?.creditNoteNumber || ''} for ${formatMoney(creditNote?.amount, creditNote?.currency)} issued to ${creditNote?.clientName}` +
+            (creditNote?.refundDue > 0 ? `; ${formatMoney(creditNote.refundDue, creditNote.currency)} is due back to the client.` : '.');
+        } else if (parsedResponse.action === 'approve_invoice') {
+          finalResponse = parsedResponse.response || 
+            `Invoice ${actionResult.data?.invoiceNumber || ''} for ${actionResult.data?.clientName} approved.`;
+        } else if (parsedResponse.action === 'void_invoice') {
+          finalResponse = parsedResponse.response || 
+            `Invoice ${actionResult.data?.invoiceNumber || ''} for ${actionResult.data?.clientName} voided.`;
+        } else if (parsedResponse.action === 'send_invoice' || parsedResponse.action === 'resend_invoice') {
+          finalResponse = parsedResponse.response || 
+            `Invoice sent successfully to ${actionResult.data?.sentTo || parsedResponse.params.email || "the client's email on file"}${actionResult.data ? ` for ${actionResult.data.clientName}` : ''}.`;
         } else if (parsedResponse.action.includes('invoice')) {
           finalResponse = parsedResponse.response || 
             `Invoice processed successfully${actionResult.data ? ` for ${actionResult.data.clientName}` : ''}.`;
@@ -280,23 +363,34 @@ CONTEXT ANALYSIS:
   return { finalResponse, actionResult };
 };
 
-// Helper function to extract email from context
-function extractEmailFromContext(conversationHistory, userContext) {
-  // Check user's email first
-  if (userContext.user.email) {
-    return userContext.user.email;
+// Helper function to extract the recipient email: the client's stored email first,
+// then the most recent address mentioned in the conversation (never the user's own)
+function extractEmailFromContext(conversationHistory, formattedData, params) {
+  const invoice = formattedData.invoices.all.find(i =>
+    i.id === params.invoiceId || i.number === params.invoiceId
+  ) || (params.clientName && formattedData.invoices.all.find(i =>
+    i.client.toLowerCase() === params.clientName.toLowerCase()
+  ));
+  const clientName = invoice?.client || params.clientName;
+  const client = formattedData.clients.find(c =>
+    (invoice?.clientId && c.id === invoice.clientId) ||
+    (clientName && c.name.toLowerCase() === clientName.toLowerCase())
+  );
+  if (client?.email) {
+    return client.email;
   }
   
   // Look for email patterns in conversation history
-  const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
+  const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
+  const ownEmail = formattedData.user.email?.toLowerCase();
   
   for (let i = conversationHistory.length - 1; i >= 0; i--) {
     const message = conversationHistory[i];
-    const emailMatch = message.text.match(emailRegex);
+    const emailMatch = (message.text.match(emailRegex) || []).find(email => email.toLowerCase() !== ownEmail);
     if (emailMatch) {
-      return emailMatch[0];
+      return emailMatch;
     }
   }
   
   return null;
-}
\ No newline at end of file
+}
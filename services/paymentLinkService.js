@@ -0,0 +1,99 @@
+// services/paymentLinkService.js
+// Online payment links: a hosted checkout for an invoice's balance, created through the
+// configured payment gateway and shown in emails, PDFs and WhatsApp replies. A link is
+// only reused while it still asks for the current balance, so a part payment or a credit
+// note gets the client a new one.
+const Invoice = require('../models/Invoice');
+const { getPaymentGateway } = require('./payments');
+
+/**
+ * Whether the invoice can be paid online: approved, not void and with something to pay
+ * @param {Object} invoice - The invoice
+ * @returns {boolean}
+ */
+const isPayable = (invoice) => {
+  return !['Draft', 'Void'].includes(invoice.status) && invoice.balanceDue > 0;
+};
+
+/**
+ * Whether the invoice's stored link is for the current gateway and balance and still open
+ * @param {Object} invoice - The invoice
+ * @param {Object} gateway - The payment gateway
+ * @returns {boolean}
+ */
+const hasCurrentLink = (invoice, gateway) => {
+  const link = invoice.paymentLink;
+  return Boolean(
+    link?.url &&
+    link.gateway === gateway.name &&
+    link.amount === invoice.balanceDue &&
+    link.currency === invoice.currency &&
+    link.expiresAt > new Date()
+  );
+};
+
+/**
+ * The link to pay the invoice online
+ * @param {Object} invoice - The invoice
+ * @returns {string|null} - The URL, or null if online payments are off, nothing is due or
+ *   the invoice has no current link
+ */
+const getPaymentLinkUrl = (invoice) => {
+  const gateway = getPaymentGateway();
+  if (!gateway || !invoice || !isPayable(invoice) || !hasCurrentLink(invoice, gateway)) return null;
+  return invoice.paymentLink.url;
+};
+
+/**
+ * Creates a checkout for the invoice's balance, replacing any existing link
+ * @param {Object} invoice - The invoice document
+ * @returns {Promise<Object>} - The updated invoice
+ */
+const createPaymentLink = async (invoice) => {
+  const gateway = getPaymentGateway();
+  const checkout = await gateway.createCheckout({
+    amount: invoice.balanceDue,
+    currency: invoice.currency,
+    description: `Invoice ${invoice.invoiceNumber || invoice._id} for ${invoice.clientName}`,
+    reference: invoice.invoiceNumber,
+    metadata: { invoiceId: invoice._id.toString(), userId: invoice.user.toString() }
+  });
+  console.log('[PaymentLink] Created checkout:', { invoiceId: invoice._id, gateway: gateway.name, checkoutId: checkout.checkoutId });
+
+  return Invoice.findByIdAndUpdate(invoice._id, {
+    paymentLink: {
+      gateway: gateway.name,
+      checkoutId: checkout.checkoutId,
+      url: checkout.url,
+      amount: invoice.balanceDue,
+      currency: invoice.currency,
+      createdAt: new Date(),
+      expiresAt: checkout.expiresAt
+    }
+  }, { new: true });
+};
+
+/**
+ * Makes sure an invoice about to go to the client has a link for its balance. A gateway
+ * failure is logged and the invoice goes out without one.
+ * @param {Object} invoice - The invoice document
+ * @returns {Promise<Object>} - The invoice, updated if a link was created
+ */
+const ensurePaymentLink = async (invoice) => {
+  const gateway = getPaymentGateway();
+  if (!gateway || !isPayable(invoice) || hasCurrentLink(invoice, gateway)) return invoice;
+
+  try {
+    return await createPaymentLink(invoice);
+  } catch (error) {
+    console.error('[PaymentLink] Could not create payment link:', { invoiceId: invoice._id, error: error.message });
+    return invoice;
+  }
+};
+
+module.exports = {
+  isPayable,
+  getPaymentLinkUrl,
+  createPaymentLink,
+  ensurePaymentLink
+};
@@ -0,0 +1,85 @@
+// services/paymentWebhookService.js
+// Verifies payment gateway webhooks and records the payments they report on the invoices,
+// which settles them and posts the payment to the accounting backend
+const Invoice = require('../models/Invoice');
+const AppError = require('../utils/appError');
+const { formatMoney } = require('../utils/money');
+const { getPaymentGateway } = require('./payments');
+const { recordInvoicePayment } = require('./actionHandlers/invoiceActions');
+const { notifyUser } = require('./notificationService');
+
+/**
+ * Records the payment from one gateway event. Events that cannot be applied (unknown
+ * invoice, wrong currency, nothing left to pay) are logged and acknowledged, so the
+ * gateway stops retrying them; they need a refund or a manual entry.
+ * @param {Object} event - The payment event from the gateway
+ * @returns {Promise<Object>} - { status: recorded | duplicate | ignored, invoice }
+ */
+const applyPaymentEvent = async (event) => {
+  const invoice = event.invoiceId && await Invoice.findById(event.invoiceId).catch(() => null);
+  if (!invoice) {
+    console.warn('[PaymentWebhook] No invoice for payment:', event);
+    return { status: 'ignored' };
+  }
+
+  // Gateways deliver webhooks at least once
+  if (invoice.payments.some(payment => payment.gatewayPaymentId === event.paymentId)) {
+    return { status: 'duplicate', invoice };
+  }
+
+  if (event.currency !== invoice.currency) {
+    console.error('[PaymentWebhook] Payment currency does not match the invoice:', { invoiceId: invoice._id, event });
+    return { status: 'ignored', invoice };
+  }
+  if (invoice.status === 'Void' || invoice.balanceDue <= 0) {
+    console.error('[PaymentWebhook] Payment for an invoice with nothing due, refund needed:', { invoiceId: invoice._id, event });
+    return { status: 'ignored', invoice };
+  }
+
+  // Paying two open links for the same balance overpays; only the balance is recorded
+  const amount = Math.min(event.amount, invoice.balanceDue);
+  if (amount < event.amount) {
+    console.error('[PaymentWebhook] Payment is more than the balance, refund the difference:', { invoiceId: invoice._id, event });
+  }
+
+  const { invoice: result } = await recordInvoicePayment(invoice.user, invoice, {
+    amount,
+    date: event.paidAt,
+    method: 'Online',
+    reference: event.paymentId,
+    gatewayPaymentId: event.paymentId
+  });
+  console.log('[PaymentWebhook] Payment recorded:', { invoiceId: result._id, amount, status: result.status });
+
+  await notifyUser(result.user, `💳 ${result.clientName} paid ${formatMoney(amount, result.currency)} online for invoice ${result.invoiceNumber || result._id}. ${
+    result.status === 'Paid' ? 'It is now paid in full.' : `${formatMoney(result.balanceDue, result.currency)} is still due.`
+  }`);
+
+  return { status: 'recorded', invoice: result };
+};
+
+/**
+ * Handles one webhook delivery from a payment gateway
+ * @param {string} gatewayName - The gateway the webhook URL is for
+ * @param {Buffer} rawBody - The unparsed request body, which the signature covers
+ * @param {Object} headers - The request headers
+ * @returns {Promise<Object>} - { status: recorded | duplicate | ignored, invoice }
+ */
+const handlePaymentWebhook = async (gatewayName, rawBody, headers) => {
+  const gateway = getPaymentGateway();
+  if (!gateway || gateway.name !== gatewayName) {
+    throw new AppError('Payment gateway is not enabled', 404);
+  }
+  if (!gateway.verifyWebhook(rawBody, headers)) {
+    throw new AppError('Invalid webhook signature', 401);
+  }
+
+  const event = gateway.parsePaymentEvent(JSON.parse(rawBody.toString()));
+  if (!event) return { status: 'ignored' };
+
+  return applyPaymentEvent(event);
+};
+
+module.exports = {
+  handlePaymentWebhook
+};
@@ -0,0 +1,67 @@
+// services/payments/index.js
+// Chooses the payment gateway clients pay invoices through. Invoice code only talks to the
+// gateway returned here, so a real gateway (e.g. Stripe) only needs to implement the
+// interface below and be registered.
+const simulatedGateway = require('./simulatedGateway');
+
+/**
+ * @typedef {Object} Checkout
+ * @property {string} checkoutId - The gateway's id for the checkout
+ * @property {string} url - Hosted page where the client pays
+ * @property {Date} expiresAt - When the page stops taking payments
+ */
+
+/**
+ * @typedef {Object} GatewayPaymentEvent
+ * @property {string} eventId - The gateway's id for the webhook delivery
+ * @property {string} checkoutId - The checkout that was paid
+ * @property {string} paymentId - The gateway's id for the payment
+ * @property {number} amount - Amount paid
+ * @property {string} currency - ISO 4217 code
+ * @property {Date} paidAt - When it was paid
+ * @property {string} invoiceId - From the metadata given when the checkout was created
+ */
+
+/**
+ * @typedef {Object} PaymentGateway
+ * @property {string} name - Gateway key
+ * @property {function(Object): Promise<Checkout>} createCheckout - Creates a hosted checkout
+ *   for { amount, currency, description, reference, metadata: { invoiceId, userId } }
+ * @property {function(Buffer, Object): boolean} verifyWebhook - Checks the signature of a
+ *   webhook delivery from its raw body and headers
+ * @property {function(Object): GatewayPaymentEvent|null} parsePaymentEvent - Reads a verified
+ *   webhook body; null for events other than a completed payment
+ */
+
+const gateways = {
+  [simulatedGateway.name]: simulatedGateway
+};
+
+/**
+ * Registers an additional payment gateway
+ * @param {PaymentGateway} gateway - The gateway implementation
+ */
+const registerPaymentGateway = (gateway) => {
+  gateways[gateway.name] = gateway;
+};
+
+/**
+ * Gets the gateway selected by PAYMENT_GATEWAY. Online payments are off when it is not
+ * set, so the simulated gateway is never used by accident.
+ * @returns {PaymentGateway|null}
+ */
+const getPaymentGateway = () => {
+  const name = process.env.PAYMENT_GATEWAY;
+  if (!name) return null;
+
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return gateway;
+};
+
+module.exports = {
+  getPaymentGateway,
+  registerPaymentGateway
+};
@@ -0,0 +1,131 @@
+// services/payments/simulatedGateway.js
+// Payment gateway that runs inside this server with no network calls, for development and
+// automated tests. Its hosted checkout page is served at /payments/simulated/checkout, and
+// paying there sends a signed webhook through the same path a real gateway's would.
+//
+// Checkouts are not stored: the checkout URL carries a signed token with the amount and
+// metadata, so links keep working across restarts. Webhooks are signed like Stripe's: an
+// HMAC-SHA256 of "<timestamp>.<raw body>" in the x-simulated-signature header.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const appUrl = require('../../utils/appUrl');
+
+const CHECKOUT_AUDIENCE = 'simulated-checkout';
+const CHECKOUT_DAYS = 30;
+const SIGNATURE_HEADER = 'x-simulated-signature';
+// Deliveries signed longer ago than this are rejected as replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const getSecret = () => process.env.SIMULATED_GATEWAY_SECRET || process.env.JWT_SECRET;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (timestamp, rawBody) => {
+  return crypto.createHmac('sha256', getSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+/**
+ * Reads the checkout a hosted page token stands for
+ * @param {string} token - The token from the checkout URL
+ * @returns {Object|null} - { checkoutId, amount, currency, description, reference, metadata }, or null if invalid or expired
+ */
+const readCheckout = (token) => {
+  try {
+    const payload = jwt.verify(token, getSecret(), { audience: CHECKOUT_AUDIENCE });
+    return {
+      checkoutId: payload.cid,
+      amount: payload.amt,
+      currency: payload.cur,
+      description: payload.desc,
+      reference: payload.ref,
+      metadata: payload.meta || {}
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Pays a checkout from the hosted page and builds the webhook the gateway would send
+ * @param {string} token - The token from the checkout URL
+ * @param {number} [amount] - Amount to pay; the full checkout amount by default
+ * @returns {Object|null} - { rawBody, headers } of the webhook delivery, or null if the checkout is invalid
+ */
+const completeCheckout = (token, amount) => {
+  const checkout = readCheckout(token);
+  if (!checkout) return null;
+
+  const event = {
+    id: newId('sim_evt'),
+    type: 'checkout.completed',
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      checkoutId: checkout.checkoutId,
+      paymentId: newId('sim_pay'),
+      amount: amount ?? checkout.amount,
+      currency: checkout.currency,
+      metadata: checkout.metadata
+    }
+  };
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, rawBody)}` }
+  };
+};
+
+const simulatedGateway = {
+  name: 'simulated',
+
+  createCheckout: async ({ amount, currency, description, reference, metadata }) => {
+    const checkoutId = newId('sim_chk');
+    const token = jwt.sign(
+      { cid: checkoutId, amt: amount, cur: currency, desc: description, ref: reference, meta: metadata },
+      getSecret(),
+      { audience: CHECKOUT_AUDIENCE, expiresIn: `${CHECKOUT_DAYS}d` }
+    );
+
+    return {
+      checkoutId,
+      url: appUrl(`/payments/simulated/checkout/${token}`),
+      expiresAt: new Date(jwt.decode(token).exp * 1000)
+    };
+  },
+
+  verifyWebhook: (rawBody, headers) => {
+    const header = headers[SIGNATURE_HEADER];
+    if (!getSecret() || !rawBody || typeof header !== 'string') return false;
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(sign(timestamp, rawBody));
+    const signatureBuffer = Buffer.from(parts.v1 || '');
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  },
+
+  parsePaymentEvent: (body) => {
+    if (body?.type !== 'checkout.completed' || !body.data) return null;
+
+    return {
+      eventId: body.id,
+      checkoutId: body.data.checkoutId,
+      paymentId: body.data.paymentId,
+      amount: body.data.amount,
+      currency: body.data.currency,
+      paidAt: new Date(body.created * 1000),
+      invoiceId: body.data.metadata?.invoiceId
+    };
+  },
+
+  readCheckout,
+  completeCheckout
+};
+
+module.exports = simulatedGateway;
@@ -0,0 +1,238 @@
+// services/recurringInvoiceService.js
+// Turns recurring invoice templates into real invoices on their run dates
+const { addDays, addWeeks, addMonths, addYears } = require('date-fns');
+const RecurringInvoice = require('../models/RecurringInvoice');
+const Invoice = require('../models/Invoice');
+const { handleInvoiceAction, approveInvoice, pickTotalsParams } = require('./actionHandlers/invoiceActions');
+
+// Most runs generated for one template in a single pass, so a long outage cannot flood a client
+const MAX_CATCH_UP_RUNS = 12;
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+const FREQUENCIES = {
+  weekly: (date, n) => addWeeks(date, n),
+  fortnightly: (date, n) => addWeeks(date, n * 2),
+  monthly: (date, n) => addMonths(date, n),
+  quarterly: (date, n) => addMonths(date, n * 3),
+  yearly: (date, n) => addYears(date, n)
+};
+
+/**
+ * Date of a template's nth run, counted from its start date
+ * @param {Object} template - The recurring invoice
+ * @param {number} runIndex - Zero-based run number
+ * @returns {Date|null} - The run date, or null when it falls after the end date
+ */
+const getRunDate = (template, runIndex) => {
+  const runDate = FREQUENCIES[template.frequency](template.startDate, runIndex);
+  if (template.endDate && runDate > template.endDate) return null;
+  return runDate;
+};
+
+/**
+ * Lists the next run dates of a template
+ * @param {Object} template - The recurring invoice
+ * @param {number} [count] - How many runs to list
+ * @returns {Array<Object>} - Each run's invoice date and due date
+ */
+const previewRuns = (template, count = 6) => {
+  const runs = [];
+
+  for (let i = template.runCount; runs.length < count; i++) {
+    const runDate = getRunDate(template, i);
+    if (!runDate) break;
+    runs.push({ date: runDate, dueDate: addDays(runDate, template.paymentTermsDays) });
+  }
+
+  return runs;
+};
+
+/**
+ * Sets the next run date from the run count, completing templates past their end date
+ * @param {Object} template - The recurring invoice document
+ * @returns {Object} - The same template
+ */
+const scheduleNextRun = (template) => {
+  const nextRunDate = getRunDate(template, template.runCount);
+  template.nextRunDate = nextRunDate || undefined;
+  if (!nextRunDate) template.status = 'Completed';
+  return template;
+};
+
+/**
+ * Moves a template past runs it should not generate and sets its next run date. Used when
+ * the schedule changes (runs up to the last generated invoice are kept) and on resume
+ * (runs missed while paused are skipped).
+ * @param {Object} template - The recurring invoice document
+ * @param {Date} [skipBefore] - Also skip runs dated before this time
+ * @returns {Object} - The same template
+ */
+const rescheduleTemplate = (template, skipBefore) => {
+  let runIndex = 0;
+  let runDate = getRunDate(template, runIndex);
+  while (runDate && ((template.lastRunDate && runDate <= template.lastRunDate) || (skipBefore && runDate < skipBefore))) {
+    runIndex += 1;
+    runDate = getRunDate(template, runIndex);
+  }
+
+  template.runCount = runIndex;
+  if (template.status === 'Completed' && runDate) template.status = 'Active';
+  return scheduleNextRun(template);
+};
+
+/**
+ * Generates the invoice for a template's next run and emails it when auto-send is on.
+ * The run is claimed first, moving the next run date on in the same update, so two
+ * scheduler passes cannot invoice the same date twice.
+ * @param {Object} template - The recurring invoice document
+ * @returns {Promise<Object|null>} - The generated invoice, or null if another pass claimed the run
+ */
+const generateInvoice = async (template) => {
+  const runDate = template.nextRunDate;
+  const nextRunDate = getRunDate(template, template.runCount + 1);
+  const claimed = await RecurringInvoice.findOneAndUpdate(
+    { _id: template._id, status: 'Active', runCount: template.runCount, nextRunDate: runDate },
+    {
+      $inc: { runCount: 1 },
+      $set: {
+        lastRunDate: runDate,
+        ...(nextRunDate ? { nextRunDate } : { status: 'Completed' }),
+        updatedAt: new Date()
+      },
+      ...(!nextRunDate && { $unset: { nextRunDate: 1 } })
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let invoice;
+  try {
+    const result = await handleInvoiceAction(template.user, { type: 'create_invoice' }, {
+      clientName: template.clientName,
+      amount: template.amount,
+      description: template.description,
+      tasks: template.tasks,
+      items: template.items.map(item => {
+        const { _id, ...rest } = item.toObject ? item.toObject() : item;
+        return rest;
+      }),
+      taxRate: template.taxRate,
+      ...pickTotalsParams(template),
+      currency: template.currency,
+      date: runDate,
+      dueDate: addDays(runDate, template.paymentTermsDays)
+    });
+    if (!result.success) throw new Error(result.error);
+    invoice = result.data;
+  } catch (error) {
+    // Nothing was created, so give the run back for the next pass to retry
+    await RecurringInvoice.updateOne(
+      { _id: template._id, runCount: claimed.runCount },
+      {
+        $inc: { runCount: -1 },
+        $set: { status: 'Active', nextRunDate: runDate, lastRunDate: template.lastRunDate, lastError: error.message }
+      }
+    );
+    throw error;
+  }
+
+  invoice = await Invoice.findByIdAndUpdate(invoice._id, { recurringInvoice: template._id }, { new: true });
+  claimed.lastInvoice = invoice._id;
+  claimed.lastError = undefined;
+
+  // The template was already reviewed, so its invoices skip the draft stage. The invoice
+  // exists from here on, so a failure is recorded rather than generating the run again.
+  let approved = false;
+  try {
+    ({ invoice } = await approveInvoice(template.user, invoice));
+    approved = true;
+  } catch (error) {
+    console.error('❌ [RecurringInvoices] Failed to approve generated invoice:', invoice._id, error.message);
+    claimed.lastError = `Invoice ${invoice.invoiceNumber || invoice._id} was created but not approved: ${error.message}`;
+  }
+
+  if (approved && template.autoSend) {
+    // A failed email does not undo the invoice; the error is kept on the template
+    try {
+      const sendResult = await handleInvoiceAction(template.user, { type: 'send_invoice' }, {
+        invoiceId: invoice._id.toString(),
+        ...(template.recipientEmail && { email: template.recipientEmail })
+      });
+      if (!sendResult.success) throw new Error(sendResult.error);
+      invoice = sendResult.data || invoice;
+    } catch (error) {
+      console.error('❌ [RecurringInvoices] Failed to send generated invoice:', invoice._id, error.message);
+      claimed.lastError = `Invoice ${invoice.invoiceNumber || invoice._id} was created but not sent: ${error.message}`;
+    }
+  }
+
+  await claimed.save();
+  console.log('[RecurringInvoices.generateInvoice] Generated invoice:', {
+    template: template._id,
+    invoice: invoice._id,
+    runDate
+  });
+  return invoice;
+};
+
+/**
+ * Generates every invoice that is due, catching up on runs missed while the server was down
+ * @param {Date} [now] - Generate runs dated up to this time
+ * @returns {Promise<number>} - Number of invoices generated
+ */
+const runDueTemplates = async (now = new Date()) => {
+  const templates = await RecurringInvoice.find({ status: 'Active', nextRunDate: { $lte: now } });
+  let generated = 0;
+
+  for (let template of templates) {
+    try {
+      for (let run = 0; run < MAX_CATCH_UP_RUNS && template?.status === 'Active' && template.nextRunDate <= now; run++) {
+        if (!(await generateInvoice(template))) break;
+        generated += 1;
+        template = await RecurringInvoice.findById(template._id);
+      }
+    } catch (error) {
+      console.error('❌ [RecurringInvoices] Failed for template:', template?._id, error.message);
+    }
+  }
+
+  return generated;
+};
+
+/**
+ * Starts the background job that generates recurring invoices
+ * @param {number} intervalMs - How often to look for due templates
+ */
+const startRecurringInvoiceJob = (intervalMs = 15 * 60 * 1000) => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      const generated = await runDueTemplates();
+      if (generated > 0) console.log(`🔁 [RecurringInvoices] Generated ${generated} recurring invoice(s)`);
+    } catch (error) {
+      console.error('❌ [RecurringInvoices] Job error:', error);
+    } finally {
+      schedulerRunning = false;
+    }
+  }, intervalMs);
+};
+
+const stopRecurringInvoiceJob = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  previewRuns,
+  scheduleNextRun,
+  rescheduleTemplate,
+  generateInvoice,
+  runDueTemplates,
+  startRecurringInvoiceJob,
+  stopRecurringInvoiceJob
+};
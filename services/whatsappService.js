@@ -0,0 +1,28 @@
+// services/whatsappService.js
+// Holds the whatsapp-web.js client created in app.js so services can send outbound messages
+let whatsappClient = null;
+
+exports.setClient = (client) => {
+  whatsappClient = client;
+};
+
+/**
+ * Sends a WhatsApp text message to a phone number
+ * @param {string} phoneNumber - Plain phone number (e.g., 2348146139334)
+ * @param {string} text - The message text
+ * @returns {Promise<boolean>} - True if the message was handed to WhatsApp
+ */
+exports.sendWhatsAppMessage = async (phoneNumber, text) => {
+  if (!whatsappClient || !phoneNumber) {
+    console.warn('⚠️ [WhatsApp] Client not ready or no phone number, message not sent');
+    return false;
+  }
+
+  try {
+    await whatsappClient.sendMessage(`${phoneNumber}@c.us`, text);
+    return true;
+  } catch (error) {
+    console.error('❌ [WhatsApp] Failed to send message:', error);
+    return false;
+  }
+};
@@ -0,0 +1,115 @@
+// services/xeroContactService.js
+// Keeps local clients linked to Xero contacts so invoices always reference a contact by ID
+const Client = require('../models/Client');
+const XeroService = require('./actionHandlers/xeroService');
+
+/**
+ * Converts a Xero contact's postal (or first) address to the local address shape
+ * @param {Object} contact - The Xero contact
+ * @returns {Object|undefined}
+ */
+const toLocalAddress = (contact) => {
+  const addresses = contact.addresses || [];
+  const address = addresses.find(a => a.addressType === 'POBOX' && a.addressLine1) ||
+    addresses.find(a => a.addressLine1);
+  if (!address) return undefined;
+
+  return {
+    line1: address.addressLine1,
+    line2: address.addressLine2,
+    city: address.city,
+    region: address.region,
+    postalCode: address.postalCode,
+    country: address.country
+  };
+};
+
+/**
+ * Returns the Xero contact ID for a client, linking it to an existing Xero contact with
+ * the same name or creating a new contact (with email and address) when there is none
+ * @param {string} userId - The client owner
+ * @param {Object} contact - The invoice's contact
+ * @param {string} contact.contactName - The client name
+ * @param {string} [contact.contactEmail] - Email to store on a new client
+ * @returns {Promise<string>} - The Xero contact ID
+ */
+const resolveContactId = async (userId, { contactName, contactEmail }) => {
+  if (!contactName) {
+    throw new Error('Invoice has no client to use as the Xero contact');
+  }
+
+  const client = await Client.findOrCreateByName(userId, contactName, contactEmail ? { emails: [contactEmail] } : {});
+  if (client.xeroContactId) return client.xeroContactId;
+
+  const xeroContact = await XeroService.findContactByName(userId, client.name) ||
+    await XeroService.createContact(userId, {
+      name: client.name,
+      email: client.primaryEmail,
+      address: client.addresses[0]?.toObject(),
+      idempotencyKey: `create_contact-${client._id}`
+    });
+
+  client.xeroContactId = xeroContact.contactID;
+  await client.save();
+
+  console.log('[XeroContacts.resolveContactId] Linked client to Xero contact:', {
+    client: client._id,
+    contactID: client.xeroContactId
+  });
+  return client.xeroContactId;
+};
+
+/**
+ * Links a Xero contact to the matching local client, creating the client if needed
+ * @param {string} userId - The client owner
+ * @param {Object} contact - The Xero contact
+ * @returns {Promise<string>} - imported | linked | unchanged
+ */
+const upsertClientFromContact = async (userId, contact) => {
+  if (!contact?.contactID || !contact.name) return 'unchanged';
+
+  const client = await Client.findOne({ user: userId, xeroContactId: contact.contactID }) ||
+    await Client.findByName(userId, contact.name);
+
+  if (!client) {
+    const address = toLocalAddress(contact);
+    await Client.findOrCreateByName(userId, contact.name, {
+      emails: contact.emailAddress ? [contact.emailAddress] : [],
+      addresses: address ? [address] : [],
+      xeroContactId: contact.contactID
+    });
+    return 'imported';
+  }
+
+  if (client.xeroContactId === contact.contactID && (client.emails.length || !contact.emailAddress)) {
+    return 'unchanged';
+  }
+
+  client.xeroContactId = contact.contactID;
+  if (!client.emails.length && contact.emailAddress) client.emails.push(contact.emailAddress);
+  await client.save();
+  return 'linked';
+};
+
+/**
+ * Imports the user's active Xero contacts as local clients
+ * @param {string} userId - The user to import for
+ * @returns {Promise<Object>} - Counts of imported, linked and unchanged clients
+ */
+const importContacts = async (userId) => {
+  const contacts = await XeroService.getContacts(userId);
+  const summary = { imported: 0, linked: 0, unchanged: 0 };
+
+  for (const contact of contacts) {
+    summary[await upsertClientFromContact(userId, contact)] += 1;
+  }
+
+  console.log('[XeroContacts.importContacts] Imported Xero contacts for user:', userId, summary);
+  return summary;
+};
+
+module.exports = {
+  resolveContactId,
+  upsertClientFromContact,
+  importContacts
+};
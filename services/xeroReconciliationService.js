@@ -0,0 +1,394 @@
+// services/xeroReconciliationService.js
+// Pulls invoice and payment changes made in Xero back into local invoices
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const XeroConnection = require('../models/XeroConnection');
+const XeroService = require('./actionHandlers/xeroService');
+const { hasPendingOperation } = require('./xeroSyncService');
+const { upsertClientFromContact } = require('./xeroContactService');
+
+// Xero statuses that mean the invoice no longer exists for billing purposes
+const VOIDED_XERO_STATUSES = ['DELETED', 'VOIDED'];
+// Xero invoices that are not imported: gone, or not approved in Xero yet
+const IGNORED_XERO_STATUSES = [...VOIDED_XERO_STATUSES, 'DRAFT', 'SUBMITTED'];
+
+// Reference on the ledger entry that stands in for payments Xero reports only as a total
+const XERO_PAID_REFERENCE = 'Paid in Xero';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+let reconciliationTimer = null;
+let reconciliationRunning = false;
+
+/**
+ * Parses a Xero date, which may be ISO or the legacy "/Date(1518685950940+0000)/" form
+ * @param {string|Date} value - The Xero date
+ * @returns {Date|null}
+ */
+const parseXeroDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+
+  const msDate = /\/Date\((\d+)([+-]\d{4})?\)\//.exec(value);
+  const parsed = msDate ? new Date(Number(msDate[1])) : new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Works out when an invoice was paid: Xero's fully-paid date, else its latest payment
+ * @param {Object} xeroInvoice - The Xero invoice
+ * @param {Map} paymentsByInvoice - Payments grouped by Xero invoice ID
+ * @returns {Date|null}
+ */
+const getPaidDate = (xeroInvoice, paymentsByInvoice) => {
+  const fullyPaidOn = parseXeroDate(xeroInvoice.fullyPaidOnDate);
+  if (fullyPaidOn) return fullyPaidOn;
+
+  const paymentDates = (paymentsByInvoice.get(xeroInvoice.invoiceID) || [])
+    .map(payment => parseXeroDate(payment.date))
+    .filter(Boolean);
+  if (paymentDates.length === 0) return null;
+  return new Date(Math.max(...paymentDates.map(date => date.getTime())));
+};
+
+/**
+ * Converts a Xero payment to a payments ledger entry
+ * @param {Object} xeroPayment - The Xero payment
+ * @returns {Object}
+ */
+const toLedgerPayment = (xeroPayment) => ({
+  amount: xeroPayment.amount,
+  date: parseXeroDate(xeroPayment.date) || new Date(),
+  ...(xeroPayment.reference && { reference: xeroPayment.reference.slice(0, 100) }),
+  source: 'xero',
+  xeroPaymentId: xeroPayment.paymentID
+});
+
+/**
+ * Picks the payments to apply for a Xero invoice. The invoice's own payment list is
+ * complete when Xero includes it; the payments feed only has recent changes.
+ * @param {Object} xeroInvoice - The Xero invoice
+ * @param {Array} [recentPayments] - Changed payments for this invoice from the payments feed
+ * @returns {Object} - { payments, complete }
+ */
+const getXeroPayments = (xeroInvoice, recentPayments = []) => {
+  if (Array.isArray(xeroInvoice.payments)) {
+    return { payments: xeroInvoice.payments, complete: true };
+  }
+  return { payments: recentPayments, complete: false };
+};
+
+/**
+ * Brings an invoice's payments ledger in line with Xero: new Xero payments are added and
+ * payments deleted in Xero are voided
+ * @param {Object} invoice - The local invoice document
+ * @param {Object} xeroInvoice - The Xero invoice
+ * @param {Array} [recentPayments] - Changed payments for this invoice from the payments feed
+ */
+const applyXeroPayments = (invoice, xeroInvoice, recentPayments) => {
+  const { payments, complete } = getXeroPayments(xeroInvoice, recentPayments);
+  const livePaymentIds = new Set();
+
+  const voidFromXero = (payment) => {
+    payment.voided = true;
+    payment.voidedAt = new Date();
+    payment.voidReason = 'Deleted in Xero';
+  };
+
+  payments.forEach(xeroPayment => {
+    if (!xeroPayment.paymentID) return;
+    const payment = invoice.payments.find(p => p.xeroPaymentId === xeroPayment.paymentID);
+
+    if (xeroPayment.status === 'DELETED') {
+      if (payment && !payment.voided) voidFromXero(payment);
+      return;
+    }
+
+    livePaymentIds.add(xeroPayment.paymentID);
+    if (!payment) invoice.payments.push(toLedgerPayment(xeroPayment));
+  });
+
+  if (complete) {
+    invoice.payments
+      .filter(payment => payment.xeroPaymentId && !payment.voided && !livePaymentIds.has(payment.xeroPaymentId))
+      .forEach(voidFromXero);
+  }
+};
+
+/**
+ * Whether a ledger entry stands in for a paid total from Xero rather than a Xero payment
+ * @param {Object} payment - The ledger entry
+ * @returns {boolean}
+ */
+const isXeroPaidTotal = (payment) => payment.source === 'xero' && !payment.xeroPaymentId;
+
+/**
+ * Records the part of Xero's paid amount that no listed payment accounts for (paid before
+ * payments were tracked, or outside the payments feed window) as one ledger entry, since
+ * amountPaid is always worked out from the ledger. Invoices with local payments keep theirs.
+ * @param {Object} invoice - The local invoice document
+ * @param {Object} xeroInvoice - The Xero invoice
+ * @param {Date|null} [paidDate] - When it was paid, if it was
+ */
+const applyXeroPaidTotal = (invoice, xeroInvoice, paidDate) => {
+  if (typeof xeroInvoice.amountPaid !== 'number') return;
+  const active = invoice.payments.filter(payment => !payment.voided);
+  if (active.some(payment => payment.source !== 'xero')) return;
+
+  const listed = active.filter(payment => !isXeroPaidTotal(payment));
+  const unlisted = roundAmount(xeroInvoice.amountPaid - listed.reduce((sum, payment) => sum + payment.amount, 0));
+  const totals = active.filter(isXeroPaidTotal);
+  if (totals.length === 1 && Math.abs(totals[0].amount - unlisted) < 0.005) return;
+  if (totals.length === 0 && unlisted < 0.005) return;
+
+  totals.forEach(payment => {
+    payment.voided = true;
+    payment.voidedAt = new Date();
+    payment.voidReason = 'Replaced by the amount Xero reports as paid';
+  });
+  if (unlisted >= 0.005) {
+    invoice.payments.push({
+      amount: unlisted,
+      date: paidDate || parseXeroDate(xeroInvoice.date) || new Date(),
+      reference: XERO_PAID_REFERENCE,
+      source: 'xero'
+    });
+  }
+};
+
+/**
+ * Works out the credit applied to an invoice: Xero's credited amount plus local credit
+ * notes that have not reached Xero
+ * @param {Object} invoice - The local invoice document
+ * @param {Object} xeroInvoice - The Xero invoice
+ * @returns {Promise<number>}
+ */
+const getAmountCredited = async (invoice, xeroInvoice) => {
+  const unsynced = await CreditNote.find({ invoice: invoice._id, xeroCreditNoteId: { $exists: false } })
+    .select('amountApplied');
+  const local = unsynced.reduce((sum, creditNote) => sum + (creditNote.amountApplied || 0), 0);
+  return roundAmount(xeroInvoice.amountCredited + local);
+};
+
+/**
+ * Converts a Xero line to a local line item. Xero gives tax and discount as amounts, so
+ * they are turned back into rates that reproduce them when the invoice totals are worked out.
+ * @param {Object} item - The Xero line item
+ * @param {boolean} inclusive - Whether the line amount includes tax
+ * @returns {Object}
+ */
+const toLocalLineItem = (item, inclusive) => {
+  const quantity = item.quantity ?? 1;
+  const gross = quantity * (item.unitAmount || 0);
+  const lineAmount = item.lineAmount ?? gross;
+  const taxBase = inclusive ? lineAmount - (item.taxAmount || 0) : lineAmount;
+  const discountRate = item.discountRate
+    ? item.discountRate / 100
+    : item.discountAmount && gross ? item.discountAmount / gross : 0;
+
+  return {
+    description: item.description,
+    quantity,
+    unitAmount: item.unitAmount || 0,
+    taxRate: item.taxAmount && taxBase ? item.taxAmount / taxBase : 0,
+    ...(discountRate && { discountRate }),
+    accountCode: item.accountCode,
+    taxType: item.taxType
+  };
+};
+
+/**
+ * Builds a local invoice from a Xero invoice that has no local copy
+ * @param {string} userId - The invoice owner
+ * @param {Object} xeroInvoice - The Xero invoice
+ * @param {Object} [options]
+ * @param {Date|null} [options.paidDate] - When it was paid, if it was
+ * @param {Array} [options.payments] - Changed payments for this invoice from the payments feed
+ * @returns {Object} - Invoice data for Invoice.create
+ */
+const buildImportedInvoice = (userId, xeroInvoice, { paidDate, payments: recentPayments } = {}) => {
+  const date = parseXeroDate(xeroInvoice.date) || new Date();
+  const inclusive = xeroInvoice.lineAmountTypes === 'Inclusive';
+  const ledger = {
+    payments: getXeroPayments(xeroInvoice, recentPayments).payments
+      .filter(payment => payment.paymentID && payment.status !== 'DELETED')
+      .map(toLedgerPayment)
+  };
+  applyXeroPaidTotal(ledger, xeroInvoice, paidDate);
+
+  return {
+    clientName: xeroInvoice.contact?.name || 'Xero contact',
+    amount: xeroInvoice.total || 0,
+    ...(xeroInvoice.currencyCode && { currency: xeroInvoice.currencyCode }),
+    payments: ledger.payments,
+    amountCredited: xeroInvoice.amountCredited || 0,
+    date,
+    dueDate: parseXeroDate(xeroInvoice.dueDate) || date,
+    ...(paidDate && xeroInvoice.status === 'PAID' && { paidDate }),
+    description: (xeroInvoice.lineItems || []).map(item => item.description).filter(Boolean).join('; ').slice(0, 500),
+    items: (xeroInvoice.lineItems || []).map(item => toLocalLineItem(item, inclusive)),
+    taxMode: inclusive ? 'inclusive' : 'exclusive',
+    xeroInvoiceId: xeroInvoice.invoiceID,
+    xeroReference: xeroInvoice.reference,
+    xeroStatus: xeroInvoice.status,
+    // Only approved Xero invoices are imported
+    status: 'Pending',
+    approvedAt: date,
+    user: userId
+  };
+};
+
+/**
+ * Applies Xero's view of an invoice to the local copy. Payments made or deleted in Xero
+ * go through the payments ledger, so balance and status follow the same rules as
+ * payments recorded locally.
+ * @param {Object} invoice - The local invoice document
+ * @param {Object} xeroInvoice - The Xero invoice
+ * @param {Object} [options]
+ * @param {Date|null} [options.paidDate] - When it was paid, if it was
+ * @param {Array} [options.payments] - Changed payments for this invoice from the payments feed
+ * @returns {Promise<boolean>} - True if anything changed
+ */
+const applyXeroInvoice = async (invoice, xeroInvoice, { paidDate, payments } = {}) => {
+  invoice.xeroStatus = xeroInvoice.status;
+  applyXeroPayments(invoice, xeroInvoice, payments);
+
+  // Voided in Xero; Xero only allows this once payments and credits are removed
+  if (VOIDED_XERO_STATUSES.includes(xeroInvoice.status) && invoice.status !== 'Void') {
+    invoice.status = 'Void';
+    invoice.voidedAt = new Date();
+    invoice.voidReason = 'Voided in Xero';
+  }
+
+  applyXeroPaidTotal(invoice, xeroInvoice, paidDate);
+  if (typeof xeroInvoice.amountCredited === 'number') {
+    const amountCredited = await getAmountCredited(invoice, xeroInvoice);
+    if (amountCredited !== (invoice.amountCredited || 0)) invoice.amountCredited = amountCredited;
+  }
+  if (xeroInvoice.status === 'PAID' && paidDate && !invoice.paidDate) invoice.paidDate = paidDate;
+
+  if (!invoice.isModified()) return false;
+  await invoice.save();
+  return true;
+};
+
+/**
+ * Reconciles one user's local invoices with their Xero tenant
+ * @param {string} userId - The user to reconcile
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Ignore the last reconciliation time and read everything
+ * @returns {Promise<Object>} - Counts of updated, imported, unchanged and skipped invoices
+ */
+const reconcileUser = async (userId, { full = false } = {}) => {
+  const connection = await XeroConnection.findOne({ user: userId });
+  const modifiedSince = !full && connection?.lastReconciledAt ? connection.lastReconciledAt : undefined;
+  const startedAt = new Date();
+
+  const [xeroInvoices, xeroPayments] = await Promise.all([
+    XeroService.getInvoices(userId, { modifiedSince }),
+    XeroService.getPayments(userId, { modifiedSince })
+  ]);
+
+  const paymentsByInvoice = new Map();
+  xeroPayments.forEach(payment => {
+    const invoiceID = payment.invoice?.invoiceID;
+    if (!invoiceID) return;
+    if (!paymentsByInvoice.has(invoiceID)) paymentsByInvoice.set(invoiceID, []);
+    paymentsByInvoice.get(invoiceID).push(payment);
+  });
+
+  const summary = { updated: 0, imported: 0, unchanged: 0, skipped: 0 };
+
+  for (const xeroInvoice of xeroInvoices) {
+    const paidDate = getPaidDate(xeroInvoice, paymentsByInvoice);
+    const invoice = await Invoice.findOne({ user: userId, xeroInvoiceId: xeroInvoice.invoiceID });
+
+    if (!invoice) {
+      if (IGNORED_XERO_STATUSES.includes(xeroInvoice.status)) {
+        summary.skipped += 1;
+        continue;
+      }
+      await upsertClientFromContact(userId, xeroInvoice.contact);
+      await Invoice.create(buildImportedInvoice(userId, xeroInvoice, {
+        paidDate,
+        payments: paymentsByInvoice.get(xeroInvoice.invoiceID)
+      }));
+      summary.imported += 1;
+      continue;
+    }
+
+    // Local changes still waiting to reach Xero win over what Xero currently says
+    if (await hasPendingOperation(invoice._id)) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    if (await applyXeroInvoice(invoice, xeroInvoice, {
+      paidDate,
+      payments: paymentsByInvoice.get(xeroInvoice.invoiceID)
+    })) {
+      summary.updated += 1;
+    } else {
+      summary.unchanged += 1;
+    }
+  }
+
+  if (connection) {
+    connection.lastReconciledAt = startedAt;
+    await connection.save();
+  }
+
+  console.log('[XeroReconciliation.reconcileUser] Reconciled invoices for user:', userId, summary);
+  return summary;
+};
+
+/**
+ * Reconciles every user whose Xero connection is usable
+ * @returns {Promise<void>}
+ */
+const reconcileAllUsers = async () => {
+  const connections = await XeroConnection.find({ needsReconnect: { $ne: true }, tenantId: { $exists: true } });
+
+  for (const connection of connections) {
+    try {
+      await reconcileUser(connection.user);
+    } catch (error) {
+      console.error('❌ [XeroReconciliation] Failed for user:', connection.user, error.message);
+    }
+  }
+};
+
+/**
+ * Starts the background job that pulls Xero changes on a schedule
+ * @param {number} intervalMs - How often to reconcile
+ */
+const startReconciliationJob = (intervalMs = 60 * 60 * 1000) => {
+  if (reconciliationTimer) return;
+
+  reconciliationTimer = setInterval(async () => {
+    if (reconciliationRunning) return;
+    reconciliationRunning = true;
+    try {
+      await reconcileAllUsers();
+    } catch (error) {
+      console.error('❌ [XeroReconciliation] Job error:', error);
+    } finally {
+      reconciliationRunning = false;
+    }
+  }, intervalMs);
+};
+
+const stopReconciliationJob = () => {
+  clearInterval(reconciliationTimer);
+  reconciliationTimer = null;
+};
+
+module.exports = {
+  parseXeroDate,
+  buildImportedInvoice,
+  applyXeroInvoice,
+  reconcileUser,
+  reconcileAllUsers,
+  startReconciliationJob,
+  stopReconciliationJob
+};
@@ -0,0 +1,489 @@
+// services/xeroSyncService.js
+// Durable outbox for pushing local invoice changes to Xero. Every operation is stored
+// before it runs, retried with exponential backoff and kept idempotent per local invoice.
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const XeroSyncOperation = require('../models/XeroSyncOperation');
+const XeroService = require('./actionHandlers/xeroService');
+const { resolveContactId } = require('./xeroContactService');
+
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+// How long to wait before checking again whether a connection needing reconnect is back
+const RECONNECT_WAIT_MS = 60 * 60 * 1000;
+const WORKER_BATCH_SIZE = 20;
+
+let workerTimer = null;
+let workerRunning = false;
+
+// Exponential backoff: 1m, 2m, 4m ... capped at 6h
+const getRetryDelay = (attempts) => {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Queues a Xero operation for an invoice. A still-pending operation of the same kind
+ * for the same invoice (and payment or credit note) is reused with the latest payload rather
+ * than duplicated.
+ * @param {string} userId - The invoice owner
+ * @param {string} invoiceId - The local invoice ID
+ * @param {string} operation - create_invoice | update_invoice | mark_invoice_paid | void_payment | create_credit_note | void_invoice
+ * @param {Object} payload - Data passed to the matching XeroService call
+ * @param {Object} [refs] - The local payment or credit note the operation is for
+ * @param {string} [refs.payment]
+ * @param {string} [refs.creditNote]
+ * @returns {Promise<Object>} - The queued operation
+ */
+const enqueue = async (userId, invoiceId, operation, payload, { payment, creditNote } = {}) => {
+  const queued = await XeroSyncOperation.findOneAndUpdate(
+    { invoice: invoiceId, operation, payment: payment || null, creditNote: creditNote || null, status: 'pending' },
+    {
+      $set: { payload, nextAttemptAt: new Date(), updatedAt: new Date() },
+      $inc: { payloadVersion: 1 },
+      $setOnInsert: { user: userId }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log('[XeroSync.enqueue] Queued operation:', {
+    id: queued._id,
+    invoice: invoiceId,
+    operation,
+    payment,
+    creditNote
+  });
+  return queued;
+};
+
+/**
+ * Idempotency key for an operation that is keyed by itself rather than by the invoice.
+ * A pending operation can have its payload replaced by a later edit, and Xero would answer a
+ * reused key with its cached response for the old payload, so each replacement gets a new key.
+ * @param {Object} op - The operation document
+ * @returns {string}
+ */
+const operationKey = (op) => {
+  const key = `${op.operation}-${op._id}`;
+  return op.payloadVersion > 1 ? `${key}-v${op.payloadVersion}` : key;
+};
+
+/**
+ * Picks the mapped Xero tax type for a line's tax rate. Xero recalculates tax from the tax
+ * type, so a line whose rate has no mapping cannot be posted without changing its total.
+ * @param {number} taxRate - The line's tax rate, as a decimal
+ * @param {Array} [taxTypes] - The user's tax type mappings ({ taxRate, taxType })
+ * @returns {string|undefined} - The tax type, or undefined when no tax types are mapped
+ */
+const resolveTaxType = (taxRate, taxTypes) => {
+  if (!taxTypes?.length) return undefined;
+
+  const mapping = taxTypes.find(candidate => Math.abs(candidate.taxRate - taxRate) < 1e-9);
+  if (!mapping) {
+    throw new Error(`No Xero tax type is mapped to the ${Number((taxRate * 100).toFixed(4))}% tax rate. Map one in the Xero settings.`);
+  }
+  return mapping.taxType;
+};
+
+/**
+ * Gives each line the Xero tax type mapped to its rate. Done when the operation runs, so a
+ * missing mapping fails the operation and a retry after mapping it picks the new setting.
+ * @param {string} userId - The invoice owner
+ * @param {Array} lineItems - Lines from the payload, with their taxRate
+ * @returns {Promise<Array>}
+ */
+const withTaxTypes = async (userId, lineItems = []) => {
+  const { taxTypes } = await XeroService.getAccountMappings(userId);
+
+  return lineItems.map(line => {
+    if (line.taxType || line.taxRate === undefined) return line;
+    const taxType = resolveTaxType(line.taxRate, taxTypes);
+    return taxType ? { ...line, taxType } : line;
+  });
+};
+
+/**
+ * Calls Xero for a claimed operation
+ * @param {Object} op - The operation document
+ * @param {Object} invoice - The local invoice
+ * @returns {Promise<Object>} - The Xero result, or { deferUntil } when it must wait for the create
+ */
+const executeOperation = async (op, invoice) => {
+  if (op.operation === 'create_invoice') {
+    // Already pushed (e.g. an earlier attempt succeeded after its response was lost)
+    if (invoice.xeroInvoiceId) {
+      return { invoiceID: invoice.xeroInvoiceId, reference: invoice.xeroReference, status: invoice.xeroStatus };
+    }
+
+    return XeroService.createInvoice(op.user, {
+      ...op.payload,
+      lineItems: await withTaxTypes(op.user, op.payload.lineItems),
+      contactID: await resolveContactId(op.user, op.payload),
+      idempotencyKey: `create_invoice-${invoice._id}`
+    });
+  }
+
+  if (!invoice.xeroInvoiceId) {
+    const pendingCreate = await XeroSyncOperation.findOne({
+      invoice: invoice._id,
+      operation: 'create_invoice',
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (pendingCreate) {
+      return { deferUntil: new Date(pendingCreate.nextAttemptAt.getTime() + 1000) };
+    }
+    throw new Error('Invoice has not been created in Xero yet');
+  }
+
+  if (op.operation === 'update_invoice') {
+    return XeroService.updateInvoice(op.user, {
+      ...op.payload,
+      lineItems: await withTaxTypes(op.user, op.payload.lineItems),
+      contactID: await resolveContactId(op.user, op.payload),
+      invoiceID: invoice.xeroInvoiceId,
+      idempotencyKey: operationKey(op)
+    });
+  }
+
+  if (op.operation === 'void_invoice') {
+    if (invoice.xeroStatus === 'VOIDED') {
+      return { status: invoice.xeroStatus };
+    }
+
+    return XeroService.voidInvoice(op.user, {
+      invoiceID: invoice.xeroInvoiceId,
+      idempotencyKey: `void_invoice-${invoice._id}`
+    });
+  }
+
+  if (op.operation === 'create_credit_note') {
+    const creditNote = await CreditNote.findById(op.creditNote);
+    if (!creditNote) {
+      throw new Error('Credit note no longer exists');
+    }
+
+    // Created once; a retry after a failed allocation reuses the Xero credit note
+    if (!creditNote.xeroCreditNoteId) {
+      const created = await XeroService.createCreditNote(op.user, {
+        ...op.payload,
+        lineItems: await withTaxTypes(op.user, op.payload.lineItems),
+        contactID: await resolveContactId(op.user, op.payload),
+        idempotencyKey: `create_credit_note-${creditNote._id}`
+      });
+      creditNote.xeroCreditNoteId = created.creditNoteID;
+      creditNote.xeroStatus = created.status;
+      await creditNote.save();
+    }
+
+    if (!(op.payload.allocationAmount > 0)) {
+      return { creditNoteID: creditNote.xeroCreditNoteId };
+    }
+
+    return XeroService.allocateCreditNote(op.user, {
+      creditNoteID: creditNote.xeroCreditNoteId,
+      invoiceID: invoice.xeroInvoiceId,
+      amount: op.payload.allocationAmount,
+      date: op.payload.date,
+      idempotencyKey: `allocate_credit_note-${creditNote._id}`
+    });
+  }
+
+  const payment = op.payment ? invoice.payments.id(op.payment) : null;
+
+  if (op.operation === 'mark_invoice_paid') {
+    // Voided before it reached Xero, or Xero already has it in full
+    if (payment?.voided || payment?.xeroPaymentId || invoice.xeroStatus === 'PAID') {
+      return { status: invoice.xeroStatus };
+    }
+
+    return XeroService.markInvoiceAsPaid(op.user, {
+      ...op.payload,
+      invoiceID: invoice.xeroInvoiceId,
+      idempotencyKey: operationKey(op)
+    });
+  }
+
+  if (op.operation === 'void_payment') {
+    if (!payment?.xeroPaymentId) {
+      // The payment may still be on its way to Xero
+      const pendingPayment = await XeroSyncOperation.findOne({
+        invoice: invoice._id,
+        operation: 'mark_invoice_paid',
+        payment: op.payment,
+        status: { $in: ['pending', 'processing'] }
+      });
+
+      if (pendingPayment) {
+        return { deferUntil: new Date(pendingPayment.nextAttemptAt.getTime() + 1000) };
+      }
+      return { status: invoice.xeroStatus };
+    }
+
+    return XeroService.deletePayment(op.user, {
+      paymentID: payment.xeroPaymentId,
+      idempotencyKey: operationKey(op)
+    });
+  }
+
+  throw new Error(`Unknown Xero sync operation: ${op.operation}`);
+};
+
+/**
+ * Copies the Xero result onto the local invoice and clears any previous sync error
+ * @param {Object} op - The completed operation
+ * @param {Object} xeroResult - The result returned by XeroService
+ */
+const applyResultToInvoice = async (op, xeroResult) => {
+  const update = {
+    $unset: { xeroSyncError: 1, xeroSyncErrorDetails: 1 }
+  };
+
+  if (op.operation === 'create_invoice') {
+    update.$set = {
+      xeroInvoiceId: xeroResult.invoiceID,
+      xeroReference: xeroResult.reference,
+      xeroStatus: xeroResult.status
+    };
+  } else if (xeroResult.status) {
+    update.$set = { xeroStatus: xeroResult.status };
+  }
+
+  const options = {};
+  if (op.operation === 'mark_invoice_paid' && op.payment && xeroResult.paymentID) {
+    update.$set = { ...update.$set, 'payments.$[payment].xeroPaymentId': xeroResult.paymentID };
+    options.arrayFilters = [{ 'payment._id': op.payment }];
+  }
+
+  await Invoice.updateOne({ _id: op.invoice }, update, options);
+
+  if (op.creditNote) {
+    await CreditNote.updateOne({ _id: op.creditNote }, { $unset: { xeroSyncError: 1 } });
+  }
+};
+
+/**
+ * Puts a claimed operation back in the queue without counting the attempt
+ * @param {Object} op - The claimed operation document
+ * @param {Date} until - When to try again
+ * @returns {Promise<Object>} - The saved operation
+ */
+const deferOperation = (op, until) => {
+  op.status = 'pending';
+  op.attempts -= 1;
+  op.nextAttemptAt = until;
+  op.lockedAt = undefined;
+  return op.save();
+};
+
+/**
+ * Checks whether an operation was cancelled while it ran, which happens when the user
+ * changes Xero organisation or disconnects; its outcome belongs to the old organisation
+ * @param {Object} op - The operation document
+ * @returns {Promise<boolean>}
+ */
+const wasCancelled = async (op) => (await XeroSyncOperation.countDocuments({ _id: op._id, status: 'cancelled' })) > 0;
+
+/**
+ * Claims and runs one queued operation, then records success, defers it or schedules a retry
+ * @param {Object|string} operation - The operation document or its ID
+ * @returns {Promise<Object|null>} - The operation after processing, or null if another worker claimed it
+ */
+const processOperation = async (operation) => {
+  const op = await XeroSyncOperation.findOneAndUpdate(
+    { _id: operation._id || operation, status: 'pending' },
+    {
+      $set: { status: 'processing', lockedAt: new Date(), updatedAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { new: true }
+  );
+
+  if (!op) return null;
+
+  const invoice = await Invoice.findById(op.invoice);
+  if (!invoice) {
+    op.status = 'failed';
+    op.lastError = 'Invoice no longer exists';
+    op.lockedAt = undefined;
+    return op.save();
+  }
+
+  // A connection waiting to be reconnected would fail every attempt, so wait for it instead
+  if (!(await XeroService.isAuthenticated(op.user))) {
+    op.lastError = 'Xero is not connected. The operation will run once Xero is reconnected.';
+    return deferOperation(op, new Date(Date.now() + RECONNECT_WAIT_MS));
+  }
+
+  try {
+    const xeroResult = await executeOperation(op, invoice);
+    if (await wasCancelled(op)) return op;
+
+    if (xeroResult.deferUntil) {
+      // Waiting on the create does not count as an attempt
+      return deferOperation(op, xeroResult.deferUntil);
+    }
+
+    await applyResultToInvoice(op, xeroResult);
+
+    op.status = 'completed';
+    op.result = xeroResult;
+    op.completedAt = new Date();
+    op.lastError = undefined;
+    op.lastErrorDetails = undefined;
+    op.lockedAt = undefined;
+    console.log('[XeroSync.processOperation] Operation completed:', { id: op._id, operation: op.operation });
+    return op.save();
+  } catch (error) {
+    console.error('[XeroSync.processOperation] Operation failed:', {
+      id: op._id,
+      operation: op.operation,
+      attempts: op.attempts,
+      message: error.message
+    });
+    if (await wasCancelled(op)) return op;
+
+    const details = JSON.stringify({
+      code: error.code,
+      status: error.status,
+      response: error.response?.data
+    });
+
+    await Invoice.updateOne(
+      { _id: op.invoice },
+      { xeroSyncError: error.message || 'Failed to sync with Xero', xeroSyncErrorDetails: details }
+    );
+    if (op.creditNote) {
+      await CreditNote.updateOne({ _id: op.creditNote }, { xeroSyncError: error.message || 'Failed to sync with Xero' });
+    }
+
+    op.lastError = error.message || 'Failed to sync with Xero';
+    op.lastErrorDetails = details;
+    op.lockedAt = undefined;
+
+    if (op.attempts >= op.maxAttempts) {
+      op.status = 'failed';
+    } else {
+      op.status = 'pending';
+      op.nextAttemptAt = new Date(Date.now() + getRetryDelay(op.attempts));
+    }
+    return op.save();
+  }
+};
+
+/**
+ * Queues an operation and makes the first attempt straight away
+ * @param {string} userId - The invoice owner
+ * @param {string} invoiceId - The local invoice ID
+ * @param {string} operation - create_invoice | update_invoice | mark_invoice_paid | void_payment | create_credit_note | void_invoice
+ * @param {Object} payload - Data passed to the matching XeroService call
+ * @param {Object} [refs] - The local payment or credit note the operation is for
+ * @returns {Promise<Object>} - The operation after its first attempt
+ */
+const syncInvoice = async (userId, invoiceId, operation, payload, refs) => {
+  const queued = await enqueue(userId, invoiceId, operation, payload, refs);
+  return (await processOperation(queued)) || queued;
+};
+
+/**
+ * Checks whether an invoice still has an unfinished operation, optionally of a given kind
+ * @param {string} invoiceId - The local invoice ID
+ * @param {string} [operation] - The operation name; any operation when omitted
+ * @returns {Promise<boolean>}
+ */
+const hasPendingOperation = async (invoiceId, operation) => {
+  const count = await XeroSyncOperation.countDocuments({
+    invoice: invoiceId,
+    ...(operation && { operation }),
+    status: { $in: ['pending', 'processing'] }
+  });
+  return count > 0;
+};
+
+/**
+ * Runs every operation whose retry time has come. Operations left "processing" by a
+ * crashed worker are released first.
+ * @returns {Promise<number>} - Number of operations processed
+ */
+const processDueOperations = async () => {
+  await XeroSyncOperation.updateMany(
+    { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'pending', nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+  );
+
+  const due = await XeroSyncOperation.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  }).sort({ nextAttemptAt: 1 }).limit(WORKER_BATCH_SIZE);
+
+  for (const op of due) {
+    await processOperation(op);
+  }
+  return due.length;
+};
+
+/**
+ * Lists operations that ran out of retries for a user
+ * @param {string} userId - The user
+ * @returns {Promise<Array>}
+ */
+const listFailedOperations = async (userId) => {
+  return XeroSyncOperation.find({ user: userId, status: 'failed' })
+    .sort({ updatedAt: -1 })
+    .populate('invoice', 'clientName amount date dueDate status');
+};
+
+/**
+ * Puts a failed operation back in the queue with a fresh retry budget and runs it
+ * @param {string} userId - The user
+ * @param {string} operationId - The failed operation ID
+ * @returns {Promise<Object|null>} - The operation after the attempt, or null if not found
+ */
+const retryOperation = async (userId, operationId) => {
+  const op = await XeroSyncOperation.findOneAndUpdate(
+    { _id: operationId, user: userId, status: 'failed' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!op) return null;
+  return (await processOperation(op)) || op;
+};
+
+/**
+ * Starts the background worker that drains the queue
+ * @param {number} intervalMs - How often to look for due operations
+ */
+const startSyncWorker = (intervalMs = 60 * 1000) => {
+  if (workerTimer) return;
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+      const processed = await processDueOperations();
+      if (processed > 0) console.log(`🔁 [XeroSync] Processed ${processed} queued Xero operation(s)`);
+    } catch (error) {
+      console.error('❌ [XeroSync] Worker error:', error);
+    } finally {
+      workerRunning = false;
+    }
+  }, intervalMs);
+};
+
+const stopSyncWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  enqueue,
+  processOperation,
+  syncInvoice,
+  hasPendingOperation,
+  processDueOperations,
+  listFailedOperations,
+  retryOperation,
+  startSyncWorker,
+  stopSyncWorker
+};
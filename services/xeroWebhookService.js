@@ -0,0 +1,91 @@
+// services/xeroWebhookService.js
+// Verifies Xero webhook deliveries and applies invoice/contact events to local invoices
+const crypto = require('crypto');
+const Invoice = require('../models/Invoice');
+const XeroConnection = require('../models/XeroConnection');
+const XeroService = require('./actionHandlers/xeroService');
+const { hasPendingOperation } = require('./xeroSyncService');
+const { applyXeroInvoice, parseXeroDate } = require('./xeroReconciliationService');
+
+/**
+ * Checks the x-xero-signature header: a base64 HMAC-SHA256 of the raw body keyed with
+ * the webhook key. Xero's intent-to-receive handshake is answered by this check alone.
+ * @param {Buffer} rawBody - The unparsed request body
+ * @param {string} signature - The x-xero-signature header
+ * @returns {boolean}
+ */
+const verifySignature = (rawBody, signature) => {
+  const webhookKey = process.env.XERO_WEBHOOK_KEY;
+  if (!webhookKey || !rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', webhookKey).update(rawBody).digest('base64');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Refreshes the local copy of one Xero invoice for a user
+ * @param {string} userId - The user connected to the event's tenant
+ * @param {Object} xeroInvoice - The invoice as Xero now has it
+ */
+const applyInvoiceForUser = async (userId, xeroInvoice) => {
+  const invoice = await Invoice.findOne({ user: userId, xeroInvoiceId: xeroInvoice.invoiceID });
+  if (!invoice) {
+    console.log('[XeroWebhook] No local invoice for Xero invoice:', xeroInvoice.invoiceID);
+    return;
+  }
+
+  // Local changes still waiting to reach Xero win over what Xero currently says
+  if (await hasPendingOperation(invoice._id)) return;
+
+  await applyXeroInvoice(invoice, xeroInvoice, { paidDate: parseXeroDate(xeroInvoice.fullyPaidOnDate) });
+};
+
+/**
+ * Handles one webhook event for every user whose active tenant sent it
+ * @param {Object} event - The Xero event
+ */
+const processEvent = async (event) => {
+  const connections = await XeroConnection.find({ tenantId: event.tenantId, needsReconnect: { $ne: true } });
+
+  for (const connection of connections) {
+    const userId = connection.user;
+
+    if (event.eventCategory === 'INVOICE') {
+      const xeroInvoice = await XeroService.getInvoice(userId, event.resourceId);
+      if (xeroInvoice) await applyInvoiceForUser(userId, xeroInvoice);
+    } else if (event.eventCategory === 'CONTACT') {
+      const xeroInvoices = await XeroService.getInvoices(userId, { contactIDs: [event.resourceId] });
+      for (const xeroInvoice of xeroInvoices) {
+        await applyInvoiceForUser(userId, xeroInvoice);
+      }
+    }
+  }
+};
+
+/**
+ * Processes a verified webhook payload. Each event is handled on its own so one bad
+ * event does not stop the rest.
+ * @param {Array} events - The payload's events
+ */
+const processEvents = async (events = []) => {
+  for (const event of events) {
+    try {
+      await processEvent(event);
+    } catch (error) {
+      console.error('❌ [XeroWebhook] Failed to process event:', {
+        eventCategory: event.eventCategory,
+        resourceId: event.resourceId,
+        message: error.message
+      });
+    }
+  }
+};
+
+module.exports = {
+  verifySignature,
+  processEvents
+};
@@ -0,0 +1,343 @@
+const crypto = require('crypto');
+const { AccountingApi } = require('xero-node');
+
+/**
+ * In-memory stand-in for xero-node's AccountingApi, for tests only.
+ * It mirrors the response shape ({ body: { invoices | payments | contacts } }) of the calls the
+ * app makes, honours idempotency keys and can be told to fail so the sync queue's
+ * retry behaviour can be exercised without a network.
+ */
+class FakeXeroAccountingApi {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Clears all stored data and pending failures
+   */
+  reset() {
+    this.invoices = new Map();
+    this.contacts = new Map();
+    this.payments = [];
+    this.creditNotes = new Map();
+    this.idempotentResponses = new Map();
+    this.pendingFailures = [];
+    this.lostResponses = 0;
+    this.calls = [];
+    this.invoiceCounter = 0;
+  }
+
+  /**
+   * Routes every AccountingApi call made during the test to this fake
+   * @param {Object} t - The node:test context, whose mocks are restored after the test
+   */
+  install(t) {
+    Object.getOwnPropertyNames(FakeXeroAccountingApi.prototype)
+      .filter(name => typeof AccountingApi.prototype[name] === 'function')
+      .forEach(name => {
+        t.mock.method(AccountingApi.prototype, name, (...args) => {
+          this.calls.push({ method: name, args });
+          return this[name](...args);
+        });
+      });
+  }
+
+  /**
+   * Makes the next calls fail with the given HTTP status
+   * @param {number} count - Number of calls that should fail
+   * @param {number} status - HTTP status to report
+   */
+  failNext(count = 1, status = 503) {
+    for (let i = 0; i < count; i++) {
+      this.pendingFailures.push(status);
+    }
+  }
+
+  /**
+   * Makes the next calls succeed in Xero but fail before the caller sees the response,
+   * as a timeout would
+   * @param {number} count - Number of responses to lose
+   */
+  loseNextResponse(count = 1) {
+    this.lostResponses += count;
+  }
+
+  throwIfFailing() {
+    const status = this.pendingFailures.shift();
+    if (status) {
+      const error = new Error(`Simulated Xero failure (${status})`);
+      error.response = { status, data: { Message: 'Simulated Xero failure' } };
+      throw error;
+    }
+  }
+
+  remember(idempotencyKey, build) {
+    if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+      return this.idempotentResponses.get(idempotencyKey);
+    }
+    const response = build();
+    if (idempotencyKey) this.idempotentResponses.set(idempotencyKey, response);
+    if (this.lostResponses > 0) {
+      this.lostResponses -= 1;
+      const error = new Error('Simulated Xero timeout');
+      error.code = 'ETIMEDOUT';
+      throw error;
+    }
+    return response;
+  }
+
+  buildInvoice(data, existing = {}) {
+    const lineItems = data.lineItems || existing.lineItems || [];
+    const lineAmountTypes = data.lineAmountTypes || existing.lineAmountTypes || 'Exclusive';
+    const lineTotal = lineItems.reduce(
+      (sum, item) => sum + (item.lineAmount || (item.quantity || 1) * (item.unitAmount || 0)),
+      0
+    );
+    const totalTax = lineItems.reduce((sum, item) => sum + (item.taxAmount || 0), 0);
+    const subTotal = lineAmountTypes === 'Inclusive' ? lineTotal - totalTax : lineTotal;
+    const total = subTotal + totalTax;
+    const amountPaid = existing.amountPaid || 0;
+
+    const contact = data.contact ? this.contacts.get(data.contact.contactID) || data.contact : existing.contact;
+
+    return {
+      ...existing,
+      ...data,
+      contact,
+      lineItems,
+      lineAmountTypes,
+      subTotal,
+      totalTax,
+      total,
+      amountPaid,
+      amountDue: Math.max(total - amountPaid - (existing.amountCredited || 0), 0),
+      updatedDateUTC: new Date().toISOString()
+    };
+  }
+
+  async createInvoices(tenantId, { invoices }, summarizeErrors, unitdp, idempotencyKey) {
+    this.throwIfFailing();
+
+    return this.remember(idempotencyKey, () => {
+      const created = invoices.map(data => {
+        this.invoiceCounter += 1;
+        const invoice = this.buildInvoice({
+          ...data,
+          invoiceID: crypto.randomUUID(),
+          invoiceNumber: `INV-${String(this.invoiceCounter).padStart(4, '0')}`
+        });
+        this.invoices.set(invoice.invoiceID, invoice);
+        return invoice;
+      });
+      return { body: { invoices: created } };
+    });
+  }
+
+  async updateInvoice(tenantId, invoiceID, { invoices }, unitdp, idempotencyKey) {
+    this.throwIfFailing();
+
+    return this.remember(idempotencyKey, () => {
+      const existing = this.invoices.get(invoiceID);
+      if (!existing) {
+        const error = new Error('Invoice not found');
+        error.response = { status: 404 };
+        throw error;
+      }
+      if (invoices[0].status === 'VOIDED' && (existing.amountPaid > 0 || existing.amountCredited > 0)) {
+        const error = new Error('Invoice has payments or credits allocated');
+        error.response = { status: 400, data: { Message: 'Invoice has payments or credits allocated' } };
+        throw error;
+      }
+      const invoice = this.buildInvoice(invoices[0], existing);
+      this.invoices.set(invoiceID, invoice);
+      return { body: { invoices: [invoice] } };
+    });
+  }
+
+  async createPayments(tenantId, { payments }, summarizeErrors, idempotencyKey) {
+    this.throwIfFailing();
+
+    return this.remember(idempotencyKey, () => {
+      const created = payments.map(data => {
+        const invoice = this.invoices.get(data.invoice.invoiceID);
+        if (!invoice) {
+          const error = new Error('Invoice not found');
+          error.response = { status: 404 };
+          throw error;
+        }
+        invoice.amountPaid += data.amount;
+        invoice.amountDue = Math.max(invoice.total - invoice.amountPaid - (invoice.amountCredited || 0), 0);
+        invoice.updatedDateUTC = new Date().toISOString();
+        if (invoice.amountDue === 0) {
+          invoice.status = 'PAID';
+          invoice.fullyPaidOnDate = data.date;
+        }
+
+        const payment = { ...data, paymentID: crypto.randomUUID(), status: 'AUTHORISED' };
+        this.payments.push(payment);
+        invoice.payments = [...(invoice.payments || []), { paymentID: payment.paymentID, amount: data.amount, date: data.date }];
+        return { ...payment, invoice: { invoiceID: invoice.invoiceID, status: invoice.status } };
+      });
+      return { body: { payments: created } };
+    });
+  }
+
+  async deletePayment(tenantId, paymentID, paymentDelete, idempotencyKey) {
+    this.throwIfFailing();
+
+    return this.remember(idempotencyKey, () => {
+      const payment = this.payments.find(p => p.paymentID === paymentID && p.status !== 'DELETED');
+      if (!payment) {
+        const error = new Error('Payment not found');
+        error.response = { status: 404 };
+        throw error;
+      }
+
+      payment.status = 'DELETED';
+      const invoice = this.invoices.get(payment.invoice.invoiceID);
+      invoice.amountPaid -= payment.amount;
+      invoice.amountDue = Math.max(invoice.total - invoice.amountPaid - (invoice.amountCredited || 0), 0);
+      invoice.payments = (invoice.payments || []).filter(p => p.paymentID !== paymentID);
+      invoice.updatedDateUTC = new Date().toISOString();
+      if (invoice.status === 'PAID') {
+        invoice.status = 'AUTHORISED';
+        delete invoice.fullyPaidOnDate;
+      }
+
+      return { body: { payments: [{ ...payment, invoice: { invoiceID: invoice.invoiceID, status: invoice.status } }] } };
+    });
+  }
+
+  async createCreditNotes(tenantId, { creditNotes }, summarizeErrors, unitdp, idempotencyKey) {
+    this.throwIfFailing();
+
+    return this.remember(idempotencyKey, () => {
+      const created = creditNotes.map(data => {
+        const total = (data.lineItems || []).reduce(
+          (sum, item) => sum + (item.lineAmount || (item.quantity || 1) * (item.unitAmount || 0)),
+          0
+        );
+        const creditNote = {
+          ...data,
+          contact: this.contacts.get(data.contact?.contactID) || data.contact,
+          creditNoteID: crypto.randomUUID(),
+          creditNoteNumber: data.creditNoteNumber || `CN-${String(this.creditNotes.size + 1).padStart(4, '0')}`,
+          total,
+          remainingCredit: total,
+          allocations: [],
+          updatedDateUTC: new Date().toISOString()
+        };
+        this.creditNotes.set(creditNote.creditNoteID, creditNote);
+        return creditNote;
+      });
+      return { body: { creditNotes: created } };
+    });
+  }
+
+  async createCreditNoteAllocation(tenantId, creditNoteID, { allocations }, summarizeErrors, idempotencyKey) {
+    this.throwIfFailing();
+
+    return this.remember(idempotencyKey, () => {
+      const creditNote = this.creditNotes.get(creditNoteID);
+      if (!creditNote) {
+        const error = new Error('Credit note not found');
+        error.response = { status: 404 };
+        throw error;
+      }
+
+      const created = allocations.map(data => {
+        const invoice = this.invoices.get(data.invoice.invoiceID);
+        if (!invoice || data.amount > creditNote.remainingCredit || data.amount > invoice.amountDue) {
+          const error = new Error('Allocation amount exceeds the remaining credit or amount due');
+          error.response = { status: 400 };
+          throw error;
+        }
+
+        creditNote.remainingCredit -= data.amount;
+        invoice.amountCredited = (invoice.amountCredited || 0) + data.amount;
+        invoice.amountDue = Math.max(invoice.total - invoice.amountPaid - invoice.amountCredited, 0);
+        invoice.updatedDateUTC = new Date().toISOString();
+        if (invoice.amountDue === 0) invoice.status = 'PAID';
+
+        const allocation = { ...data, allocationID: crypto.randomUUID(), invoice: { invoiceID: invoice.invoiceID, status: invoice.status } };
+        creditNote.allocations.push(allocation);
+        return allocation;
+      });
+      return { body: { allocations: created } };
+    });
+  }
+
+  async getInvoice(tenantId, invoiceID) {
+    this.throwIfFailing();
+    const invoice = this.invoices.get(invoiceID);
+    return { body: { invoices: invoice ? [invoice] : [] } };
+  }
+
+  async getInvoices(tenantId, ifModifiedSince, where, order, ids, invoiceNumbers, contactIDs, statuses, page = 1) {
+    this.throwIfFailing();
+    const invoices = Array.from(this.invoices.values())
+      .filter(invoice => !ifModifiedSince || new Date(invoice.updatedDateUTC) > ifModifiedSince)
+      .filter(invoice => !contactIDs || contactIDs.includes(invoice.contact?.contactID));
+    return { body: { invoices: invoices.slice((page - 1) * 100, page * 100) } };
+  }
+
+  async createContacts(tenantId, { contacts }, summarizeErrors, idempotencyKey) {
+    this.throwIfFailing();
+
+    return this.remember(idempotencyKey, () => {
+      const created = contacts.map(data => {
+        const contact = {
+          ...data,
+          contactID: crypto.randomUUID(),
+          contactStatus: 'ACTIVE',
+          updatedDateUTC: new Date().toISOString()
+        };
+        this.contacts.set(contact.contactID, contact);
+        return contact;
+      });
+      return { body: { contacts: created } };
+    });
+  }
+
+  async getContacts(tenantId, ifModifiedSince, where, order, iDs, page = 1) {
+    this.throwIfFailing();
+    // Only the exact-name filter the app sends is understood
+    const nameFilter = /^Name=="(.*)"$/.exec(where || '');
+    const contacts = Array.from(this.contacts.values())
+      .filter(contact => !ifModifiedSince || new Date(contact.updatedDateUTC) > ifModifiedSince)
+      .filter(contact => !nameFilter || contact.name === nameFilter[1].replace(/\\(.)/g, '$1'));
+    return { body: { contacts: contacts.slice((page - 1) * 100, page * 100) } };
+  }
+
+  async getAccounts() {
+    this.throwIfFailing();
+    return {
+      body: {
+        accounts: [
+          { code: '200', name: 'Sales', type: 'REVENUE', _class: 'REVENUE', taxType: 'OUTPUT' },
+          { code: '260', name: 'Other Revenue', type: 'REVENUE', _class: 'REVENUE', taxType: 'OUTPUT' },
+          { code: '090', name: 'Business Bank Account', type: 'BANK', _class: 'ASSET', taxType: 'NONE' }
+        ]
+      }
+    };
+  }
+
+  async getTaxRates() {
+    this.throwIfFailing();
+    return {
+      body: {
+        taxRates: [
+          { name: 'Tax on Sales', taxType: 'OUTPUT', effectiveRate: 15, canApplyToRevenue: true, status: 'ACTIVE' },
+          { name: 'Tax Exempt', taxType: 'NONE', effectiveRate: 0, canApplyToRevenue: true, status: 'ACTIVE' }
+        ]
+      }
+    };
+  }
+
+  async getPayments(tenantId, ifModifiedSince, where, order, page = 1) {
+    this.throwIfFailing();
+    return { body: { payments: this.payments.slice((page - 1) * 100, page * 100) } };
+  }
+}
+
+module.exports = FakeXeroAccountingApi;
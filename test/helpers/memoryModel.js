@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+/**
+ * Compares a stored value with a filter value, treating ObjectIds and dates by value
+ * @param {*} actual - The stored value
+ * @param {*} expected - The filter value
+ * @returns {boolean}
+ */
+const sameValue = (actual, expected) => {
+  if (expected === null || expected === undefined) return actual === null || actual === undefined;
+  if (actual === null || actual === undefined) return false;
+  if (expected instanceof Date) return new Date(actual).getTime() === expected.getTime();
+  return String(actual) === String(expected);
+};
+
+/**
+ * Checks a stored document against the subset of MongoDB filters the services use
+ * @param {Object} doc - The stored document
+ * @param {Object} filter - Equality, $in, $nin, $ne, $exists, $lt and $lte conditions
+ * @returns {boolean}
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([path, condition]) => {
+  const actual = doc[path];
+  const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !(condition instanceof mongoose.Types.ObjectId) && Object.keys(condition).every(key => key.startsWith('$'));
+  if (!isOperator) return sameValue(actual, condition);
+
+  return Object.entries(condition).every(([operator, value]) => {
+    if (operator === '$in') return value.some(candidate => sameValue(actual, candidate));
+    if (operator === '$nin') return !value.some(candidate => sameValue(actual, candidate));
+    if (operator === '$ne') return !sameValue(actual, value);
+    if (operator === '$exists') return (actual !== undefined) === Boolean(value);
+    if (operator === '$lt') return actual !== undefined && new Date(actual) < new Date(value);
+    if (operator === '$lte') return actual !== undefined && new Date(actual) <= new Date(value);
+    throw new Error(`Unsupported filter operator in test store: ${operator}`);
+  });
+});
+
+/**
+ * Applies $set, $unset, $inc, $setOnInsert and plain field updates to a stored document
+ * @param {Object} doc - The stored document, changed in place
+ * @param {Object} update - The update
+ * @param {boolean} inserting - Whether the update creates the document
+ */
+const applyUpdate = (doc, update, inserting) => {
+  Object.entries(update).forEach(([key, value]) => {
+    if (key === '$set' || (key === '$setOnInsert' && inserting)) Object.assign(doc, value);
+    else if (key === '$unset') Object.keys(value).forEach(path => { delete doc[path]; });
+    else if (key === '$inc') Object.entries(value).forEach(([path, by]) => { doc[path] = (doc[path] || 0) + by; });
+    else if (!key.startsWith('$')) doc[key] = value;
+  });
+};
+
+/**
+ * Replaces a mongoose model's queries with an in-memory store for the length of a test.
+ * Only the calls the Xero services make are supported.
+ * @param {Object} t - The node:test context, whose mocks are restored after the test
+ * @param {Object} Model - The mongoose model
+ * @param {Array<Object>} [seed] - Documents to start with
+ * @returns {Map} - The stored documents, as plain objects keyed by ID
+ */
+const useMemoryModel = (t, Model, seed = []) => {
+  const store = new Map();
+  const put = (doc) => {
+    const plain = new Model(doc).toObject({ depopulate: true });
+    store.set(String(plain._id), plain);
+    return plain;
+  };
+  seed.forEach(put);
+
+  const toDocument = (plain) => (plain ? Model.hydrate({ ...plain }) : null);
+  const findAll = (filter) => [...store.values()].filter(doc => matches(doc, filter));
+  // Thenable like a mongoose query, with the chain methods the services use
+  const query = (run) => {
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      limit: () => chain,
+      populate: () => chain,
+      then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  t.mock.method(Model, 'findById', (id) => query(() => toDocument(store.get(String(id)))));
+  t.mock.method(Model, 'findOne', (filter) => query(() => toDocument(findAll(filter)[0])));
+  t.mock.method(Model, 'find', (filter) => query(() => findAll(filter).map(toDocument)));
+  t.mock.method(Model, 'countDocuments', async (filter) => findAll(filter).length);
+  t.mock.method(Model, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let doc = findAll(filter)[0];
+    const inserting = !doc;
+    if (inserting) {
+      if (!options.upsert) return null;
+      doc = Object.fromEntries(Object.entries(filter).filter(([, value]) =>
+        !(value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) && !(value instanceof Date))));
+    }
+    const before = { ...doc };
+    applyUpdate(doc, update, inserting);
+    const saved = inserting ? put(doc) : doc;
+    return toDocument(options.new ? saved : before);
+  });
+  t.mock.method(Model, 'updateOne', async (filter, update) => {
+    const doc = findAll(filter)[0];
+    if (doc) applyUpdate(doc, update, false);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  t.mock.method(Model, 'updateMany', async (filter, update) => {
+    const docs = findAll(filter);
+    docs.forEach(doc => applyUpdate(doc, update, false));
+    return { modifiedCount: docs.length };
+  });
+  t.mock.method(Model, 'create', async (doc) => {
+    const created = new Model(doc);
+    await created.save();
+    return created;
+  });
+  t.mock.method(Model.prototype, 'save', async function () {
+    await this.validate();
+    put(this.toObject({ depopulate: true }));
+    this.$isNew = false;
+    return this;
+  });
+
+  return store;
+};
+
+module.exports = { useMemoryModel };
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Client = require('../models/Client');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const { buildImportedInvoice, applyXeroInvoice } = require('../services/xeroReconciliationService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const userId = new mongoose.Types.ObjectId();
+
+/**
+ * Keeps the models an invoice save touches in memory for the length of a test
+ * @param {Object} t - The node:test context
+ * @param {Array<Object>} [creditNotes] - Credit notes to start with
+ */
+const setup = (t, creditNotes = []) => {
+  t.mock.method(Client, 'findOrCreateByName', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  useMemoryModel(t, User, [{ _id: userId, name: 'Owner', email: 'owner@example.com' }]);
+  useMemoryModel(t, Counter);
+  useMemoryModel(t, Invoice);
+  useMemoryModel(t, CreditNote, creditNotes);
+};
+
+/**
+ * A Xero invoice as the invoices feed returns it, without payment details
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+const xeroInvoice = (overrides = {}) => ({
+  invoiceID: 'xero-invoice-1',
+  contact: { name: 'Acme Ltd' },
+  date: '2026-01-01',
+  dueDate: '2026-01-31',
+  status: 'AUTHORISED',
+  lineAmountTypes: 'Exclusive',
+  lineItems: [{ description: 'Consulting', quantity: 1, unitAmount: 200, lineAmount: 200, taxAmount: 0 }],
+  total: 200,
+  amountPaid: 0,
+  amountCredited: 0,
+  ...overrides
+});
+
+test('an imported invoice keeps the amounts Xero reports as paid and credited', async (t) => {
+  setup(t);
+  const invoice = new Invoice(buildImportedInvoice(userId, xeroInvoice({ amountPaid: 120, amountCredited: 30 })));
+  await invoice.validate();
+
+  assert.strictEqual(invoice.amountPaid, 120);
+  assert.strictEqual(invoice.amountCredited, 30);
+  assert.strictEqual(invoice.balanceDue, 50);
+  assert.strictEqual(invoice.payments.length, 1);
+  assert.strictEqual(invoice.payments[0].source, 'xero');
+});
+
+test('a paid total from Xero is replaced by the payments once Xero lists them', async (t) => {
+  setup(t);
+  const { _id } = await Invoice.create(buildImportedInvoice(userId, xeroInvoice()));
+
+  let invoice = await Invoice.findById(_id);
+  assert.strictEqual(await applyXeroInvoice(invoice, xeroInvoice({ amountPaid: 80 })), true);
+  assert.strictEqual(invoice.amountPaid, 80);
+
+  const payments = [{ paymentID: 'payment-1', amount: 80, date: '2026-01-10' }];
+  invoice = await Invoice.findById(_id);
+  await applyXeroInvoice(invoice, xeroInvoice({ amountPaid: 80, payments }));
+  assert.strictEqual(invoice.amountPaid, 80);
+  assert.deepStrictEqual(invoice.activePayments.map(payment => payment.xeroPaymentId), ['payment-1']);
+
+  invoice = await Invoice.findById(_id);
+  assert.strictEqual(await applyXeroInvoice(invoice, xeroInvoice({ amountPaid: 80, payments })), false);
+});
+
+test('credit notes not yet in Xero stay applied when Xero reports its credited amount', async (t) => {
+  const invoiceId = new mongoose.Types.ObjectId();
+  setup(t, [
+    { invoice: invoiceId, clientName: 'Acme Ltd', amount: 20, amountApplied: 20, reason: 'Discount', user: userId },
+    { invoice: invoiceId, clientName: 'Acme Ltd', amount: 50, amountApplied: 50, reason: 'Refund', user: userId, xeroCreditNoteId: 'xero-credit-1' }
+  ]);
+  await Invoice.create({ _id: invoiceId, ...buildImportedInvoice(userId, xeroInvoice()) });
+
+  const invoice = await Invoice.findById(invoiceId);
+  await applyXeroInvoice(invoice, xeroInvoice({ amountCredited: 50 }));
+  assert.strictEqual(invoice.amountCredited, 70);
+});
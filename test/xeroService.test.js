@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { AccountingApi } = require('xero-node');
+const Client = require('../models/Client');
+const CreditNote = require('../models/CreditNote');
+const Invoice = require('../models/Invoice');
+const XeroConnection = require('../models/XeroConnection');
+const XeroSyncOperation = require('../models/XeroSyncOperation');
+const XeroService = require('../services/actionHandlers/xeroService');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+/**
+ * Reads the parameter names of a compiled xero-node method
+ * @param {Function} method The AccountingApi method
+ * @returns {Array<string>} Parameter names in call order
+ */
+const parameterNames = (method) => method.toString()
+  .match(/^[^(]*\(([^)]*)\)/)[1]
+  .split(',')
+  .map(param => param.split('=')[0].trim());
+
+test('getInvoices passes contactIDs and page in the positions xero-node expects', async (t) => {
+  const connection = {
+    user: 'user-1',
+    tenantId: 'tenant-1',
+    tokenSet: { access_token: 'token', refresh_token: 'refresh', expires_at: Math.floor(Date.now() / 1000) + 3600 }
+  };
+  t.mock.method(XeroConnection, 'findOne', () => ({ select: async () => connection }));
+
+  const params = parameterNames(AccountingApi.prototype.getInvoices);
+  const calls = [];
+  t.mock.method(AccountingApi.prototype, 'getInvoices', async (...args) => {
+    calls.push(args);
+    const page = args[params.indexOf('page')];
+    // A full first page forces a second request, so a missing page argument would loop forever
+    const invoices = page === 1 ? Array.from({ length: 100 }, (_, i) => ({ invoiceID: `inv-${i}` })) : [];
+    return { body: { invoices } };
+  });
+
+  const modifiedSince = new Date('2024-01-01T00:00:00Z');
+  const invoices = await XeroService.getInvoices('user-1', { modifiedSince, contactIDs: ['contact-1'] });
+
+  assert.strictEqual(invoices.length, 100);
+  assert.strictEqual(calls.length, 2);
+  calls.forEach((args, index) => {
+    assert.strictEqual(args[params.indexOf('xeroTenantId')], 'tenant-1');
+    assert.strictEqual(args[params.indexOf('ifModifiedSince')], modifiedSince);
+    assert.strictEqual(args[params.indexOf('where')], 'Type=="ACCREC"');
+    assert.deepStrictEqual(args[params.indexOf('contactIDs')], ['contact-1']);
+    assert.strictEqual(args[params.indexOf('statuses')], undefined);
+    assert.strictEqual(args[params.indexOf('page')], index + 1);
+    assert.strictEqual(args[params.indexOf('includeArchived')], undefined);
+  });
+});
+
+test('selecting another organisation unlinks Xero records and cancels queued operations', async (t) => {
+  ['log', 'warn', 'error'].forEach(level => t.mock.method(console, level, () => {}));
+  const userId = new mongoose.Types.ObjectId();
+  const invoiceId = new mongoose.Types.ObjectId();
+
+  useMemoryModel(t, XeroConnection, [{
+    user: userId,
+    tenantId: 'tenant-1',
+    tenants: [
+      { tenantId: 'tenant-1', tenantName: 'Acme Books', tenantType: 'ORGANISATION' },
+      { tenantId: 'tenant-2', tenantName: 'Acme Holdings', tenantType: 'ORGANISATION' }
+    ],
+    tokenSet: { access_token: 'token', refresh_token: 'refresh', expires_at: Math.floor(Date.now() / 1000) + 3600 }
+  }]);
+  const clients = useMemoryModel(t, Client, [{ user: userId, name: 'Acme Ltd', xeroContactId: 'contact-1' }]);
+  const invoices = useMemoryModel(t, Invoice, [{
+    _id: invoiceId,
+    user: userId,
+    clientName: 'Acme Ltd',
+    amount: 100,
+    date: new Date('2026-01-01'),
+    dueDate: new Date('2026-01-31'),
+    status: 'Pending',
+    xeroInvoiceId: 'xero-invoice-1',
+    xeroStatus: 'AUTHORISED'
+  }]);
+  const creditNotes = useMemoryModel(t, CreditNote, [{
+    invoice: invoiceId,
+    user: userId,
+    clientName: 'Acme Ltd',
+    amount: 10,
+    reason: 'Discount',
+    xeroCreditNoteId: 'xero-credit-1'
+  }]);
+  const operations = useMemoryModel(t, XeroSyncOperation, [
+    { user: userId, invoice: invoiceId, operation: 'update_invoice', status: 'pending' },
+    { user: userId, invoice: invoiceId, operation: 'create_invoice', status: 'completed' }
+  ]);
+
+  await XeroService.selectTenant(userId, 'tenant-2');
+
+  const [client] = clients.values();
+  const [invoice] = invoices.values();
+  const [creditNote] = creditNotes.values();
+  assert.strictEqual(client.xeroContactId, undefined);
+  assert.strictEqual(invoice.xeroInvoiceId, undefined);
+  assert.strictEqual(invoice.xeroStatus, undefined);
+  assert.strictEqual(creditNote.xeroCreditNoteId, undefined);
+  assert.deepStrictEqual([...operations.values()].map(op => op.status), ['cancelled', 'completed']);
+});
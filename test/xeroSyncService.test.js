@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Client = require('../models/Client');
+const XeroConnection = require('../models/XeroConnection');
+const XeroSyncOperation = require('../models/XeroSyncOperation');
+const XeroSyncService = require('../services/xeroSyncService');
+const FakeXeroAccountingApi = require('./fakes/fakeXeroAccountingApi');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Routes Xero calls to a fresh fake and keeps the queue's models in memory
+ * @param {Object} t - The node:test context
+ * @param {Object} [options]
+ * @param {Object} [options.connection] - Overrides for the user's Xero connection
+ * @returns {Object} - The fake, the stores and the seeded invoice
+ */
+const setup = (t, { connection = {} } = {}) => {
+  // The services log every call; keep the test output readable
+  ['log', 'warn', 'error'].forEach(level => t.mock.method(console, level, () => {}));
+
+  const fake = new FakeXeroAccountingApi();
+  fake.install(t);
+
+  const userId = new mongoose.Types.ObjectId();
+  const invoice = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    clientName: 'Acme Ltd',
+    invoiceNumber: 'INV-0001',
+    amount: 100,
+    date: new Date('2026-01-01'),
+    dueDate: new Date('2026-01-31'),
+    status: 'Pending'
+  };
+
+  const invoices = useMemoryModel(t, Invoice, [invoice]);
+  const operations = useMemoryModel(t, XeroSyncOperation);
+  useMemoryModel(t, CreditNote);
+  useMemoryModel(t, XeroConnection, [{
+    user: userId,
+    tenantId: 'tenant-1',
+    tenants: [{ tenantId: 'tenant-1', tenantName: 'Acme Books', tenantType: 'ORGANISATION' }],
+    tokenSet: { access_token: 'token', refresh_token: 'refresh', expires_at: Math.floor(Date.now() / 1000) + 3600 },
+    needsReconnect: false,
+    ...connection
+  }]);
+  t.mock.method(Client, 'findOrCreateByName', async () => ({ xeroContactId: 'contact-1' }));
+
+  return { fake, invoices, operations, userId, invoice };
+};
+
+/**
+ * The payload the Xero provider queues for a new invoice
+ * @param {Object} invoice - The local invoice
+ * @returns {Object}
+ */
+const createPayload = (invoice) => ({
+  contactName: invoice.clientName,
+  lineItems: [{ description: 'Consulting', quantity: 1, unitAmount: 100, accountCode: '200', taxRate: 0, lineAmount: 100 }],
+  lineAmountTypes: 'Exclusive',
+  date: invoice.date.toISOString(),
+  dueDate: invoice.dueDate.toISOString(),
+  reference: invoice.invoiceNumber,
+  status: 'AUTHORISED'
+});
+
+const delayOf = (op) => op.nextAttemptAt.getTime() - Date.now();
+
+test('failed operations are retried with exponential backoff until they succeed', async (t) => {
+  const { fake, invoices, userId, invoice } = setup(t);
+  fake.failNext(2);
+
+  let op = await XeroSyncService.syncInvoice(userId, invoice._id, 'create_invoice', createPayload(invoice));
+  assert.strictEqual(op.status, 'pending');
+  assert.strictEqual(op.attempts, 1);
+  assert.match(op.lastError, /Simulated Xero failure/);
+  assert.ok(Math.abs(delayOf(op) - MINUTE) < 5000);
+  assert.match(invoices.get(String(invoice._id)).xeroSyncError, /Simulated Xero failure/);
+
+  op = await XeroSyncService.processOperation(op);
+  assert.strictEqual(op.status, 'pending');
+  assert.strictEqual(op.attempts, 2);
+  assert.ok(Math.abs(delayOf(op) - 2 * MINUTE) < 5000);
+
+  op = await XeroSyncService.processOperation(op);
+  assert.strictEqual(op.status, 'completed');
+  assert.strictEqual(fake.invoices.size, 1);
+
+  const [xeroInvoice] = fake.invoices.values();
+  const stored = invoices.get(String(invoice._id));
+  assert.strictEqual(stored.xeroInvoiceId, xeroInvoice.invoiceID);
+  assert.strictEqual(stored.xeroSyncError, undefined);
+});
+
+test('operations that run out of attempts are failed and can be retried by hand', async (t) => {
+  const { fake, userId, invoice } = setup(t);
+  fake.failNext(1);
+
+  const queued = await XeroSyncService.enqueue(userId, invoice._id, 'create_invoice', createPayload(invoice));
+  await XeroSyncOperation.updateOne({ _id: queued._id }, { $set: { maxAttempts: 1 } });
+
+  const failed = await XeroSyncService.processOperation(queued);
+  assert.strictEqual(failed.status, 'failed');
+  assert.deepStrictEqual((await XeroSyncService.listFailedOperations(userId)).map(op => String(op._id)), [String(queued._id)]);
+
+  const retried = await XeroSyncService.retryOperation(userId, queued._id);
+  assert.strictEqual(retried.status, 'completed');
+  assert.strictEqual(retried.attempts, 1);
+});
+
+test('operations wait without spending attempts while Xero needs reconnecting', async (t) => {
+  const { fake, userId, invoice } = setup(t, { connection: { needsReconnect: true } });
+
+  const op = await XeroSyncService.syncInvoice(userId, invoice._id, 'create_invoice', createPayload(invoice));
+  assert.strictEqual(op.status, 'pending');
+  assert.strictEqual(op.attempts, 0);
+  assert.match(op.lastError, /not connected/);
+  assert.ok(delayOf(op) > 59 * MINUTE);
+  assert.strictEqual(fake.calls.length, 0);
+});
+
+test('operations on an invoice not yet in Xero wait for its create', async (t) => {
+  const { fake, userId, invoice } = setup(t);
+  fake.failNext(1);
+
+  const create = await XeroSyncService.syncInvoice(userId, invoice._id, 'create_invoice', createPayload(invoice));
+  assert.strictEqual(create.status, 'pending');
+
+  const update = await XeroSyncService.syncInvoice(userId, invoice._id, 'update_invoice', createPayload(invoice));
+  assert.strictEqual(update.status, 'pending');
+  assert.strictEqual(update.attempts, 0);
+  assert.ok(update.nextAttemptAt > create.nextAttemptAt);
+});
+
+test('a create retried after a lost response reuses its idempotency key', async (t) => {
+  const { fake, invoices, userId, invoice } = setup(t);
+  fake.loseNextResponse();
+
+  let op = await XeroSyncService.syncInvoice(userId, invoice._id, 'create_invoice', createPayload(invoice));
+  assert.strictEqual(op.status, 'pending');
+  assert.match(op.lastError, /timeout/);
+
+  op = await XeroSyncService.processOperation(op);
+  assert.strictEqual(op.status, 'completed');
+
+  const creates = fake.calls.filter(call => call.method === 'createInvoices');
+  assert.strictEqual(creates.length, 2);
+  assert.strictEqual(creates[0].args[4], creates[1].args[4]);
+  assert.strictEqual(fake.invoices.size, 1);
+  assert.strictEqual(invoices.get(String(invoice._id)).xeroInvoiceId, [...fake.invoices.keys()][0]);
+});
+
+test('an update whose payload was replaced while pending is sent under a new idempotency key', async (t) => {
+  const { fake, operations, userId, invoice } = setup(t);
+  await XeroSyncService.syncInvoice(userId, invoice._id, 'create_invoice', createPayload(invoice));
+
+  const firstEdit = createPayload(invoice);
+  firstEdit.lineItems[0].description = 'Consulting, first edit';
+  fake.loseNextResponse();
+  const pending = await XeroSyncService.syncInvoice(userId, invoice._id, 'update_invoice', firstEdit);
+  assert.strictEqual(pending.status, 'pending');
+
+  const secondEdit = createPayload(invoice);
+  secondEdit.lineItems[0].description = 'Consulting, second edit';
+  const replaced = await XeroSyncService.enqueue(userId, invoice._id, 'update_invoice', secondEdit);
+  assert.strictEqual(String(replaced._id), String(pending._id));
+  assert.strictEqual(operations.size, 2);
+
+  const op = await XeroSyncService.processOperation(replaced);
+  assert.strictEqual(op.status, 'completed');
+
+  const updates = fake.calls.filter(call => call.method === 'updateInvoice');
+  assert.strictEqual(updates.length, 2);
+  assert.notStrictEqual(updates[0].args[4], updates[1].args[4]);
+
+  const [xeroInvoice] = fake.invoices.values();
+  assert.strictEqual(xeroInvoice.lineItems[0].description, 'Consulting, second edit');
+});
@@ -0,0 +1,12 @@
+// utils/appUrl.js
+// Base URL of this server as clients reach it, for links in emails, PDFs and checkouts
+
+/**
+ * Joins a path onto PUBLIC_APP_URL (or the local server when it is not set)
+ * @param {string} [pathname] - Path starting with a slash
+ * @returns {string}
+ */
+module.exports = (pathname = '') => {
+  const base = process.env.PUBLIC_APP_URL || `http://localhost:${process.env.PORT || 5002}`;
+  return `${base.replace(/\/+$/, '')}${pathname}`;
+};
@@ -0,0 +1,13 @@
+// utils/documentNumber.js
+// Formats sequential document numbers such as INV-2026-0042
+// {YYYY} and {YY} in the prefix are replaced with the document's year.
+const formatDocumentNumber = (prefix, padding, seq, date = new Date()) => {
+  const year = String(new Date(date).getFullYear());
+  const resolvedPrefix = (prefix || '')
+    .replace(/\{YYYY\}/g, year)
+    .replace(/\{YY\}/g, year.slice(-2));
+
+  return `${resolvedPrefix}${String(seq).padStart(padding || 0, '0')}`;
+};
+
+module.exports = formatDocumentNumber;
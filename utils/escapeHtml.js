@@ -0,0 +1,5 @@
+// utils/escapeHtml.js
+// Escapes text for HTML pages built from user or client data
+module.exports = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
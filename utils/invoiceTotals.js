@@ -0,0 +1,90 @@
+// utils/invoiceTotals.js
+// Works out line and document totals for invoices, quotes and recurring invoices, so the
+// stored amount, the PDF and the accounting backend all show the same figures.
+//
+// Rounding: every line's discount, amount and tax is rounded to the cent, and the
+// document totals are sums of the rounded lines (the same rule Xero uses).
+// Rates are decimals, e.g. 0.15 for 15%.
+
+const roundAmount = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * The lines to total: the document's items, or a single line for the amount when it has none
+ * @param {Object} doc - The invoice, quote or recurring invoice
+ * @returns {Array}
+ */
+const getLines = (doc) => {
+  if (Array.isArray(doc.items) && doc.items.length > 0) return doc.items;
+  return [{ description: doc.description || 'Invoice item', quantity: 1, unitAmount: doc.amount || 0 }];
+};
+
+/**
+ * Calculates line and document totals.
+ *
+ * Each line's discount rate applies first, then the document discount (a rate or a fixed
+ * amount) is shared across the lines in proportion to their amounts so tax is charged on
+ * the discounted prices. In inclusive mode prices already contain tax, which is worked out
+ * backwards from the line amount; in exclusive mode tax is added on top.
+ * @param {Object} doc - The invoice, quote or recurring invoice
+ * @param {Array} [doc.items] - Lines with quantity, unitAmount and optional taxRate and discountRate
+ * @param {number} [doc.amount] - Price of the single line used when there are no items
+ * @param {number} [doc.taxRate] - Tax rate for lines without their own
+ * @param {string} [doc.taxMode] - 'exclusive' (default) or 'inclusive'
+ * @param {number} [doc.discountRate] - Discount rate for the whole document
+ * @param {number} [doc.discount] - Fixed discount for the whole document
+ * @returns {Object} - { lines, subtotal, discountTotal, taxTotal, total }; each line has
+ *   discountAmount, lineAmount (after discounts, including tax in inclusive mode) and taxAmount
+ */
+const calculateTotals = (doc) => {
+  const inclusive = doc.taxMode === 'inclusive';
+
+  const lines = getLines(doc).map(item => {
+    const gross = roundAmount((item.quantity ?? 1) * (item.unitAmount || 0));
+    const lineDiscount = roundAmount(gross * (item.discountRate || 0));
+    return { item, gross, lineDiscount, discounted: roundAmount(gross - lineDiscount) };
+  });
+
+  // Share the document discount across the lines; the last line takes the rounding remainder
+  const base = roundAmount(lines.reduce((sum, line) => sum + line.discounted, 0));
+  const documentDiscount = base > 0
+    ? Math.min(roundAmount(doc.discount || base * (doc.discountRate || 0)), base)
+    : 0;
+  let unallocated = documentDiscount;
+
+  const totals = { lines: [], subtotal: 0, discountTotal: 0, taxTotal: 0, total: 0 };
+
+  lines.forEach(({ item, gross, lineDiscount, discounted }, index) => {
+    const share = index === lines.length - 1
+      ? unallocated
+      : roundAmount(documentDiscount * (discounted / base));
+    unallocated = roundAmount(unallocated - share);
+
+    const lineAmount = roundAmount(discounted - share);
+    const taxRate = item.taxRate ?? doc.taxRate ?? 0;
+    const taxAmount = inclusive
+      ? roundAmount(lineAmount - lineAmount / (1 + taxRate))
+      : roundAmount(lineAmount * taxRate);
+
+    totals.lines.push({
+      description: item.description,
+      quantity: item.quantity ?? 1,
+      unitAmount: item.unitAmount || 0,
+      taxRate,
+      discountAmount: roundAmount(gross - lineAmount),
+      lineAmount,
+      taxAmount
+    });
+    totals.subtotal += inclusive ? lineAmount - taxAmount : lineAmount;
+    totals.discountTotal += lineDiscount + share;
+    totals.taxTotal += taxAmount;
+  });
+
+  totals.subtotal = roundAmount(totals.subtotal);
+  totals.discountTotal = roundAmount(totals.discountTotal);
+  totals.taxTotal = roundAmount(totals.taxTotal);
+  totals.total = roundAmount(totals.subtotal + totals.taxTotal);
+
+  return totals;
+};
+
+module.exports = { calculateTotals, roundAmount };
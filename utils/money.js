@@ -0,0 +1,51 @@
+// utils/money.js
+// Formats amounts in a document's currency, laid out the way that currency's users expect
+// (£1,234.50, ₦1,234.50, 1.234,50 € and so on)
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Locale used to format each currency; others use generic English formatting
+const CURRENCY_LOCALES = {
+  USD: 'en-US',
+  GBP: 'en-GB',
+  NGN: 'en-NG',
+  EUR: 'en-IE',
+  AUD: 'en-AU',
+  NZD: 'en-NZ',
+  CAD: 'en-CA',
+  ZAR: 'en-ZA',
+  KES: 'en-KE',
+  GHS: 'en-GH',
+  INR: 'en-IN'
+};
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * Whether the code is an ISO 4217 currency code, e.g. GBP
+ * @param {string} code - The currency code
+ * @returns {boolean}
+ */
+const isCurrencyCode = (code) => typeof code === 'string' && SUPPORTED_CURRENCIES.has(code);
+
+/**
+ * Formats an amount of money
+ * @param {number} amount - The amount
+ * @param {string} [currency] - ISO 4217 code; defaults to USD
+ * @param {Object} [options]
+ * @param {boolean} [options.plainSymbol] - Use the currency code instead of symbols outside
+ *   Latin-1 (such as ₦), which the standard PDF fonts cannot draw
+ * @returns {string}
+ */
+const formatMoney = (amount, currency = DEFAULT_CURRENCY, { plainSymbol = false } = {}) => {
+  const code = isCurrencyCode(currency) ? currency : DEFAULT_CURRENCY;
+  const locale = CURRENCY_LOCALES[code] || 'en';
+  const formatted = new Intl.NumberFormat(locale, { style: 'currency', currency: code }).format(amount || 0);
+
+  if (plainSymbol && /[^\u0000-\u00ff\u20ac]/.test(formatted)) {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: code, currencyDisplay: 'code' }).format(amount || 0);
+  }
+  return formatted;
+};
+
+module.exports = { DEFAULT_CURRENCY, isCurrencyCode, formatMoney };
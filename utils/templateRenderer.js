@@ -0,0 +1,95 @@
+// utils/templateRenderer.js
+// Fills {{placeholder}} templates written by users. There is deliberately no logic, no
+// expressions and no raw HTML: a template can only insert the named values, every value
+// and every bit of template text is escaped in the HTML output, and only link values
+// become anchors.
+//
+// A line whose placeholders are all empty is left out, so lines like
+// "Pay online: {{payLink}}" disappear when there is nothing to show.
+const escapeHtml = require('./escapeHtml');
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9]*)\s*\}\}/g;
+
+/**
+ * Lists the placeholders a template uses
+ * @param {string} template - The template text
+ * @returns {Array<string>} - Placeholder names, without duplicates
+ */
+const getPlaceholders = (template) => {
+  return [...new Set([...String(template || '').matchAll(PLACEHOLDER)].map(match => match[1]))];
+};
+
+/**
+ * Splits a line into text and placeholder parts
+ * @param {string} line
+ * @returns {Array<Object>} - { text } or { name } parts
+ */
+const parseLine = (line) => {
+  const parts = [];
+  let last = 0;
+  for (const match of line.matchAll(PLACEHOLDER)) {
+    if (match.index > last) parts.push({ text: line.slice(last, match.index) });
+    parts.push({ name: match[1] });
+    last = match.index + match[0].length;
+  }
+  if (last < line.length) parts.push({ text: line.slice(last) });
+  return parts;
+};
+
+const isLink = (value) => /^https?:\/\//i.test(value);
+
+/**
+ * Renders a template as plain text and HTML
+ * @param {string} template - The template text
+ * @param {Object} values - Placeholder values; missing ones count as empty
+ * @returns {Object} - { text, html }; html is a series of escaped paragraphs
+ */
+const renderTemplate = (template, values) => {
+  const valueOf = (name) => (values[name] === undefined || values[name] === null ? '' : String(values[name]));
+
+  const lines = String(template || '').replace(/\r\n/g, '\n').split('\n')
+    .map(parseLine)
+    .filter(parts => {
+      const names = parts.filter(part => part.name);
+      return names.length === 0 || names.some(part => valueOf(part.name) !== '');
+    })
+    // Dropping a whole paragraph would otherwise leave a double gap
+    .filter((parts, index, kept) => parts.length || (index > 0 && kept[index - 1].length));
+
+  const text = lines
+    .map(parts => parts.map(part => (part.name ? valueOf(part.name) : part.text)).join(''))
+    .join('\n')
+    .trim();
+
+  const htmlLines = lines.map(parts => parts.map(part => {
+    if (!part.name) return escapeHtml(part.text);
+    const value = valueOf(part.name);
+    return isLink(value) ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>` : escapeHtml(value);
+  }).join(''));
+
+  // Blank lines separate paragraphs; single line breaks are kept inside them
+  const html = htmlLines.join('\n').split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+  return { text, html };
+};
+
+/**
+ * Renders a one-line template such as an email subject
+ * @param {string} template - The template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+const renderLine = (template, values) => {
+  return String(template || '').replace(PLACEHOLDER, (match, name) => (values[name] ?? '').toString())
+    .replace(/\s+/g, ' ').trim();
+};
+
+module.exports = {
+  getPlaceholders,
+  renderTemplate,
+  renderLine
+};